@@ -0,0 +1,588 @@
+/**
+* @namespace GL
+*/
+
+/**
+* Bounding volume hierarchy for fast ray and sphere collision with big meshes, an alternative to GL.Octree. <br/>
+* It is built using the surface area heuristic, every triangle is stored only once and the nodes are stored in flat typed arrays so it can be serialized (toBinary) or sent to a worker.
+* Dependencies: glmatrix.js (for vector and matrix operations)
+* @class BVH
+* @constructor
+* @param {Mesh} mesh object containing vertices buffer (indices buffer optional)
+* @param {Number} start [optional] first index of the range of triangles
+* @param {Number} length [optional] number of indices of the range
+*/
+global.BVH = GL.BVH = function BVH( mesh, start, length )
+{
+	this.node_bounds = null; //min and max of every node (6 floats per node)
+	this.node_data = null; //two values per node: right child and 0 for inner nodes (the left child is the next node), first triangle and number of triangles for leafs
+	this.triangles = null; //the vertices of the triangles sorted by leaf (9 floats per triangle)
+	this.indices = null; //the index of every triangle in the mesh
+	this.total_nodes = 0;
+	this.total_depth = 0;
+	this.total_triangles = 0;
+	if(mesh)
+		this.buildFromMesh( mesh, start, length );
+}
+
+BVH.MAX_LEAF_TRIANGLES = 4; //leafs are split till they have this number of triangles, unless the heuristic says it is not worth it
+BVH.MAX_SAH_LEAF_TRIANGLES = 16; //leafs with more triangles are always split
+BVH.NUM_BINS = 16; //buckets tested per axis to find the split
+BVH.TRAVERSAL_COST = 1; //cost of testing a node compared to a triangle
+
+var bvh_stack = new Uint32Array(128);
+
+/**
+* Builds the hierarchy from the triangles of a mesh
+* @method buildFromMesh
+* @param {Mesh} mesh object containing vertices buffer (indices buffer optional)
+* @param {Number} start [optional] first index of the range of triangles
+* @param {Number} length [optional] number of indices of the range
+*/
+BVH.prototype.buildFromMesh = function( mesh, start, length )
+{
+	start = start || 0;
+	if( start % 3 )
+		throw("BVH: start must be a multiple of 3 (the first index of a triangle)");
+	var vertices = mesh.getBuffer("vertices").data;
+	var triangles = mesh.getIndexBuffer("triangles");
+	if(triangles)
+		triangles = triangles.data;
+	if( !length )
+		length = (triangles ? triangles.length : vertices.length / 3) - start;
+
+	var num = Math.floor( length / 3 );
+	var first = start / 3;
+	var positions = new Float32Array( num * 9 );
+	for(var i = 0; i < num; ++i)
+		for(var j = 0; j < 3; ++j)
+		{
+			var index = triangles ? triangles[ start + i*3 + j ] : start + i*3 + j;
+			positions[ i*9 + j*3 ] = vertices[ index*3 ];
+			positions[ i*9 + j*3 + 1 ] = vertices[ index*3 + 1 ];
+			positions[ i*9 + j*3 + 2 ] = vertices[ index*3 + 2 ];
+		}
+
+	this.build( positions, first );
+}
+
+/**
+* Builds the hierarchy from a list of triangles
+* @method build
+* @param {Float32Array} positions the three vertices of every triangle
+* @param {Number} first_index [optional] index of the first triangle (to return the index in the mesh when using a range)
+*/
+BVH.prototype.build = function( positions, first_index )
+{
+	first_index = first_index || 0;
+	var total = Math.floor( positions.length / 9 );
+	this.total_depth = 0;
+
+	//bounds and centroid of every triangle, triangles without area are skipped (rays never hit them)
+	var tri_bounds = new Float32Array( total * 6 );
+	var centroids = new Float32Array( total * 3 );
+	var order = new Uint32Array( total );
+	var AB = vec3.create();
+	var AC = vec3.create();
+	var N = vec3.create();
+	var num = 0;
+	for(var i = 0; i < total; ++i)
+	{
+		var o = i * 9;
+		vec3.set( AB, positions[o+3] - positions[o], positions[o+4] - positions[o+1], positions[o+5] - positions[o+2] );
+		vec3.set( AC, positions[o+6] - positions[o], positions[o+7] - positions[o+1], positions[o+8] - positions[o+2] );
+		if( vec3.squaredLength( vec3.cross( N, AB, AC ) ) == 0 )
+			continue;
+		order[ num++ ] = i;
+		for(var j = 0; j < 3; ++j)
+		{
+			var a = positions[ o + j ], b = positions[ o + 3 + j ], c = positions[ o + 6 + j ];
+			var min = Math.min( a, b, c );
+			var max = Math.max( a, b, c );
+			tri_bounds[ i*6 + j ] = min;
+			tri_bounds[ i*6 + 3 + j ] = max;
+			centroids[ i*3 + j ] = (min + max) * 0.5;
+		}
+	}
+	this.total_triangles = num;
+
+	var max_nodes = Math.max( 1, num * 2 - 1 );
+	var node_bounds = new Float32Array( max_nodes * 6 );
+	var node_data = new Uint32Array( max_nodes * 2 );
+	var num_nodes = 0;
+
+	var num_bins = BVH.NUM_BINS;
+	var bin_bounds = new Float32Array( num_bins * 6 );
+	var bin_counts = new Uint32Array( num_bins );
+	var right_areas = new Float32Array( num_bins );
+	var right_counts = new Uint32Array( num_bins );
+	var bounds = new Float32Array(6);
+	var centroid_bounds = new Float32Array(6);
+
+	//tasks: start, end, parent (+1, 0 if it is a left child or the root) and depth
+	var tasks = num ? [ 0, num, 0, 0 ] : [];
+	while( tasks.length )
+	{
+		var depth = tasks.pop();
+		var parent = tasks.pop();
+		var end = tasks.pop();
+		var begin = tasks.pop();
+		var node = num_nodes++;
+		if( parent ) //right child, the left one is always the next node
+			node_data[ (parent - 1) * 2 ] = node;
+		if( depth > this.total_depth )
+			this.total_depth = depth;
+
+		//bounds of the triangles and of their centroids
+		resetBounds( bounds );
+		resetBounds( centroid_bounds );
+		for(var i = begin; i < end; ++i)
+		{
+			var t = order[i];
+			for(var j = 0; j < 3; ++j)
+			{
+				if( tri_bounds[ t*6 + j ] < bounds[j] ) bounds[j] = tri_bounds[ t*6 + j ];
+				if( tri_bounds[ t*6 + 3 + j ] > bounds[3 + j] ) bounds[3 + j] = tri_bounds[ t*6 + 3 + j ];
+				var c = centroids[ t*3 + j ];
+				if( c < centroid_bounds[j] ) centroid_bounds[j] = c;
+				if( c > centroid_bounds[3 + j] ) centroid_bounds[3 + j] = c;
+			}
+		}
+		node_bounds.set( bounds, node * 6 );
+
+		var count = end - begin;
+		if( count <= BVH.MAX_LEAF_TRIANGLES )
+		{
+			node_data[ node * 2 ] = begin;
+			node_data[ node * 2 + 1 ] = count;
+			continue;
+		}
+
+		//find the split with the lowest cost testing some buckets per axis
+		var best_cost = Infinity;
+		var best_axis = -1;
+		var best_bin = 0;
+		for(var axis = 0; axis < 3; ++axis)
+		{
+			var cmin = centroid_bounds[ axis ];
+			var extent = centroid_bounds[ 3 + axis ] - cmin;
+			if( extent <= 0 )
+				continue;
+			var scale = num_bins / extent;
+			bin_counts.fill(0);
+			for(var b = 0; b < num_bins; ++b)
+				resetBounds( bin_bounds, b * 6 );
+			for(var i = begin; i < end; ++i)
+			{
+				var t = order[i];
+				var b = Math.min( num_bins - 1, Math.floor( (centroids[ t*3 + axis ] - cmin) * scale ) );
+				bin_counts[b]++;
+				growBounds( bin_bounds, b * 6, tri_bounds, t * 6 );
+			}
+			//sweep from the right storing the area and count of the right side
+			resetBounds( bounds );
+			var right_count = 0;
+			for(var b = num_bins - 1; b > 0; --b)
+			{
+				right_count += bin_counts[b];
+				growBounds( bounds, 0, bin_bounds, b * 6 );
+				right_counts[b] = right_count;
+				right_areas[b] = right_count ? boundsArea( bounds, 0 ) : 0;
+			}
+			//sweep from the left computing the cost of splitting after every bin
+			resetBounds( bounds );
+			var left_count = 0;
+			for(var b = 0; b < num_bins - 1; ++b)
+			{
+				left_count += bin_counts[b];
+				growBounds( bounds, 0, bin_bounds, b * 6 );
+				if( !left_count || !right_counts[b+1] )
+					continue;
+				var cost = left_count * boundsArea( bounds, 0 ) + right_counts[b+1] * right_areas[b+1];
+				if( cost < best_cost )
+				{
+					best_cost = cost;
+					best_axis = axis;
+					best_bin = b;
+				}
+			}
+		}
+
+		var area = boundsArea( node_bounds, node * 6 );
+		var mid = begin;
+		if( best_axis != -1 )
+		{
+			//it is cheaper to keep it as a leaf
+			if( count <= BVH.MAX_SAH_LEAF_TRIANGLES && area > 0 && BVH.TRAVERSAL_COST + best_cost / area >= count )
+			{
+				node_data[ node * 2 ] = begin;
+				node_data[ node * 2 + 1 ] = count;
+				continue;
+			}
+			//partition the triangles
+			var cmin = centroid_bounds[ best_axis ];
+			var scale = num_bins / (centroid_bounds[ 3 + best_axis ] - cmin);
+			var i = begin, j = end - 1;
+			while( i <= j )
+			{
+				var b = Math.min( num_bins - 1, Math.floor( (centroids[ order[i] * 3 + best_axis ] - cmin) * scale ) );
+				if( b <= best_bin )
+					i++;
+				else
+				{
+					var tmp = order[i];
+					order[i] = order[j];
+					order[j--] = tmp;
+				}
+			}
+			mid = i;
+		}
+		if( mid == begin || mid == end ) //all the centroids in the same place, split in half
+			mid = (begin + end) >> 1;
+
+		node_data[ node * 2 + 1 ] = 0; //inner node
+		tasks.push( mid, end, node + 1, depth + 1 ); //right child
+		tasks.push( begin, mid, 0, depth + 1 ); //left child, processed first
+	}
+
+	this.total_nodes = num_nodes;
+	this.node_bounds = node_bounds.slice( 0, num_nodes * 6 );
+	this.node_data = node_data.slice( 0, num_nodes * 2 );
+
+	//store the triangles in the order of the leafs
+	this.triangles = new Float32Array( num * 9 );
+	this.indices = new Uint32Array( num );
+	for(var i = 0; i < num; ++i)
+	{
+		var t = order[i];
+		this.triangles.set( positions.subarray( t * 9, t * 9 + 9 ), i * 9 );
+		this.indices[i] = t + first_index;
+	}
+	if( bvh_stack.length < this.total_depth * 2 + 2 )
+		bvh_stack = new Uint32Array( this.total_depth * 2 + 2 );
+}
+
+function resetBounds( bounds, offset )
+{
+	offset = offset || 0;
+	bounds[offset] = bounds[offset+1] = bounds[offset+2] = Infinity;
+	bounds[offset+3] = bounds[offset+4] = bounds[offset+5] = -Infinity;
+}
+
+function growBounds( bounds, offset, other, other_offset )
+{
+	for(var j = 0; j < 3; ++j)
+	{
+		if( other[ other_offset + j ] < bounds[ offset + j ] )
+			bounds[ offset + j ] = other[ other_offset + j ];
+		if( other[ other_offset + 3 + j ] > bounds[ offset + 3 + j ] )
+			bounds[ offset + 3 + j ] = other[ other_offset + 3 + j ];
+	}
+}
+
+//half of the surface of the box, enough to compare
+function boundsArea( bounds, offset )
+{
+	var x = bounds[ offset + 3 ] - bounds[ offset ];
+	var y = bounds[ offset + 4 ] - bounds[ offset + 1 ];
+	var z = bounds[ offset + 5 ] - bounds[ offset + 2 ];
+	return x * y + y * z + z * x;
+}
+
+//distance where the ray enters the box of the node, or -1 if it does not collide
+function rayNodeDistance( bounds, node, origin, inv, dist_min, dist_max )
+{
+	var offset = node * 6;
+	var near = dist_min, far = dist_max;
+	for(var j = 0; j < 3; ++j)
+	{
+		var t1 = (bounds[ offset + j ] - origin[j]) * inv[j];
+		var t2 = (bounds[ offset + 3 + j ] - origin[j]) * inv[j];
+		if( t1 > t2 )
+		{
+			var tmp = t1;
+			t1 = t2;
+			t2 = tmp;
+		}
+		//t1 or t2 are NaN when the direction is parallel to the slab and the origin is on its plane, the comparisons fail so the slab does not clip the ray
+		if( t1 > near )
+			near = t1;
+		if( t2 < far )
+			far = t2;
+		if( near > far )
+			return -1;
+	}
+	return near;
+}
+
+/**
+* Test collision between ray and triangles in the hierarchy
+* @method testRay
+* @param {vec3} origin ray origin position
+* @param {vec3} direction ray direction position
+* @param {number} dist_min [optional] collisions closer than this are ignored
+* @param {number} dist_max [optional] collisions farther than this are ignored
+* @param {number} test_backfaces if rays colliding with the back face must be considered a valid collision
+* @param {number} mode which mode to use (Octree.NEAREST: nearest collision to origin, Octree.FIRST: first collision detected (fastest), Octree.ALL: all collision sorted by distance (slowest)
+* @return {HitTest} object containing t, pos, normal and triangle (index in the mesh), or an array of them in Octree.ALL mode
+*/
+BVH.prototype.testRay = (function(){
+	var inv = vec3.create();
+	var hit_info = new Float32Array(3); //t, u, v
+
+	return function( origin, direction, dist_min, dist_max, test_backfaces, mode )
+	{
+		if(!this.node_bounds)
+			throw("Error: BVH not build");
+		mode = mode || Octree.NEAREST;
+		dist_min = dist_min || 0;
+		if( dist_max == null )
+			dist_max = Infinity;
+
+		inv[0] = 1 / direction[0];
+		inv[1] = 1 / direction[1];
+		inv[2] = 1 / direction[2];
+
+		var bounds = this.node_bounds;
+		var data = this.node_data;
+		var best_t = dist_max;
+		var best = -1;
+		var results = mode == Octree.ALL ? [] : null;
+
+		if( !this.total_nodes || rayNodeDistance( bounds, 0, origin, inv, dist_min, dist_max ) < 0 )
+			return results && results.length ? results : null;
+
+		var stack = bvh_stack;
+		var stack_size = 0;
+		stack[ stack_size++ ] = 0;
+		while( stack_size )
+		{
+			var node = stack[ --stack_size ];
+			var count = data[ node * 2 + 1 ];
+			if( count ) //leaf
+			{
+				var first = data[ node * 2 ];
+				for(var i = first; i < first + count; ++i)
+				{
+					if( !this._testRayTriangle( i, origin, direction, dist_min, best_t, test_backfaces, hit_info ) )
+						continue;
+					if( mode == Octree.ALL )
+						results.push( this._createHitTest( i, hit_info[0], origin, direction ) );
+					else
+					{
+						best_t = hit_info[0];
+						best = i;
+						if( mode == Octree.FIRST )
+							return this._createHitTest( best, best_t, origin, direction );
+					}
+				}
+				continue;
+			}
+
+			//visit the closest child first
+			var left = node + 1;
+			var right = data[ node * 2 ];
+			var dist_left = rayNodeDistance( bounds, left, origin, inv, dist_min, best_t );
+			var dist_right = rayNodeDistance( bounds, right, origin, inv, dist_min, best_t );
+			if( dist_left >= 0 && dist_right >= 0 )
+			{
+				if( dist_left <= dist_right )
+				{
+					stack[ stack_size++ ] = right;
+					stack[ stack_size++ ] = left;
+				}
+				else
+				{
+					stack[ stack_size++ ] = left;
+					stack[ stack_size++ ] = right;
+				}
+			}
+			else if( dist_left >= 0 )
+				stack[ stack_size++ ] = left;
+			else if( dist_right >= 0 )
+				stack[ stack_size++ ] = right;
+		}
+
+		if( mode == Octree.ALL )
+			return results.length ? results.sort( function(a,b) { return a.t - b.t; } ) : null;
+		if( best == -1 )
+			return null;
+		return this._createHitTest( best, best_t, origin, direction );
+	}
+})();
+
+//moller-trumbore, stores t,u,v in out
+BVH.prototype._testRayTriangle = (function(){
+	var AB = vec3.create();
+	var AC = vec3.create();
+	var P = vec3.create();
+	var T = vec3.create();
+	var Q = vec3.create();
+
+	return function( index, origin, direction, dist_min, dist_max, test_backfaces, out )
+	{
+		var tri = this.triangles;
+		var o = index * 9;
+		AB[0] = tri[o+3] - tri[o]; AB[1] = tri[o+4] - tri[o+1]; AB[2] = tri[o+5] - tri[o+2];
+		AC[0] = tri[o+6] - tri[o]; AC[1] = tri[o+7] - tri[o+1]; AC[2] = tri[o+8] - tri[o+2];
+		vec3.cross( P, direction, AC );
+		var det = vec3.dot( AB, P );
+		//det > 0 when the ray hits the front face (same convention than Octree.hitTestTriangle)
+		if( det == 0 || (!test_backfaces && det < 0) )
+			return false;
+		var inv_det = 1 / det;
+		T[0] = origin[0] - tri[o]; T[1] = origin[1] - tri[o+1]; T[2] = origin[2] - tri[o+2];
+		var u = vec3.dot( T, P ) * inv_det;
+		if( u < 0 || u > 1 )
+			return false;
+		vec3.cross( Q, T, AB );
+		var v = vec3.dot( direction, Q ) * inv_det;
+		if( v < 0 || u + v > 1 )
+			return false;
+		var t = vec3.dot( AC, Q ) * inv_det;
+		if( t <= dist_min || t >= dist_max )
+			return false;
+		out[0] = t;
+		out[1] = u;
+		out[2] = v;
+		return true;
+	};
+})();
+
+BVH.prototype._createHitTest = function( index, t, origin, direction )
+{
+	var tri = this.triangles.subarray( index * 9, index * 9 + 9 );
+	var AB = vec3.sub( vec3.create(), tri.subarray(3,6), tri.subarray(0,3) );
+	var AC = vec3.sub( vec3.create(), tri.subarray(6,9), tri.subarray(0,3) );
+	var normal = vec3.cross( vec3.create(), AB, AC );
+	vec3.normalize( normal, normal );
+	var pos = vec3.scaleAndAdd( vec3.create(), origin, direction, t );
+	var test = new HitTest( t, pos, normal );
+	test.pos = pos;
+	test.triangle = this.indices[ index ];
+	return test;
+}
+
+/**
+* test collision between sphere and the triangles in the hierarchy
+* @method testSphere
+* @param {vec3} origin sphere center
+* @param {number} radius
+* @return {Boolean} true if the sphere collided with the mesh
+*/
+BVH.prototype.testSphere = (function(){
+	var A = vec3.create();
+	var B = vec3.create();
+	var C = vec3.create();
+	var box_min = vec3.create();
+	var box_max = vec3.create();
+
+	return function( origin, radius )
+	{
+		if(!this.node_bounds)
+			throw("Error: BVH not build");
+		var rr = radius * radius;
+		var bounds = this.node_bounds;
+		var data = this.node_data;
+		var tri = this.triangles;
+		var stack = bvh_stack;
+		var stack_size = 0;
+		if( this.total_nodes )
+			stack[ stack_size++ ] = 0;
+		while( stack_size )
+		{
+			var node = stack[ --stack_size ];
+			box_min.set( bounds.subarray( node * 6, node * 6 + 3 ) );
+			box_max.set( bounds.subarray( node * 6 + 3, node * 6 + 6 ) );
+			if( !Octree.testSphereBox( origin, rr, box_min, box_max ) )
+				continue;
+			var count = data[ node * 2 + 1 ];
+			if( !count )
+			{
+				stack[ stack_size++ ] = data[ node * 2 ];
+				stack[ stack_size++ ] = node + 1;
+				continue;
+			}
+			for(var i = data[ node * 2 ], l = i + count; i < l; ++i)
+			{
+				A.set( tri.subarray( i * 9, i * 9 + 3 ) );
+				B.set( tri.subarray( i * 9 + 3, i * 9 + 6 ) );
+				C.set( tri.subarray( i * 9 + 6, i * 9 + 9 ) );
+				if( Octree.testSphereTriangle( origin, rr, A, B, C ) )
+					return true;
+			}
+		}
+		return false;
+	}
+})();
+
+/**
+* Returns the bounding box of the whole mesh
+* @method getBounds
+* @param {Float32Array} out [optional] where to store the min and max (6 floats)
+* @return {Float32Array} min and max
+*/
+BVH.prototype.getBounds = function( out )
+{
+	out = out || new Float32Array(6);
+	if( this.node_bounds )
+		out.set( this.node_bounds.subarray(0,6) );
+	return out;
+}
+
+//header: "BVH1", num nodes, num triangles, total depth
+BVH.BINARY_MAGIC = 0x31485642;
+
+/**
+* Serializes the hierarchy to an ArrayBuffer (it does not need the mesh to be restored)
+* @method toBinary
+* @return {ArrayBuffer} the data
+*/
+BVH.prototype.toBinary = function()
+{
+	if(!this.node_bounds)
+		throw("Error: BVH not build");
+	var header = new Uint32Array([ BVH.BINARY_MAGIC, this.total_nodes, this.total_triangles, this.total_depth ]);
+	var arrays = [ header, this.node_bounds, this.node_data, this.triangles, this.indices ];
+	var size = 0;
+	for(var i = 0; i < arrays.length; ++i)
+		size += arrays[i].byteLength;
+	var data = new Uint8Array( size );
+	var pos = 0;
+	for(var i = 0; i < arrays.length; ++i)
+	{
+		data.set( new Uint8Array( arrays[i].buffer, arrays[i].byteOffset, arrays[i].byteLength ), pos );
+		pos += arrays[i].byteLength;
+	}
+	return data.buffer;
+}
+
+/**
+* Creates a BVH from the data returned by toBinary
+* @method BVH.fromBinary
+* @param {ArrayBuffer} data
+* @return {BVH} the hierarchy
+*/
+BVH.fromBinary = function( data )
+{
+	if(data.constructor !== ArrayBuffer) //typed array
+		data = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+	var header = new Uint32Array( data, 0, 4 );
+	if( header[0] != BVH.BINARY_MAGIC )
+		throw("BVH: wrong binary data");
+	var bvh = new GL.BVH();
+	var num_nodes = bvh.total_nodes = header[1];
+	var num_triangles = bvh.total_triangles = header[2];
+	bvh.total_depth = header[3];
+	var pos = 16;
+	bvh.node_bounds = new Float32Array( data, pos, num_nodes * 6 );
+	pos += num_nodes * 24;
+	bvh.node_data = new Uint32Array( data, pos, num_nodes * 2 );
+	pos += num_nodes * 8;
+	bvh.triangles = new Float32Array( data, pos, num_triangles * 9 );
+	pos += num_triangles * 36;
+	bvh.indices = new Uint32Array( data, pos, num_triangles );
+	if( bvh_stack.length < bvh.total_depth * 2 + 2 )
+		bvh_stack = new Uint32Array( bvh.total_depth * 2 + 2 );
+	return bvh;
+}
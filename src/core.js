@@ -94,37 +94,76 @@ GL.create = function(options) {
 	canvas.gl = gl;
 	gl.context_id = this.last_context_id++;
 
-	//get some common extensions for webgl 1
-	gl.extensions = {};
-	gl.extensions["OES_standard_derivatives"] = gl.derivatives_supported = gl.getExtension('OES_standard_derivatives') || false;
-	gl.extensions["WEBGL_depth_texture"] = gl.getExtension("WEBGL_depth_texture") || gl.getExtension("WEBKIT_WEBGL_depth_texture") || gl.getExtension("MOZ_WEBGL_depth_texture");
-	gl.extensions["OES_element_index_uint"] = gl.getExtension("OES_element_index_uint");
-	gl.extensions["WEBGL_draw_buffers"] = gl.getExtension("WEBGL_draw_buffers");
-	gl.extensions["EXT_shader_texture_lod"] = gl.getExtension("EXT_shader_texture_lod");
-	gl.extensions["EXT_sRGB"] = gl.getExtension("EXT_sRGB");
-	gl.extensions["EXT_texture_filter_anisotropic"] = gl.getExtension("EXT_texture_filter_anisotropic") || gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic") || gl.getExtension("MOZ_EXT_texture_filter_anisotropic");
-	gl.extensions["EXT_frag_depth"] = gl.getExtension("EXT_frag_depth") || gl.getExtension("WEBKIT_EXT_frag_depth") || gl.getExtension("MOZ_EXT_frag_depth");
-	gl.extensions["WEBGL_lose_context"] = gl.getExtension("WEBGL_lose_context") || gl.getExtension("WEBKIT_WEBGL_lose_context") || gl.getExtension("MOZ_WEBGL_lose_context");
-	gl.extensions["ANGLE_instanced_arrays"] = gl.getExtension("ANGLE_instanced_arrays");
-	gl.extensions["disjoint_timer_query"] = gl.getExtension("EXT_disjoint_timer_query");
-
-	//for float textures
-	gl.extensions["OES_texture_float_linear"] = gl.getExtension("OES_texture_float_linear");
-	if(gl.extensions["OES_texture_float_linear"])
-		gl.extensions["OES_texture_float"] = gl.getExtension("OES_texture_float");
-	gl.extensions["EXT_color_buffer_float"] = gl.getExtension("EXT_color_buffer_float");
-
-	//for half float textures in webgl 1 require extension
-	gl.extensions["OES_texture_half_float_linear"] = gl.getExtension("OES_texture_half_float_linear");
-	if(gl.extensions["OES_texture_half_float_linear"])
-		gl.extensions["OES_texture_half_float"] = gl.getExtension("OES_texture_half_float");
-
-	if( gl.webgl_version == 1 )
-		gl.HIGH_PRECISION_FORMAT = gl.extensions["OES_texture_half_float"] ? GL.HALF_FLOAT_OES : (gl.extensions["OES_texture_float"] ? GL.FLOAT : GL.UNSIGNED_BYTE); //because Firefox dont support half float
-	else
-		gl.HIGH_PRECISION_FORMAT = GL.HALF_FLOAT_OES;
+	//get some common extensions for webgl 1 (called again when the context is restored as the extensions are lost with it)
+	function loadExtensions()
+	{
+		gl.extensions = {};
+		gl.extensions["OES_standard_derivatives"] = gl.derivatives_supported = gl.getExtension('OES_standard_derivatives') || false;
+		gl.extensions["WEBGL_depth_texture"] = gl.getExtension("WEBGL_depth_texture") || gl.getExtension("WEBKIT_WEBGL_depth_texture") || gl.getExtension("MOZ_WEBGL_depth_texture");
+		gl.extensions["OES_element_index_uint"] = gl.getExtension("OES_element_index_uint");
+		gl.extensions["WEBGL_draw_buffers"] = gl.getExtension("WEBGL_draw_buffers");
+		gl.extensions["EXT_shader_texture_lod"] = gl.getExtension("EXT_shader_texture_lod");
+		gl.extensions["EXT_sRGB"] = gl.getExtension("EXT_sRGB");
+		gl.extensions["OES_fbo_render_mipmap"] = gl.getExtension("OES_fbo_render_mipmap"); //render to mipmap levels in webgl 1
+		gl.extensions["EXT_texture_filter_anisotropic"] = gl.getExtension("EXT_texture_filter_anisotropic") || gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic") || gl.getExtension("MOZ_EXT_texture_filter_anisotropic");
+		gl.extensions["EXT_frag_depth"] = gl.getExtension("EXT_frag_depth") || gl.getExtension("WEBKIT_EXT_frag_depth") || gl.getExtension("MOZ_EXT_frag_depth");
+		gl.extensions["WEBGL_lose_context"] = gl.getExtension("WEBGL_lose_context") || gl.getExtension("WEBKIT_WEBGL_lose_context") || gl.getExtension("MOZ_WEBGL_lose_context");
+		gl.extensions["ANGLE_instanced_arrays"] = gl.getExtension("ANGLE_instanced_arrays");
+		gl.extensions["disjoint_timer_query"] = gl.getExtension( gl.webgl_version == 1 ? "EXT_disjoint_timer_query" : "EXT_disjoint_timer_query_webgl2" );
+
+		//compressed texture formats (used by GL.KTX)
+		var compressed_extensions = ["WEBGL_compressed_texture_s3tc","WEBGL_compressed_texture_s3tc_srgb","EXT_texture_compression_rgtc","EXT_texture_compression_bptc","WEBGL_compressed_texture_etc","WEBGL_compressed_texture_etc1","WEBGL_compressed_texture_astc"];
+		for(var i = 0; i < compressed_extensions.length; ++i)
+			gl.extensions[ compressed_extensions[i] ] = gl.getExtension( compressed_extensions[i] );
+		if(!gl.extensions["WEBGL_compressed_texture_s3tc"])
+			gl.extensions["WEBGL_compressed_texture_s3tc"] = gl.getExtension("WEBKIT_WEBGL_compressed_texture_s3tc");
+
+		//for float textures
+		gl.extensions["OES_texture_float_linear"] = gl.getExtension("OES_texture_float_linear");
+		if(gl.extensions["OES_texture_float_linear"])
+			gl.extensions["OES_texture_float"] = gl.getExtension("OES_texture_float");
+		gl.extensions["EXT_color_buffer_float"] = gl.getExtension("EXT_color_buffer_float");
+
+		//for half float textures in webgl 1 require extension
+		gl.extensions["OES_texture_half_float_linear"] = gl.getExtension("OES_texture_half_float_linear");
+		if(gl.extensions["OES_texture_half_float_linear"])
+			gl.extensions["OES_texture_half_float"] = gl.getExtension("OES_texture_half_float");
+
+		if( gl.webgl_version == 1 )
+			gl.HIGH_PRECISION_FORMAT = gl.extensions["OES_texture_half_float"] ? GL.HALF_FLOAT_OES : (gl.extensions["OES_texture_float"] ? GL.FLOAT : GL.UNSIGNED_BYTE); //because Firefox dont support half float
+		else
+			gl.HIGH_PRECISION_FORMAT = GL.HALF_FLOAT_OES;
+
+		gl.max_texture_units = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+
+		//vertex array objects are native in webgl 2, in webgl 1 we use the same methods through the extension
+		if( gl.webgl_version == 1 )
+		{
+			var vao_ext = gl.extensions["OES_vertex_array_object"] = gl.getExtension("OES_vertex_array_object");
+			if( vao_ext )
+			{
+				gl.createVertexArray = function() { return vao_ext.createVertexArrayOES(); };
+				gl.bindVertexArray = function(vao) { vao_ext.bindVertexArrayOES(vao); };
+				gl.deleteVertexArray = function(vao) { vao_ext.deleteVertexArrayOES(vao); };
+			}
+			else
+				gl.createVertexArray = gl.bindVertexArray = gl.deleteVertexArray = null;
 
-	gl.max_texture_units = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+			//timer queries use the same methods than webgl 2 queries
+			var timer_ext = gl.extensions["disjoint_timer_query"];
+			if( timer_ext )
+			{
+				gl.createQuery = function() { return timer_ext.createQueryEXT(); };
+				gl.deleteQuery = function(query) { timer_ext.deleteQueryEXT(query); };
+				gl.beginQuery = function(target, query) { timer_ext.beginQueryEXT(target, query); };
+				gl.endQuery = function(target) { timer_ext.endQueryEXT(target); };
+				gl.getQueryParameter = function(query, pname) { return timer_ext.getQueryObjectEXT(query, pname); };
+			}
+			else
+				gl.createQuery = gl.deleteQuery = gl.beginQuery = gl.endQuery = gl.getQueryParameter = null;
+		}
+	}
+	loadExtensions();
 
 	//viewport hack to retrieve it without using getParameter (which is slow and generates garbage)
 	if(!gl._viewport_func)
@@ -922,8 +961,42 @@ GL.create = function(options) {
 		gl.context_lost = true;
 		if(gl.onlosecontext)
 			gl.onlosecontext(e);
+		LEvent.trigger( gl, "contextlost", e );
+	}, false);
+
+	gl.canvas.addEventListener("webglcontextrestored", function(e) {
+		gl.context_lost = false;
+		gl.restoreContext();
 	}, false);
 
+	/**
+	* called when the context has been restored after a loss, it recreates all the resources that still have their data in memory
+	* (buffers with data, shaders, textures with their image or pixels, FBOs). Afterwards it calls gl.onrestorecontext and triggers the LEvent "contextrestored"
+	* passing the list of resources whose content could not be restored (they are recreated empty) so the app can fill them again
+	* @method gl.restoreContext
+	* @return {Array} resources whose content was lost
+	*/
+	gl.restoreContext = function()
+	{
+		loadExtensions();
+
+		//remove handlers cached in the context, they belong to the old one
+		this._framebuffer = null;
+		this._renderbuffer = null;
+		this._renderbuffers_pool = {};
+		this._color_renderbuffer = null;
+		this.__copy_fbo = null;
+		Shader._instancing_arrays.length = 0;
+
+		var lost = GL.restoreResources( this );
+
+		this.reset();
+		if(this.onrestorecontext)
+			this.onrestorecontext( lost );
+		LEvent.trigger( this, "contextrestored", lost );
+		return lost;
+	}
+
 	/**
 	* use it to reset the the initial gl state
 	* @method gl.reset
@@ -965,6 +1038,138 @@ GL.create = function(options) {
 	return gl;
 }
 
+/**
+* Registry of all the resources created in every context (by context_id), used to restore them if the context is lost.
+* When WeakRef is supported the registry doesnt prevent the resources from being garbage collected, otherwise they are removed when calling delete
+* Every registry stores a Set with the resources (or their WeakRefs) and, with weak references, a WeakMap to find the WeakRef of a resource so removing it is fast
+* @property GL.resources_registry
+*/
+GL.resources_registry = {};
+GL.use_weak_references = typeof(WeakRef) !== "undefined";
+
+/**
+* Adds a resource (GL.Buffer, GL.Mesh, GL.Texture, GL.Shader or GL.FBO) to the registry of its context, called from the constructors
+* @method GL.registerResource
+* @param {Object} resource
+* @param {WebGLRenderingContext} gl [optional] the context of the resource, if omitted resource.gl is used
+*/
+GL.registerResource = function( resource, gl )
+{
+	gl = gl || resource.gl;
+	if(!gl)
+		return;
+	var registry = GL.resources_registry[ gl.context_id ];
+	if(!registry)
+		registry = GL.resources_registry[ gl.context_id ] = { items: new Set(), refs: GL.use_weak_references ? new WeakMap() : null, max_size: 1024 };
+	if( GL.use_weak_references )
+	{
+		if( registry.refs.has( resource ) )
+			return;
+		var ref = new WeakRef( resource );
+		registry.refs.set( resource, ref );
+		registry.items.add( ref );
+	}
+	else
+		registry.items.add( resource );
+
+	//remove the references to collected resources from time to time
+	if( registry.items.size > registry.max_size )
+		registry.max_size = Math.max( 1024, GL.getResources( gl ).length * 2 );
+}
+
+/**
+* Removes a resource from the registry of its context, called from delete
+* @method GL.unregisterResource
+* @param {Object} resource
+* @param {WebGLRenderingContext} gl [optional] the context of the resource, if omitted resource.gl is used
+*/
+GL.unregisterResource = function( resource, gl )
+{
+	gl = gl || resource.gl;
+	if(!gl)
+		return;
+	var registry = GL.resources_registry[ gl.context_id ];
+	if(!registry)
+		return;
+	if( !GL.use_weak_references )
+	{
+		registry.items.delete( resource );
+		return;
+	}
+	var ref = registry.refs.get( resource );
+	if(!ref)
+		return;
+	registry.items.delete( ref );
+	registry.refs.delete( resource );
+}
+
+/**
+* Returns all the resources alive in the registry of a context
+* @method GL.getResources
+* @param {WebGLRenderingContext} gl [optional]
+* @return {Array} resources
+*/
+GL.getResources = function( gl )
+{
+	gl = gl || global.gl;
+	var registry = GL.resources_registry[ gl.context_id ];
+	if(!registry)
+		return [];
+	if(!GL.use_weak_references)
+		return Array.from( registry.items );
+
+	//the references of collected resources are removed
+	var result = [];
+	registry.items.forEach( function( ref ) {
+		var item = ref.deref();
+		if(item)
+			result.push( item );
+		else
+			registry.items.delete( ref );
+	});
+	return result;
+}
+
+/**
+* Recreates all the resources of a context after a context loss. Buffers first, then textures, shaders, meshes and finally FBOs (they need the textures)
+* @method GL.restoreResources
+* @param {WebGLRenderingContext} gl [optional]
+* @return {Array} resources whose content could not be restored
+*/
+GL.restoreResources = function( gl )
+{
+	gl = gl || global.gl;
+	var resources = GL.getResources( gl );
+	var lost = [];
+
+	var priorities = [ GL.Buffer, GL.Texture, GL.Shader ];
+	resources.sort( function(a,b) { return getPriority(a) - getPriority(b); } );
+
+	for(var i = 0; i < resources.length; ++i)
+	{
+		var resource = resources[i];
+		try
+		{
+			if( !resource.restore() )
+				lost.push( resource );
+		}
+		catch (err)
+		{
+			console.error( "Error restoring resource: ", err );
+			lost.push( resource );
+		}
+	}
+	return lost;
+
+	function getPriority( resource )
+	{
+		if( resource.constructor === GL.FBO )
+			return priorities.length + 1;
+		var index = priorities.indexOf( resource.constructor );
+		return index == -1 ? priorities.length : index;
+	}
+}
+
 GL.mapKeyCode = function(code)
 {
 	var named = {
@@ -1,6 +1,7 @@
 /** 
 * FBO for FrameBufferObjects, FBOs are used to store the render inside one or several textures 
 * Supports multibuffer and depthbuffer texture, useful for deferred rendering
+* TEXTURE_3D and TEXTURE_2D_ARRAY textures are attached by layer (see setLayer), useful for rendering to volumes or shadowmap cascades
 * @namespace GL
 * @class FBO
 * @param {Array} color_textures an array containing the color textures, if not supplied a render buffer will be used
@@ -22,7 +23,10 @@ function FBO( textures, depth_texture, stencil, gl )
 	this.height = -1;
 	this.color_textures = [];
 	this.depth_texture = null;
+	this.color_layers = []; //layer attached of every color texture with layers
+	this.depth_layer = 0;
 	this.stencil = !!stencil;
+	this.srgb = false; //true if the color textures are sRGB, then the GPU converts the linear output of the shaders
 
 	this._stencil_enabled = false;
 	this._num_binded_textures = 0;
@@ -35,6 +39,9 @@ function FBO( textures, depth_texture, stencil, gl )
 	//save state
 	this._old_fbo_handler = null;
 	this._old_viewport = new Float32Array(4);
+
+	//to restore it if the context is lost
+	GL.registerResource( this, gl );
 }
 
 GL.FBO = FBO;
@@ -144,8 +151,10 @@ FBO.prototype.update = function( skip_disable )
 			}
 			else if (type != t.type)
 				throw("Cannot bind textures to a FBO with different pixel formats");
-			if (t.texture_type != gl.TEXTURE_2D)
+			if (t.texture_type == gl.TEXTURE_CUBE_MAP)
 				throw("Cannot bind a Cubemap to a FBO");
+			if (t.internalFormat == GL.SRGB8 || t.format == GL.SRGB_EXT)
+				throw("Cannot bind sRGB textures without alpha to a FBO, use gl.RGBA");
 		}
 	else
 	{
@@ -155,6 +164,7 @@ FBO.prototype.update = function( skip_disable )
 
 	this.width = w;
 	this.height = h;
+	this.srgb = !!(color_textures && color_textures.length && color_textures[0].srgb);
 
 	gl.bindFramebuffer( gl.FRAMEBUFFER, this.handler );
 
@@ -179,10 +189,11 @@ FBO.prototype.update = function( skip_disable )
 		if(this.stencil && depth_texture.format !== gl.DEPTH_STENCIL )
 			console.warn("Stencil cannot be enabled if there is a depth texture with a DEPTH_STENCIL format");
 
-		if( depth_texture.format == gl.DEPTH_STENCIL )
-			gl.framebufferTexture2D( target, gl.DEPTH_STENCIL_ATTACHMENT, gl.TEXTURE_2D, depth_texture.handler, 0);
+		var attachment = depth_texture.format == gl.DEPTH_STENCIL ? gl.DEPTH_STENCIL_ATTACHMENT : gl.DEPTH_ATTACHMENT;
+		if( depth_texture.texture_type == gl.TEXTURE_2D_ARRAY )
+			gl.framebufferTextureLayer( target, attachment, depth_texture.handler, 0, this.depth_layer );
 		else
-			gl.framebufferTexture2D( target, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, depth_texture.handler, 0);
+			gl.framebufferTexture2D( target, attachment, gl.TEXTURE_2D, depth_texture.handler, 0);
 	}
 	else //create a renderbuffer to store depth
 	{
@@ -221,7 +232,10 @@ FBO.prototype.update = function( skip_disable )
 			var t = color_textures[i];
 
 			//not a bug, gl.COLOR_ATTACHMENT0 + i because COLOR_ATTACHMENT is sequential numbers
-			gl.framebufferTexture2D( target, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, t.handler, 0 );
+			if( t.texture_type == gl.TEXTURE_3D || t.texture_type == gl.TEXTURE_2D_ARRAY )
+				gl.framebufferTextureLayer( target, gl.COLOR_ATTACHMENT0 + i, t.handler, 0, this.color_layers[i] || 0 );
+			else
+				gl.framebufferTexture2D( target, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, t.handler, 0 );
 			this.order.push( gl.COLOR_ATTACHMENT0 + i );
 		}
 	}
@@ -359,10 +373,70 @@ FBO.prototype.switchTo = function( next_fbo )
 	FBO.current = next_fbo;
 }
 
+/**
+* Changes the layer attached of a TEXTURE_3D or TEXTURE_2D_ARRAY color texture (the FBO is left binded if it was binded)
+* @method setLayer
+* @param {number} layer
+* @param {number} index [optional] index of the color texture, default 0
+*/
+FBO.prototype.setLayer = function( layer, index )
+{
+	index = index || 0;
+	var texture = this.color_textures[ index ];
+	if( !texture || (texture.texture_type != GL.TEXTURE_3D && texture.texture_type != GL.TEXTURE_2D_ARRAY) )
+		throw("FBO.setLayer: the color texture must be TEXTURE_3D or TEXTURE_2D_ARRAY");
+	this.color_layers[ index ] = layer;
+	this._attachLayer( this.gl.COLOR_ATTACHMENT0 + index, texture, layer );
+}
+
+/**
+* Changes the layer attached of a TEXTURE_2D_ARRAY depth texture
+* @method setDepthLayer
+* @param {number} layer
+*/
+FBO.prototype.setDepthLayer = function( layer )
+{
+	var texture = this.depth_texture;
+	if( !texture || texture.texture_type != GL.TEXTURE_2D_ARRAY )
+		throw("FBO.setDepthLayer: the depth texture must be TEXTURE_2D_ARRAY");
+	this.depth_layer = layer;
+	this._attachLayer( texture.format == GL.DEPTH_STENCIL ? this.gl.DEPTH_STENCIL_ATTACHMENT : this.gl.DEPTH_ATTACHMENT, texture, layer );
+}
+
+FBO.prototype._attachLayer = function( attachment, texture, layer )
+{
+	var gl = this.gl;
+	var old_fbo = gl.getParameter( gl.FRAMEBUFFER_BINDING );
+	if( old_fbo != this.handler )
+		gl.bindFramebuffer( gl.FRAMEBUFFER, this.handler );
+	gl.framebufferTextureLayer( gl.FRAMEBUFFER, attachment, texture.handler, 0, layer );
+	if( old_fbo != this.handler )
+		gl.bindFramebuffer( gl.FRAMEBUFFER, old_fbo );
+}
+
 FBO.prototype.delete = function()
 {
 	gl.deleteFramebuffer( this.handler );
 	this.handler = null;
+	GL.unregisterResource( this );
+}
+
+/**
+* Recreates the FBO after a context loss, the textures must be restored before
+* @method restore
+* @return {Boolean} true
+*/
+FBO.prototype.restore = function()
+{
+	this.handler = null;
+	this._depth_renderbuffer = null;
+	this._color_renderbuffer = null;
+	this._num_binded_textures = 0;
+	if( this.depth_texture && this.depth_texture.constructor !== GL.Texture ) //renderbuffer from the old context
+		this.depth_texture = null;
+	if( this.color_textures.length || this.depth_texture )
+		this.update();
+	return true;
 }
 
 //WebGL 1.0 support for certaing FBOs is not very clear and can crash sometimes
@@ -0,0 +1,687 @@
+/**
+* @namespace GL
+*/
+
+/**
+* Parsers for high dynamic range images: Radiance RGBE (.hdr) and OpenEXR (.exr, scanline images without compression or with ZIP/ZIPS). <br/>
+* The pixels are returned as RGBA floats (Float32Array) or half floats (Uint16Array), from top to bottom like a regular image. <br/>
+* To upload a file use GL.Texture.fromURL or GL.Texture.fromHDRInMemory
+* @class HDR
+*/
+GL.HDR = {};
+
+GL.HDR.EXR_MAGIC = 20000630;
+
+/**
+* Tells the format of a HDR file checking the first bytes
+* @method HDR.getFormat
+* @param {ArrayBuffer} data
+* @return {String} "hdr", "exr" or null if it is not a HDR file
+*/
+GL.HDR.getFormat = function( data )
+{
+	if(!data || data.byteLength < 4)
+		return null;
+	var bytes = new Uint8Array( data, 0, 4 );
+	if( bytes[0] == 0x23 && bytes[1] == 0x3F ) //#?
+		return "hdr";
+	if( new DataView( data ).getInt32( 0, true ) == GL.HDR.EXR_MAGIC )
+		return "exr";
+	return null;
+}
+
+/**
+* Parses a .hdr or .exr file
+* @method HDR.parse
+* @param {ArrayBuffer} data
+* @param {Boolean} half [optional] return the pixels as half floats (Uint16Array) instead of Float32Array
+* @return {Object} { width, height, pixels (RGBA from top to bottom), type (GL.FLOAT or GL.HALF_FLOAT) } plus the info of the format
+*/
+GL.HDR.parse = function( data, half )
+{
+	if(data.constructor !== ArrayBuffer) //typed array
+		data = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+	var format = GL.HDR.getFormat( data );
+	if( format == "hdr" )
+		return GL.HDR.parseRGBE( data, half );
+	if( format == "exr" )
+		return GL.HDR.parseEXR( data, half );
+	throw("HDR: unknown file format");
+}
+
+/**
+* Parses a Radiance RGBE file (flat or run length encoded scanlines)
+* The EXPOSURE of the header is not applied, it is returned in the info
+* @method HDR.parseRGBE
+* @param {ArrayBuffer} data
+* @param {Boolean} half [optional] return the pixels as half floats
+* @return {Object} { width, height, pixels, type, exposure, gamma }
+*/
+GL.HDR.parseRGBE = function( data, half )
+{
+	var bytes = new Uint8Array( data );
+	var pos = 0;
+	function readLine()
+	{
+		var line = "";
+		while( pos < bytes.length && bytes[pos] != 10 )
+			line += String.fromCharCode( bytes[pos++] );
+		pos++; //\n
+		return line;
+	}
+
+	var info = { exposure: 1, gamma: 1 };
+	var line = readLine();
+	if( line.indexOf("#?") != 0 )
+		throw("HDR: not a Radiance file");
+	while( (line = readLine()).length ) //the header ends with an empty line
+	{
+		if( line[0] == "#" )
+			continue;
+		var index = line.indexOf("=");
+		if( index == -1 )
+			continue;
+		var key = line.substr( 0, index ).trim();
+		var value = line.substr( index + 1 ).trim();
+		if( key == "FORMAT" && value != "32-bit_rle_rgbe" )
+			throw("HDR: format not supported: " + value );
+		else if( key == "EXPOSURE" )
+			info.exposure *= parseFloat( value ); //it can appear several times
+		else if( key == "GAMMA" )
+			info.gamma = parseFloat( value );
+	}
+
+	var resolution = readLine().split(/\s+/);
+	if( resolution.length != 4 || resolution[2] != "+X" || (resolution[0] != "-Y" && resolution[0] != "+Y") )
+		throw("HDR: image orientation not supported: " + resolution.join(" ") );
+	var height = info.height = parseInt( resolution[1] );
+	var width = info.width = parseInt( resolution[3] );
+	var bottom_up = resolution[0] == "+Y";
+
+	var rgbe = new Uint8Array( width * height * 4 );
+	var scanline = new Uint8Array( width * 4 );
+	for(var y = 0; y < height; ++y)
+	{
+		if( pos + 4 > bytes.length )
+			throw("HDR: unexpected end of file");
+		if( width < 8 || width > 0x7fff || bytes[pos] != 2 || bytes[pos+1] != 2 || (bytes[pos+2] & 0x80) )
+			pos = readFlatScanline( bytes, pos, scanline, width );
+		else
+		{
+			//new run length encoding, every channel is encoded separately
+			if( ((bytes[pos+2] << 8) | bytes[pos+3]) != width )
+				throw("HDR: wrong scanline width");
+			pos += 4;
+			for(var c = 0; c < 4; ++c)
+			{
+				var x = 0;
+				while( x < width )
+				{
+					if( pos >= bytes.length )
+						throw("HDR: unexpected end of file");
+					var count = bytes[pos++];
+					var run = count > 128;
+					if( run )
+						count -= 128;
+					if( count == 0 || x + count > width )
+						throw("HDR: wrong run length in scanline");
+					if( pos + (run ? 1 : count) > bytes.length )
+						throw("HDR: unexpected end of file");
+					if( run )
+					{
+						var value = bytes[pos++];
+						for(var i = 0; i < count; ++i)
+							scanline[ (x++) * 4 + c ] = value;
+					}
+					else //literal
+						for(var i = 0; i < count; ++i)
+							scanline[ (x++) * 4 + c ] = bytes[pos++];
+				}
+			}
+		}
+		rgbe.set( scanline, (bottom_up ? height - 1 - y : y) * width * 4 );
+	}
+
+	var pixels = half ? new Uint16Array( width * height * 4 ) : new Float32Array( width * height * 4 );
+	for(var i = 0; i < rgbe.length; i += 4)
+	{
+		var e = rgbe[i+3];
+		var f = e ? Math.pow( 2, e - 136 ) : 0; //mantissa / 256 * 2^(e - 128)
+		var r = rgbe[i] * f;
+		var g = rgbe[i+1] * f;
+		var b = rgbe[i+2] * f;
+		if( half )
+		{
+			pixels[i] = GL.HDR.floatToHalf( r );
+			pixels[i+1] = GL.HDR.floatToHalf( g );
+			pixels[i+2] = GL.HDR.floatToHalf( b );
+			pixels[i+3] = 0x3C00; //1.0
+		}
+		else
+		{
+			pixels[i] = r;
+			pixels[i+1] = g;
+			pixels[i+2] = b;
+			pixels[i+3] = 1;
+		}
+	}
+	info.pixels = pixels;
+	info.type = half ? GL.HALF_FLOAT : GL.FLOAT;
+	return info;
+}
+
+//flat scanline, it can contain the old run length encoding (1,1,1,count repeats the previous pixel)
+function readFlatScanline( bytes, pos, scanline, width )
+{
+	var x = 0;
+	var shift = 0;
+	while( x < width )
+	{
+		if( pos + 4 > bytes.length )
+			throw("HDR: unexpected end of file");
+		if( bytes[pos] == 1 && bytes[pos+1] == 1 && bytes[pos+2] == 1 && x > 0 )
+		{
+			var count = bytes[pos+3] << shift;
+			for(var i = 0; i < count && x < width; ++i, ++x)
+				scanline.copyWithin( x * 4, (x - 1) * 4, x * 4 );
+			shift += 8;
+		}
+		else
+		{
+			scanline.set( bytes.subarray( pos, pos + 4 ), x * 4 );
+			x++;
+			shift = 0;
+		}
+		pos += 4;
+	}
+	return pos;
+}
+
+/**
+* Encodes pixels as a Radiance RGBE file (run length encoded), it is the "hdr" encoder of GL.Texture.encoders
+* @method HDR.encodeRGBE
+* @param {Float32Array|Uint16Array|Uint8Array} pixels RGB or RGBA pixels (like the ones returned by Texture.getPixels), float, half float or bytes (0..255)
+* @param {Number} width
+* @param {Number} height
+* @param {Object} options [optional] { flip_y: store the rows in reverse order (getPixels returns the bottom row first) }
+* @return {Uint8Array} the file
+*/
+GL.HDR.encodeRGBE = function( pixels, width, height, options )
+{
+	options = options || {};
+	var channels = Math.round( pixels.length / (width * height) );
+	var half = pixels.constructor === Uint16Array;
+	var scale = pixels.constructor === Uint8Array ? 1 / 255 : 1;
+
+	var header = "#?RADIANCE\n# Made with litegl.js\nFORMAT=32-bit_rle_rgbe\n\n-Y " + height + " +X " + width + "\n";
+	var out = new Uint8Array( header.length + height * (4 + 4 * (width + Math.ceil( width / 128 ) + 1)) ); //worst case
+	for(var i = 0; i < header.length; ++i)
+		out[i] = header.charCodeAt(i);
+	var pos = header.length;
+
+	var line = new Uint8Array( width * 4 );
+	var color = [0,0,0];
+	var use_rle = width >= 8 && width <= 0x7fff;
+	for(var y = 0; y < height; ++y)
+	{
+		var row = (options.flip_y ? height - 1 - y : y) * width * channels;
+		for(var x = 0; x < width; ++x)
+		{
+			var index = row + x * channels;
+			for(var c = 0; c < 3; ++c)
+				color[c] = Math.max( 0, half ? GL.HDR.halfToFloat( pixels[index + c] ) : pixels[index + c] * scale );
+			var max = Math.max( color[0], color[1], color[2] );
+			if( max < 1e-32 || max != max ) //black or NaN
+			{
+				line[x*4] = line[x*4+1] = line[x*4+2] = line[x*4+3] = 0;
+				continue;
+			}
+			var exponent = Math.min( 127, Math.floor( Math.log2( max ) ) + 1 ); //max = mantissa * 2^exponent, mantissa in [0.5,1)
+			var factor = 256 / Math.pow( 2, exponent );
+			if( max * factor >= 256 ) //rounding of log2
+			{
+				exponent += 1;
+				factor *= 0.5;
+			}
+			for(var c = 0; c < 3; ++c)
+				line[x*4+c] = Math.min( 255, Math.floor( color[c] * factor ) );
+			line[x*4+3] = Math.max( 0, exponent + 128 );
+		}
+
+		if( !use_rle )
+		{
+			out.set( line, pos );
+			pos += line.length;
+			continue;
+		}
+		out[pos++] = 2;
+		out[pos++] = 2;
+		out[pos++] = width >> 8;
+		out[pos++] = width & 255;
+		for(var c = 0; c < 4; ++c)
+			pos = writeRGBEChannel( line, c, width, out, pos );
+	}
+	return out.slice( 0, pos );
+}
+
+GL.Texture.encoders.hdr = GL.HDR.encodeRGBE;
+
+//run length encoding of one channel of a scanline: runs of 4 or more equal values, the rest as literals
+function writeRGBEChannel( line, c, width, out, pos )
+{
+	var x = 0;
+	while( x < width )
+	{
+		var run_start = x;
+		var run_length = 0;
+		while( run_start < width )
+		{
+			var value = line[ run_start * 4 + c ];
+			run_length = 1;
+			while( run_start + run_length < width && run_length < 127 && line[ (run_start + run_length) * 4 + c ] == value )
+				run_length++;
+			if( run_length >= 4 )
+				break;
+			run_start += run_length;
+		}
+		while( x < run_start ) //literals before the run
+		{
+			var count = Math.min( 128, run_start - x );
+			out[pos++] = count;
+			for(var i = 0; i < count; ++i, ++x)
+				out[pos++] = line[ x * 4 + c ];
+		}
+		if( run_length >= 4 && run_start < width )
+		{
+			out[pos++] = 128 + run_length;
+			out[pos++] = line[ run_start * 4 + c ];
+			x = run_start + run_length;
+		}
+	}
+	return pos;
+}
+
+//EXR compression modes: scanlines per block, only NONE, ZIPS and ZIP are supported
+var EXR_COMPRESSIONS = { 0: 1, 2: 1, 3: 16 };
+var EXR_COMPRESSION_NAMES = ["NONE","RLE","ZIPS","ZIP","PIZ","PXR24","B44","B44A","DWAA","DWAB"];
+
+/**
+* Parses an OpenEXR file, only single part scanline images without compression or with ZIP/ZIPS. <br/>
+* The R,G,B,A channels are used (Y for luminance images), missing color channels are 0 and alpha is 1
+* @method HDR.parseEXR
+* @param {ArrayBuffer} data
+* @param {Boolean} half [optional] return the pixels as half floats
+* @return {Object} { width, height, pixels, type, channels: [{ name, type (0: uint, 1: half, 2: float) }], compression, attributes }
+*/
+GL.HDR.parseEXR = function( data, half )
+{
+	var view = new DataView( data );
+	var bytes = new Uint8Array( data );
+	if( view.getInt32( 0, true ) != GL.HDR.EXR_MAGIC )
+		throw("EXR: not an OpenEXR file");
+	var flags = view.getUint32( 4, true );
+	if( flags & 0x200 )
+		throw("EXR: tiled images not supported");
+	if( flags & 0x1000 )
+		throw("EXR: multipart files not supported");
+
+	var pos = 8;
+	function readString()
+	{
+		var str = "";
+		while( bytes[pos] )
+			str += String.fromCharCode( bytes[pos++] );
+		pos++;
+		return str;
+	}
+
+	//header attributes
+	var info = { attributes: {}, channels: [], compression: 0 };
+	while( bytes[pos] )
+	{
+		var name = readString();
+		var type = readString();
+		var size = view.getInt32( pos, true );
+		pos += 4;
+		var end = pos + size;
+		if( type == "chlist" )
+		{
+			while( bytes[pos] )
+			{
+				var channel = { name: readString(), type: view.getInt32( pos, true ) };
+				if( view.getInt32( pos + 8, true ) != 1 || view.getInt32( pos + 12, true ) != 1 )
+					throw("EXR: subsampled channels not supported");
+				info.channels.push( channel );
+				pos += 16;
+			}
+		}
+		else if( type == "compression" )
+			info.compression = bytes[pos];
+		else if( type == "box2i" )
+			info.attributes[ name ] = [ view.getInt32( pos, true ), view.getInt32( pos + 4, true ), view.getInt32( pos + 8, true ), view.getInt32( pos + 12, true ) ];
+		else if( type == "float" )
+			info.attributes[ name ] = view.getFloat32( pos, true );
+		else if( type == "int" )
+			info.attributes[ name ] = view.getInt32( pos, true );
+		else if( type == "string" )
+			info.attributes[ name ] = String.fromCharCode.apply( null, bytes.subarray( pos, end ) );
+		pos = end;
+	}
+	pos++; //end of header
+
+	var lines_per_block = EXR_COMPRESSIONS[ info.compression ];
+	if( !lines_per_block )
+		throw("EXR: compression not supported: " + (EXR_COMPRESSION_NAMES[ info.compression ] || info.compression) );
+	var data_window = info.attributes.dataWindow;
+	if( !data_window )
+		throw("EXR: dataWindow missing");
+	var width = info.width = data_window[2] - data_window[0] + 1;
+	var height = info.height = data_window[3] - data_window[1] + 1;
+
+	//where every channel goes in the RGBA output and the offset of its samples in a scanline
+	var channels = info.channels;
+	var line_size = 0;
+	var targets = { R: 0, G: 1, B: 2, A: 3 };
+	var has_color = false;
+	for(var i = 0; i < channels.length; ++i)
+	{
+		var channel = channels[i];
+		channel.bytes = channel.type == 1 ? 2 : 4;
+		channel.offset = line_size * width; //channels are stored one after another in every scanline
+		channel.target = targets[ channel.name ] != null ? targets[ channel.name ] : -1;
+		if( channel.target != -1 && channel.target != 3 )
+			has_color = true;
+		line_size += channel.bytes;
+	}
+	if( !has_color ) //luminance
+		for(var i = 0; i < channels.length; ++i)
+			if( channels[i].name == "Y" )
+				channels[i].target = 4;
+	line_size *= width;
+
+	var pixels = half ? new Uint16Array( width * height * 4 ) : new Float32Array( width * height * 4 );
+	var one = half ? 0x3C00 : 1;
+	for(var i = 3; i < pixels.length; i += 4)
+		pixels[i] = one;
+
+	//the offsets table is not needed, the chunks come after it
+	var num_blocks = Math.ceil( height / lines_per_block );
+	pos += num_blocks * 8;
+	for(var b = 0; b < num_blocks; ++b)
+	{
+		var block_y = view.getInt32( pos, true ) - data_window[1];
+		var data_size = view.getInt32( pos + 4, true );
+		pos += 8;
+		var num_lines = Math.min( lines_per_block, height - block_y );
+		var raw_size = num_lines * line_size;
+		var block = bytes.subarray( pos, pos + data_size );
+		if( info.compression != 0 && data_size < raw_size ) //blocks that do not compress well are stored raw
+			block = unpredictEXR( inflateZlib( block, raw_size ) );
+		var block_view = new DataView( block.buffer, block.byteOffset, block.byteLength );
+		pos += data_size;
+
+		for(var l = 0; l < num_lines; ++l)
+		{
+			var row = (block_y + l) * width * 4;
+			for(var c = 0; c < channels.length; ++c)
+			{
+				var channel = channels[c];
+				if( channel.target == -1 )
+					continue;
+				var offset = l * line_size + channel.offset;
+				for(var x = 0; x < width; ++x)
+				{
+					var value; //as half or float depending on the output
+					if( channel.type == 1 )
+					{
+						value = block_view.getUint16( offset + x * 2, true );
+						if( !half )
+							value = GL.HDR.halfToFloat( value );
+					}
+					else
+					{
+						value = channel.type == 2 ? block_view.getFloat32( offset + x * 4, true ) : block_view.getUint32( offset + x * 4, true );
+						if( half )
+							value = GL.HDR.floatToHalf( value );
+					}
+					var index = row + x * 4;
+					if( channel.target == 4 )
+						pixels[index] = pixels[index+1] = pixels[index+2] = value;
+					else
+						pixels[index + channel.target] = value;
+				}
+			}
+		}
+	}
+
+	info.pixels = pixels;
+	info.type = half ? GL.HALF_FLOAT : GL.FLOAT;
+	return info;
+}
+
+//ZIP compressed EXR data is stored as deltas and with the bytes split in two halves
+function unpredictEXR( data )
+{
+	for(var i = 1; i < data.length; ++i)
+		data[i] = data[i-1] + data[i] - 128;
+	var result = new Uint8Array( data.length );
+	var half_size = (data.length + 1) >> 1;
+	for(var i = 0, j = 0; i < data.length; i += 2, ++j)
+	{
+		result[i] = data[j];
+		if( i + 1 < data.length )
+			result[i+1] = data[ half_size + j ];
+	}
+	return result;
+}
+
+//tables of deflate (RFC 1951)
+var INFLATE_LENGTH_BASE = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258];
+var INFLATE_LENGTH_EXTRA = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0];
+var INFLATE_DIST_BASE = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];
+var INFLATE_DIST_EXTRA = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+var INFLATE_CODE_ORDER = [16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];
+var inflate_fixed_tables = null;
+
+//minimal zlib decompressor (RFC 1950), size is the size of the uncompressed data
+function inflateZlib( data, size )
+{
+	var out = new Uint8Array( size );
+	var out_pos = 0;
+	var pos = 2; //zlib header
+	var bit_buffer = 0;
+	var bit_count = 0;
+
+	function readBits( n )
+	{
+		while( bit_count < n )
+		{
+			bit_buffer |= (data[pos++] || 0) << bit_count;
+			bit_count += 8;
+		}
+		var value = bit_buffer & ((1 << n) - 1);
+		bit_buffer >>>= n;
+		bit_count -= n;
+		return value;
+	}
+
+	function decodeSymbol( table )
+	{
+		var code = 0, first = 0, index = 0;
+		for(var len = 1; len < 16; ++len)
+		{
+			code |= readBits(1);
+			var count = table.counts[len];
+			if( code - count < first )
+				return table.symbols[ index + code - first ];
+			index += count;
+			first = (first + count) << 1;
+			code <<= 1;
+		}
+		throw("EXR: wrong ZIP data");
+	}
+
+	var final_block = 0;
+	while( !final_block )
+	{
+		final_block = readBits(1);
+		var type = readBits(2);
+		if( type == 0 ) //stored
+		{
+			bit_buffer = bit_count = 0; //align to byte
+			var length = data[pos] | (data[pos+1] << 8);
+			pos += 4;
+			out.set( data.subarray( pos, pos + length ), out_pos );
+			pos += length;
+			out_pos += length;
+			continue;
+		}
+
+		var lengths_table, dist_table;
+		if( type == 1 ) //fixed codes
+		{
+			if( !inflate_fixed_tables )
+			{
+				var lengths = new Uint8Array( 288 + 30 );
+				for(var i = 0; i < 288; ++i)
+					lengths[i] = i < 144 ? 8 : (i < 256 ? 9 : (i < 280 ? 7 : 8));
+				for(var i = 288; i < lengths.length; ++i)
+					lengths[i] = 5;
+				inflate_fixed_tables = [ buildHuffmanTable( lengths, 0, 288 ), buildHuffmanTable( lengths, 288, 30 ) ];
+			}
+			lengths_table = inflate_fixed_tables[0];
+			dist_table = inflate_fixed_tables[1];
+		}
+		else if( type == 2 ) //dynamic codes
+		{
+			var num_lengths = readBits(5) + 257;
+			var num_dists = readBits(5) + 1;
+			var num_codes = readBits(4) + 4;
+			var lengths = new Uint8Array( 19 );
+			for(var i = 0; i < num_codes; ++i)
+				lengths[ INFLATE_CODE_ORDER[i] ] = readBits(3);
+			var codes_table = buildHuffmanTable( lengths, 0, 19 );
+			lengths = new Uint8Array( num_lengths + num_dists );
+			for(var i = 0; i < lengths.length; )
+			{
+				var symbol = decodeSymbol( codes_table );
+				if( symbol < 16 )
+				{
+					lengths[i++] = symbol;
+					continue;
+				}
+				var value = 0, repeat;
+				if( symbol == 16 )
+				{
+					value = lengths[i-1];
+					repeat = 3 + readBits(2);
+				}
+				else if( symbol == 17 )
+					repeat = 3 + readBits(3);
+				else
+					repeat = 11 + readBits(7);
+				while( repeat-- )
+					lengths[i++] = value;
+			}
+			lengths_table = buildHuffmanTable( lengths, 0, num_lengths );
+			dist_table = buildHuffmanTable( lengths, num_lengths, num_dists );
+		}
+		else
+			throw("EXR: wrong ZIP data");
+
+		while( true )
+		{
+			var symbol = decodeSymbol( lengths_table );
+			if( symbol < 256 )
+			{
+				out[ out_pos++ ] = symbol;
+				continue;
+			}
+			if( symbol == 256 ) //end of block
+				break;
+			symbol -= 257;
+			var length = INFLATE_LENGTH_BASE[ symbol ] + readBits( INFLATE_LENGTH_EXTRA[ symbol ] );
+			var dist_symbol = decodeSymbol( dist_table );
+			var from = out_pos - INFLATE_DIST_BASE[ dist_symbol ] - readBits( INFLATE_DIST_EXTRA[ dist_symbol ] );
+			for(var i = 0; i < length; ++i) //it can overlap
+				out[ out_pos++ ] = out[ from + i ];
+		}
+	}
+	return out;
+}
+
+//canonical huffman table: number of codes of every length and the symbols sorted by code
+function buildHuffmanTable( lengths, offset, num )
+{
+	var counts = new Uint16Array(16);
+	var offsets = new Uint16Array(16);
+	var symbols = new Uint16Array( num );
+	for(var i = 0; i < num; ++i)
+		counts[ lengths[ offset + i ] ]++;
+	counts[0] = 0;
+	for(var i = 1; i < 15; ++i)
+		offsets[i+1] = offsets[i] + counts[i];
+	for(var i = 0; i < num; ++i)
+		if( lengths[ offset + i ] )
+			symbols[ offsets[ lengths[ offset + i ] ]++ ] = i;
+	return { counts: counts, symbols: symbols };
+}
+
+var half_float_table = null;
+var half_float_buffer = new Float32Array(1);
+var half_int_buffer = new Uint32Array( half_float_buffer.buffer );
+
+/**
+* Converts a half float (stored in a 16 bits integer) to a number
+* @method HDR.halfToFloat
+* @param {Number} value
+* @return {Number}
+*/
+GL.HDR.halfToFloat = function( value )
+{
+	if( !half_float_table )
+	{
+		half_float_table = new Float32Array( 65536 );
+		for(var i = 0; i < 65536; ++i)
+		{
+			var sign = (i & 0x8000) ? -1 : 1;
+			var exponent = (i >> 10) & 0x1f;
+			var mantissa = i & 0x3ff;
+			if( exponent == 0 ) //denormalized
+				half_float_table[i] = sign * mantissa * Math.pow( 2, -24 );
+			else if( exponent == 31 )
+				half_float_table[i] = mantissa ? NaN : sign * Infinity;
+			else
+				half_float_table[i] = sign * (1 + mantissa / 1024) * Math.pow( 2, exponent - 15 );
+		}
+	}
+	return half_float_table[ value ];
+}
+
+/**
+* Converts a number to a half float (stored in a 16 bits integer), rounded to the nearest
+* @method HDR.floatToHalf
+* @param {Number} value
+* @return {Number}
+*/
+GL.HDR.floatToHalf = function( value )
+{
+	half_float_buffer[0] = value;
+	var bits = half_int_buffer[0];
+	var sign = (bits >>> 16) & 0x8000;
+	var exponent = (bits >>> 23) & 0xff;
+	var mantissa = bits & 0x7fffff;
+	if( exponent == 255 ) //infinity or NaN
+		return sign | 0x7C00 | (mantissa ? 0x200 : 0);
+	exponent -= 112; //127 - 15
+	if( exponent >= 31 ) //too big
+		return sign | 0x7C00;
+	if( exponent <= 0 ) //denormalized
+	{
+		if( exponent < -10 )
+			return sign;
+		mantissa = (mantissa | 0x800000) >> (1 - exponent);
+		return sign | ((mantissa + 0x1000) >> 13);
+	}
+	return sign | (exponent << 10) | ((mantissa + 0x1000) >> 13); //the rounding can carry to the exponent
+}
@@ -44,11 +44,15 @@ GL.STENCIL_BUFFER_BIT = 1024;
 GL.TEXTURE_2D = 3553;
 GL.TEXTURE_CUBE_MAP = 34067;
 GL.TEXTURE_3D = 32879;
+GL.TEXTURE_2D_ARRAY = 35866; //webgl2
 
 GL.TEXTURE_MAG_FILTER = 10240;
 GL.TEXTURE_MIN_FILTER = 10241;
 GL.TEXTURE_WRAP_S = 10242;
 GL.TEXTURE_WRAP_T = 10243;
+GL.TEXTURE_WRAP_R = 32882; //webgl2
+GL.TEXTURE_BASE_LEVEL = 33084; //webgl2
+GL.TEXTURE_MAX_LEVEL = 33085; //webgl2
 
 GL.BYTE = 5120;
 GL.UNSIGNED_BYTE = 5121;
@@ -78,13 +82,17 @@ GL.BOOL_VEC4 = 35673;
 GL.FLOAT_MAT2 = 35674;
 GL.FLOAT_MAT3 = 35675;
 GL.FLOAT_MAT4 = 35676;
+GL.UNSIGNED_INT_VEC2 = 36294; //webgl2
+GL.UNSIGNED_INT_VEC3 = 36295;
+GL.UNSIGNED_INT_VEC4 = 36296;
 
 //used to know the amount of data to reserve per uniform
 GL.TYPE_LENGTH = {};
-GL.TYPE_LENGTH[ GL.FLOAT ] = GL.TYPE_LENGTH[ GL.INT ] = GL.TYPE_LENGTH[ GL.BYTE ] = GL.TYPE_LENGTH[ GL.BOOL ] = 1;
-GL.TYPE_LENGTH[ GL.FLOAT_VEC2 ] = GL.TYPE_LENGTH[ GL.INT_VEC2 ] = GL.TYPE_LENGTH[ GL.BOOL_VEC2 ] = 2;
-GL.TYPE_LENGTH[ GL.FLOAT_VEC3 ] = GL.TYPE_LENGTH[ GL.INT_VEC3 ] = GL.TYPE_LENGTH[ GL.BOOL_VEC3 ] = 3;
-GL.TYPE_LENGTH[ GL.FLOAT_VEC4 ] = GL.TYPE_LENGTH[ GL.INT_VEC4 ] = GL.TYPE_LENGTH[ GL.BOOL_VEC4 ] = 4;
+GL.TYPE_LENGTH[ GL.FLOAT ] = GL.TYPE_LENGTH[ GL.INT ] = GL.TYPE_LENGTH[ GL.UNSIGNED_INT ] = GL.TYPE_LENGTH[ GL.BYTE ] = GL.TYPE_LENGTH[ GL.BOOL ] = 1;
+GL.TYPE_LENGTH[ GL.FLOAT_VEC2 ] = GL.TYPE_LENGTH[ GL.INT_VEC2 ] = GL.TYPE_LENGTH[ GL.UNSIGNED_INT_VEC2 ] = GL.TYPE_LENGTH[ GL.BOOL_VEC2 ] = 2;
+GL.TYPE_LENGTH[ GL.FLOAT_VEC3 ] = GL.TYPE_LENGTH[ GL.INT_VEC3 ] = GL.TYPE_LENGTH[ GL.UNSIGNED_INT_VEC3 ] = GL.TYPE_LENGTH[ GL.BOOL_VEC3 ] = 3;
+GL.TYPE_LENGTH[ GL.FLOAT_VEC4 ] = GL.TYPE_LENGTH[ GL.INT_VEC4 ] = GL.TYPE_LENGTH[ GL.UNSIGNED_INT_VEC4 ] = GL.TYPE_LENGTH[ GL.BOOL_VEC4 ] = 4;
+GL.TYPE_LENGTH[ GL.FLOAT_MAT2 ] = 4;
 GL.TYPE_LENGTH[ GL.FLOAT_MAT3 ] = 9;
 GL.TYPE_LENGTH[ GL.FLOAT_MAT4 ] = 16;
 
@@ -97,8 +105,37 @@ GL.INT_SAMPLER_CUBE = 36300;
 GL.UNSIGNED_INT_SAMPLER_2D = 36306;
 GL.UNSIGNED_INT_SAMPLER_3D = 36307;
 GL.UNSIGNED_INT_SAMPLER_CUBE = 36308;
+GL.SAMPLER_2D_ARRAY = 36289;
+GL.INT_SAMPLER_2D_ARRAY = 36303;
+GL.UNSIGNED_INT_SAMPLER_2D_ARRAY = 36311;
+
+//webgl2 uniform blocks
+GL.UNIFORM_BUFFER = 35345;
+GL.ACTIVE_UNIFORM_BLOCKS = 35382;
+GL.UNIFORM_BLOCK_INDEX = 35386;
+GL.UNIFORM_OFFSET = 35387;
+GL.UNIFORM_ARRAY_STRIDE = 35388;
+GL.UNIFORM_MATRIX_STRIDE = 35389;
+GL.UNIFORM_BLOCK_DATA_SIZE = 35392;
+GL.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES = 35395;
+
+//webgl2 transform feedback
+GL.TRANSFORM_FEEDBACK = 36386;
+GL.TRANSFORM_FEEDBACK_BUFFER = 35982;
+GL.INTERLEAVED_ATTRIBS = 35980;
+GL.SEPARATE_ATTRIBS = 35981;
+GL.RASTERIZER_DISCARD = 35977;
+
+//queries
+GL.QUERY_RESULT = 34918;
+GL.QUERY_RESULT_AVAILABLE = 34919;
+GL.ANY_SAMPLES_PASSED = 35887; //webgl2
+GL.ANY_SAMPLES_PASSED_CONSERVATIVE = 36202; //webgl2
+GL.TIME_ELAPSED = 35007; //EXT_disjoint_timer_query
+GL.GPU_DISJOINT = 36795; //EXT_disjoint_timer_query
 
 GL.DEPTH_COMPONENT = 6402;
+GL.RED = 6403;
 GL.ALPHA = 6406;
 GL.RGB = 6407;
 GL.RGBA = 6408;
@@ -112,6 +149,7 @@ GL.R8 = 33321;
 GL.R16F = 33325;
 GL.R32F = 33326;
 GL.R8UI = 33330;
+GL.RG = 33319;
 GL.RG8 = 33323;
 GL.RG16F = 33327;
 GL.RG32F = 33328;
@@ -124,6 +162,9 @@ GL.RGB16F = 34843;
 GL.RGB32F = 34837;
 GL.RGB8UI = 36221;
 GL.RGBA8 = 32856;
+GL.SRGB8_ALPHA8 = 35907;
+GL.SRGB_EXT = 35904; //webgl1 EXT_sRGB
+GL.SRGB_ALPHA_EXT = 35906; //webgl1 EXT_sRGB
 GL.RGB5_A1 = 32855;
 GL.RGBA16F = 34842;
 GL.RGBA32F = 34836;
@@ -132,6 +173,7 @@ GL.RGBA16I = 36232;
 GL.RGBA16UI = 36214;
 GL.RGBA32I = 36226;
 GL.RGBA32UI = 36208;
+GL.RGBA_INTEGER = 36249; //webgl2
 
 GL.NEAREST = 9728;
 GL.LINEAR = 9729;
@@ -187,6 +229,7 @@ GL.INVERT = 5386;
 GL.STREAM_DRAW = 35040;
 GL.STATIC_DRAW = 35044;
 GL.DYNAMIC_DRAW = 35048;
+GL.STREAM_COPY = 35042; //webgl2
 
 GL.ARRAY_BUFFER = 34962;
 GL.ELEMENT_ARRAY_BUFFER = 34963;
@@ -0,0 +1,614 @@
+/**
+* @namespace GL
+*/
+
+/**
+* Parser for KTX and KTX2 (without supercompression) texture containers. <br/>
+* Compressed formats (BC, ETC and ASTC) are uploaded directly when the GPU supports them, otherwise the BC1-5 and ETC1/ETC2/EAC formats are decoded to RGBA8 in the CPU. <br/>
+* To upload a file use GL.Texture.fromURL or GL.Texture.fromKTXInMemory
+* @class KTX
+*/
+GL.KTX = {};
+
+//the twelve bytes that start every file, only the version changes
+GL.KTX.IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+
+//compressed formats by internal format: extension required, block size in pixels and bytes, and the software decoder (if any)
+GL.KTX.formats = {};
+
+GL.KTX.registerFormat = function( internalFormat, name, extension, block_width, block_height, block_bytes, decoder )
+{
+	GL.KTX.formats[ internalFormat ] = { internalFormat: internalFormat, name: name, extension: extension, block_width: block_width, block_height: block_height, block_bytes: block_bytes, decoder: decoder || null };
+}
+
+/**
+* Tells if the file contains a KTX container
+* @method KTX.getVersion
+* @param {ArrayBuffer} data
+* @return {Number} 1 or 2 for KTX or KTX2, 0 if it is not a KTX file
+*/
+GL.KTX.getVersion = function( data )
+{
+	if(!data || data.byteLength < 12)
+		return 0;
+	var bytes = new Uint8Array( data, 0, 12 );
+	var id = GL.KTX.IDENTIFIER;
+	for(var i = 0; i < 12; ++i)
+		if( i != 5 && i != 6 && bytes[i] != id[i] )
+			return 0;
+	if( bytes[5] == 0x31 && bytes[6] == 0x31 ) //"11"
+		return 1;
+	if( bytes[5] == 0x32 && bytes[6] == 0x30 ) //"20"
+		return 2;
+	return 0;
+}
+
+/**
+* Parses a KTX or KTX2 file, the image data is not copied
+* @method KTX.parse
+* @param {ArrayBuffer} data
+* @return {Object} { version, width, height, depth, layers, faces, texture_type, internalFormat, format, type, compressed (the format info if it is a compressed format), bottom_up, generate_mipmaps, metadata, levels: [{ width, height, depth, faces: [Uint8Array] }] }
+*/
+GL.KTX.parse = function( data )
+{
+	if(data.constructor !== ArrayBuffer) //typed array
+		data = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+	var version = GL.KTX.getVersion( data );
+	if(!version)
+		throw("KTX: wrong file identifier");
+	var info = version == 1 ? parseKTX1( data ) : parseKTX2( data );
+	info.version = version;
+
+	var orientation = info.metadata["KTXorientation"] || "";
+	info.bottom_up = orientation.indexOf("T=u") != -1 || orientation.charAt(1) == "u";
+
+	if( info.faces != 1 && info.faces != 6 )
+		throw("KTX: wrong number of faces: " + info.faces );
+	if( info.faces == 6 && (info.layers || info.depth) )
+		throw("KTX: cubemap arrays are not supported");
+	if( info.faces == 6 )
+		info.texture_type = GL.TEXTURE_CUBE_MAP;
+	else if( info.depth )
+		info.texture_type = GL.TEXTURE_3D;
+	else if( info.layers )
+		info.texture_type = GL.TEXTURE_2D_ARRAY;
+	else
+		info.texture_type = GL.TEXTURE_2D;
+	return info;
+}
+
+function parseKTX1( data )
+{
+	var view = new DataView( data );
+	var little = view.getUint32( 12, true ) == 0x04030201;
+	if( !little && view.getUint32( 12, false ) != 0x04030201 )
+		throw("KTX: wrong endianness field");
+	if( !little )
+		throw("KTX: big endian files are not supported");
+
+	var info = {
+		type: view.getUint32( 16, true ),
+		format: view.getUint32( 24, true ),
+		internalFormat: view.getUint32( 28, true ),
+		base_format: view.getUint32( 32, true ),
+		width: view.getUint32( 36, true ),
+		height: Math.max( 1, view.getUint32( 40, true ) ),
+		depth: view.getUint32( 44, true ),
+		layers: view.getUint32( 48, true ),
+		faces: view.getUint32( 52, true ),
+		levels: []
+	};
+	var num_levels = view.getUint32( 56, true );
+	var kv_length = view.getUint32( 60, true );
+	info.metadata = readKTXKeyValues( data, 64, kv_length );
+	info.generate_mipmaps = num_levels == 0;
+	info.compressed = info.type == 0 ? GL.KTX.formats[ info.internalFormat ] || null : null;
+	if( info.type == 0 && !info.compressed )
+		throw("KTX: unknown compressed format: " + info.internalFormat );
+
+	var offset = 64 + kv_length;
+	num_levels = Math.max( 1, num_levels );
+	for(var i = 0; i < num_levels; ++i)
+	{
+		var image_size = view.getUint32( offset, true );
+		offset += 4;
+		var level = { width: Math.max( 1, info.width >> i ), height: Math.max( 1, info.height >> i ), depth: Math.max( 1, info.depth >> i ), faces: [] };
+		//in non-array cubemaps the size is per face, otherwise it is the size of the whole level
+		var is_cube_face = info.faces == 6 && !info.layers;
+		for(var j = 0; j < (is_cube_face ? 6 : 1); ++j)
+		{
+			level.faces.push( new Uint8Array( data, offset, image_size ) );
+			offset += (image_size + 3) & ~3; //cube padding
+		}
+		info.levels.push( level );
+	}
+	return info;
+}
+
+function parseKTX2( data )
+{
+	var view = new DataView( data );
+	var vk_format = view.getUint32( 12, true );
+	var info = {
+		width: view.getUint32( 20, true ),
+		height: Math.max( 1, view.getUint32( 24, true ) ),
+		depth: view.getUint32( 28, true ),
+		layers: view.getUint32( 32, true ),
+		faces: view.getUint32( 36, true ),
+		levels: []
+	};
+	var num_levels = view.getUint32( 40, true );
+	var supercompression = view.getUint32( 44, true );
+	if( supercompression )
+		throw("KTX2: supercompressed files are not supported (scheme " + supercompression + "), export them without Basis or zstd");
+	if( vk_format == 0 )
+		throw("KTX2: undefined format");
+	info.metadata = readKTXKeyValues( data, view.getUint32( 56, true ), view.getUint32( 60, true ) );
+	info.generate_mipmaps = num_levels == 0;
+
+	var format = GL.KTX.vk_formats[ vk_format ];
+	if(!format)
+		throw("KTX2: unsupported format: " + vk_format );
+	if( format.constructor === Number ) //compressed
+	{
+		info.compressed = GL.KTX.formats[ format ];
+		info.internalFormat = format;
+		info.format = info.type = 0;
+	}
+	else
+	{
+		info.compressed = null;
+		info.internalFormat = format[0];
+		info.format = format[1];
+		info.type = format[2];
+	}
+
+	num_levels = Math.max( 1, num_levels );
+	var num_faces = info.faces;
+	for(var i = 0; i < num_levels; ++i)
+	{
+		var level_offset = 80 + i * 24; //uint64 offset, length, uncompressed length
+		var offset = view.getUint32( level_offset, true ) + view.getUint32( level_offset + 4, true ) * 0x100000000;
+		var length = view.getUint32( level_offset + 8, true ) + view.getUint32( level_offset + 12, true ) * 0x100000000;
+		var level = { width: Math.max( 1, info.width >> i ), height: Math.max( 1, info.height >> i ), depth: Math.max( 1, info.depth >> i ), faces: [] };
+		//faces are packed without padding
+		var face_size = length / num_faces;
+		for(var j = 0; j < num_faces; ++j)
+			level.faces.push( new Uint8Array( data, offset + face_size * j, face_size ) );
+		info.levels.push( level );
+	}
+	return info;
+}
+
+//both versions use the same key-value block: length, key\0value, padding to 4 bytes
+function readKTXKeyValues( data, offset, length )
+{
+	var result = {};
+	if(!length)
+		return result;
+	var view = new DataView( data );
+	var end = offset + length;
+	while( offset + 4 <= end )
+	{
+		var size = view.getUint32( offset, true );
+		var bytes = new Uint8Array( data, offset + 4, size );
+		var pos = 0;
+		while( pos < size && bytes[pos] )
+			pos++;
+		var key = String.fromCharCode.apply( null, bytes.subarray( 0, pos ) );
+		var value = String.fromCharCode.apply( null, bytes.subarray( pos + 1 ) );
+		result[ key ] = value.replace(/\0+$/,"");
+		offset += 4 + ((size + 3) & ~3);
+	}
+	return result;
+}
+
+/**
+* Tells if the GPU can use this compressed format directly
+* @method KTX.isFormatSupported
+* @param {Number} internalFormat
+* @param {WebGLRenderingContext} gl [optional] gl context
+* @return {Boolean}
+*/
+GL.KTX.isFormatSupported = function( internalFormat, gl )
+{
+	gl = gl || global.gl;
+	var format = GL.KTX.formats[ internalFormat ];
+	if(!format)
+		return false;
+	return !!gl.extensions[ format.extension ];
+}
+
+/**
+* Decodes the blocks of a compressed image to RGBA8
+* @method KTX.decompress
+* @param {Uint8Array} data the compressed blocks
+* @param {Number} width
+* @param {Number} height
+* @param {Number} internalFormat the compressed format
+* @param {Number} depth [optional] number of slices or layers stored one after another
+* @return {Uint8Array} the pixels in RGBA, null if there is no decoder for this format
+*/
+GL.KTX.decompress = function( data, width, height, internalFormat, depth )
+{
+	var format = GL.KTX.formats[ internalFormat ];
+	if(!format || !format.decoder)
+		return null;
+	depth = depth || 1;
+	var pixels = new Uint8Array( width * height * depth * 4 );
+	var block = new Uint8Array( 64 ); //4x4 RGBA
+	var blocks_x = Math.ceil( width / 4 );
+	var blocks_y = Math.ceil( height / 4 );
+	var offset = 0;
+	for(var z = 0; z < depth; ++z)
+	{
+		var start = z * width * height;
+		for(var by = 0; by < blocks_y; ++by)
+			for(var bx = 0; bx < blocks_x; ++bx)
+			{
+				format.decoder( data, offset, block, format );
+				offset += format.block_bytes;
+				var w = Math.min( 4, width - bx * 4 );
+				var h = Math.min( 4, height - by * 4 );
+				for(var y = 0; y < h; ++y)
+					pixels.set( block.subarray( y * 16, y * 16 + w * 4 ), (start + (by * 4 + y) * width + bx * 4) * 4 );
+			}
+	}
+	return pixels;
+}
+
+//BC decoders (S3TC / RGTC), pixels in rows *******************
+
+function decodeBC1Block( data, offset, block, format, opaque )
+{
+	var c0 = data[offset] | (data[offset+1] << 8);
+	var c1 = data[offset+2] | (data[offset+3] << 8);
+	var colors = decodeBC1Block.colors;
+	expandRGB565( c0, colors, 0 );
+	expandRGB565( c1, colors, 4 );
+	colors[3] = colors[7] = colors[11] = colors[15] = 255;
+	if( c0 > c1 || opaque )
+		for(var i = 0; i < 3; ++i)
+		{
+			colors[8+i] = (2 * colors[i] + colors[4+i]) / 3;
+			colors[12+i] = (colors[i] + 2 * colors[4+i]) / 3;
+		}
+	else
+	{
+		for(var i = 0; i < 3; ++i)
+		{
+			colors[8+i] = (colors[i] + colors[4+i]) >> 1;
+			colors[12+i] = 0;
+		}
+		if( format.alpha )
+			colors[15] = 0;
+	}
+	for(var i = 0; i < 16; ++i)
+	{
+		var index = ((data[offset + 4 + (i >> 2)] >> ((i & 3) * 2)) & 3) * 4;
+		block[i*4] = colors[index];
+		block[i*4+1] = colors[index+1];
+		block[i*4+2] = colors[index+2];
+		block[i*4+3] = colors[index+3];
+	}
+}
+decodeBC1Block.colors = new Uint8Array(16);
+
+function expandRGB565( c, out, pos )
+{
+	var r = (c >> 11) & 31, g = (c >> 5) & 63, b = c & 31;
+	out[pos] = (r << 3) | (r >> 2);
+	out[pos+1] = (g << 2) | (g >> 4);
+	out[pos+2] = (b << 3) | (b >> 2);
+}
+
+function decodeBC2Block( data, offset, block, format )
+{
+	decodeBC1Block( data, offset + 8, block, format, true );
+	for(var i = 0; i < 16; ++i)
+		block[i*4+3] = ((data[offset + (i >> 1)] >> ((i & 1) * 4)) & 15) * 17;
+}
+
+function decodeBC3Block( data, offset, block, format )
+{
+	decodeBC1Block( data, offset + 8, block, format, true );
+	decodeBCAlphaBlock( data, offset, block, 3 );
+}
+
+function decodeBC4Block( data, offset, block, format )
+{
+	block.fill(0);
+	decodeBCAlphaBlock( data, offset, block, 0 );
+	for(var i = 0; i < 16; ++i)
+		block[i*4+3] = 255;
+}
+
+function decodeBC5Block( data, offset, block, format )
+{
+	decodeBC4Block( data, offset, block, format );
+	decodeBCAlphaBlock( data, offset + 8, block, 1 );
+}
+
+//the 8 bytes of one channel used in BC3, BC4 and BC5: two values and 3 bits per pixel
+function decodeBCAlphaBlock( data, offset, block, channel )
+{
+	var values = decodeBCAlphaBlock.values;
+	var a0 = values[0] = data[offset];
+	var a1 = values[1] = data[offset+1];
+	if( a0 > a1 )
+		for(var i = 1; i < 7; ++i)
+			values[i+1] = ((7 - i) * a0 + i * a1) / 7;
+	else
+	{
+		for(var i = 1; i < 5; ++i)
+			values[i+1] = ((5 - i) * a0 + i * a1) / 5;
+		values[6] = 0;
+		values[7] = 255;
+	}
+	for(var i = 0; i < 16; ++i)
+	{
+		var bit = i * 3;
+		var shift = bit & 7;
+		var pos = offset + 2 + (bit >> 3);
+		var bits = data[pos] >> shift;
+		if( shift > 5 ) //index split between two bytes
+			bits |= data[pos+1] << (8 - shift);
+		block[i*4+channel] = values[ bits & 7 ];
+	}
+}
+decodeBCAlphaBlock.values = new Uint8Array(8);
+
+//ETC decoders, pixels in columns ************************
+
+var ETC_MODIFIERS = [[2,8],[5,17],[9,29],[13,42],[18,60],[24,80],[33,106],[47,183]];
+var ETC_DISTANCES = [3,6,11,16,23,32,41,64];
+var EAC_MODIFIERS = [
+	[-3,-6,-9,-15,2,5,8,14], [-3,-7,-10,-13,2,6,9,12], [-2,-5,-8,-13,1,4,7,12], [-2,-4,-6,-13,1,3,5,12],
+	[-3,-6,-8,-12,2,5,7,11], [-3,-7,-9,-11,2,6,8,10], [-4,-7,-8,-11,3,6,7,10], [-3,-5,-8,-11,2,4,7,10],
+	[-2,-6,-8,-10,1,5,7,9], [-2,-5,-8,-10,1,4,7,9], [-2,-4,-8,-10,1,3,7,9], [-2,-5,-7,-10,1,4,6,9],
+	[-3,-4,-7,-10,2,3,6,9], [-1,-2,-3,-10,0,1,2,9], [-4,-6,-8,-9,3,5,7,8], [-3,-5,-7,-9,2,4,6,8]];
+
+function clampByte( v )
+{
+	return v < 0 ? 0 : (v > 255 ? 255 : v);
+}
+
+//ETC1 and ETC2 RGB (with punchthrough alpha if format.punchthrough)
+function decodeETC2Block( data, offset, block, format )
+{
+	var b0 = data[offset], b1 = data[offset+1], b2 = data[offset+2], b3 = data[offset+3];
+	var msb = (data[offset+4] << 8) | data[offset+5];
+	var lsb = (data[offset+6] << 8) | data[offset+7];
+	var diff = b3 & 2;
+	var transparent = format.punchthrough && !diff; //in punchthrough the diff bit means opaque
+	var paint = decodeETC2Block.paint; //four colors for T and H modes
+	var mode = 0; //0: individual or differential, 1: T, 2: H, 3: planar
+	var r1, g1, b1_, r2, g2, b2_;
+
+	if( !diff && !format.punchthrough ) //individual
+	{
+		r1 = (b0 >> 4) * 17; r2 = (b0 & 15) * 17;
+		g1 = (b1 >> 4) * 17; g2 = (b1 & 15) * 17;
+		b1_ = (b2 >> 4) * 17; b2_ = (b2 & 15) * 17;
+	}
+	else //differential, the overflows select the ETC2 modes
+	{
+		var r = b0 >> 3, g = b1 >> 3, b = b2 >> 3;
+		var dr = r + ((b0 & 7) << 29 >> 29), dg = g + ((b1 & 7) << 29 >> 29), db = b + ((b2 & 7) << 29 >> 29);
+		if( dr < 0 || dr > 31 )
+			mode = 1;
+		else if( dg < 0 || dg > 31 )
+			mode = 2;
+		else if( db < 0 || db > 31 )
+			mode = 3;
+		else
+		{
+			r1 = (r << 3) | (r >> 2); r2 = (dr << 3) | (dr >> 2);
+			g1 = (g << 3) | (g >> 2); g2 = (dg << 3) | (dg >> 2);
+			b1_ = (b << 3) | (b >> 2); b2_ = (db << 3) | (db >> 2);
+		}
+	}
+
+	if( mode == 3 ) //planar, no indices
+	{
+		var ro = (b0 >> 1) & 63, go = ((b0 & 1) << 6) | ((b1 >> 1) & 63), bo = ((b1 & 1) << 5) | (b2 & 0x18) | ((b2 & 3) << 1) | (b3 >> 7);
+		var rh = (((b3 >> 2) & 31) << 1) | (b3 & 1), gh = data[offset+4] >> 1, bh = ((data[offset+4] & 1) << 5) | (data[offset+5] >> 3);
+		var rv = ((data[offset+5] & 7) << 3) | (data[offset+6] >> 5), gv = ((data[offset+6] & 31) << 2) | (data[offset+7] >> 6), bv = data[offset+7] & 63;
+		ro = (ro << 2) | (ro >> 4); rh = (rh << 2) | (rh >> 4); rv = (rv << 2) | (rv >> 4);
+		go = (go << 1) | (go >> 6); gh = (gh << 1) | (gh >> 6); gv = (gv << 1) | (gv >> 6);
+		bo = (bo << 2) | (bo >> 4); bh = (bh << 2) | (bh >> 4); bv = (bv << 2) | (bv >> 4);
+		for(var y = 0; y < 4; ++y)
+			for(var x = 0; x < 4; ++x)
+			{
+				var pos = (y * 4 + x) * 4;
+				block[pos] = clampByte( (x * (rh - ro) + y * (rv - ro) + 4 * ro + 2) >> 2 );
+				block[pos+1] = clampByte( (x * (gh - go) + y * (gv - go) + 4 * go + 2) >> 2 );
+				block[pos+2] = clampByte( (x * (bh - bo) + y * (bv - bo) + 4 * bo + 2) >> 2 );
+				block[pos+3] = 255;
+			}
+		return;
+	}
+
+	if( mode == 1 ) //T
+	{
+		r1 = ((((b0 >> 3) & 3) << 2) | (b0 & 3)) * 17; g1 = (b1 >> 4) * 17; b1_ = (b1 & 15) * 17;
+		r2 = (b2 >> 4) * 17; g2 = (b2 & 15) * 17; b2_ = (b3 >> 4) * 17;
+		var d = ETC_DISTANCES[ (((b3 >> 2) & 3) << 1) | (b3 & 1) ];
+		setPaintColor( paint, 0, r1, g1, b1_, 0 );
+		setPaintColor( paint, 1, r2, g2, b2_, d );
+		setPaintColor( paint, 2, r2, g2, b2_, 0 );
+		setPaintColor( paint, 3, r2, g2, b2_, -d );
+	}
+	else if( mode == 2 ) //H
+	{
+		r1 = (b0 >> 3) & 15; g1 = ((b0 & 7) << 1) | ((b1 >> 4) & 1); b1_ = (b1 & 8) | ((b1 & 3) << 1) | (b2 >> 7);
+		r2 = (b2 >> 3) & 15; g2 = ((b2 & 7) << 1) | (b3 >> 7); b2_ = (b3 >> 3) & 15;
+		var d = ETC_DISTANCES[ (b3 & 4) | ((b3 & 1) << 1) | ( ((r1 << 8) | (g1 << 4) | b1_) >= ((r2 << 8) | (g2 << 4) | b2_) ? 1 : 0 ) ];
+		setPaintColor( paint, 0, r1 * 17, g1 * 17, b1_ * 17, d );
+		setPaintColor( paint, 1, r1 * 17, g1 * 17, b1_ * 17, -d );
+		setPaintColor( paint, 2, r2 * 17, g2 * 17, b2_ * 17, d );
+		setPaintColor( paint, 3, r2 * 17, g2 * 17, b2_ * 17, -d );
+	}
+
+	var flip = b3 & 1;
+	var table1 = ETC_MODIFIERS[ (b3 >> 5) & 7 ], table2 = ETC_MODIFIERS[ (b3 >> 2) & 7 ];
+	for(var i = 0; i < 16; ++i)
+	{
+		var x = i >> 2, y = i & 3;
+		var index = (((msb >> i) & 1) << 1) | ((lsb >> i) & 1);
+		var pos = (y * 4 + x) * 4;
+		if( transparent && index == 2 )
+		{
+			block[pos] = block[pos+1] = block[pos+2] = block[pos+3] = 0;
+			continue;
+		}
+		if( mode ) //T or H
+		{
+			block[pos] = paint[index*3];
+			block[pos+1] = paint[index*3+1];
+			block[pos+2] = paint[index*3+2];
+		}
+		else
+		{
+			var second = flip ? y >= 2 : x >= 2;
+			var table = second ? table2 : table1;
+			var modifier = (transparent && index == 0) ? 0 : (index & 1 ? table[1] : table[0]);
+			if( index & 2 )
+				modifier = -modifier;
+			block[pos] = clampByte( (second ? r2 : r1) + modifier );
+			block[pos+1] = clampByte( (second ? g2 : g1) + modifier );
+			block[pos+2] = clampByte( (second ? b2_ : b1_) + modifier );
+		}
+		block[pos+3] = 255;
+	}
+}
+decodeETC2Block.paint = new Uint8Array(12);
+
+function setPaintColor( paint, index, r, g, b, d )
+{
+	paint[index*3] = clampByte( r + d );
+	paint[index*3+1] = clampByte( g + d );
+	paint[index*3+2] = clampByte( b + d );
+}
+
+function decodeETC2EACBlock( data, offset, block, format )
+{
+	decodeETC2Block( data, offset + 8, block, format );
+	decodeEACBlock( data, offset, block, 3, false );
+}
+
+function decodeEACR11Block( data, offset, block, format )
+{
+	block.fill(0);
+	decodeEACBlock( data, offset, block, 0, true );
+	for(var i = 0; i < 16; ++i)
+		block[i*4+3] = 255;
+}
+
+function decodeEACRG11Block( data, offset, block, format )
+{
+	decodeEACR11Block( data, offset, block, format );
+	decodeEACBlock( data, offset + 8, block, 1, true );
+}
+
+//one channel of 8 bytes: base, multiplier, table and 3 bits per pixel. The 11 bits formats are reduced to 8 bits
+function decodeEACBlock( data, offset, block, channel, is_11bits )
+{
+	var base = data[offset];
+	var multiplier = data[offset+1] >> 4;
+	var table = EAC_MODIFIERS[ data[offset+1] & 15 ];
+	var high = (data[offset+2] << 16) | (data[offset+3] << 8) | data[offset+4]; //first 8 pixels
+	var low = (data[offset+5] << 16) | (data[offset+6] << 8) | data[offset+7];
+	for(var i = 0; i < 16; ++i)
+	{
+		var bits = i < 8 ? high : low;
+		var index = (bits >> ((7 - (i & 7)) * 3)) & 7;
+		var value;
+		if( is_11bits )
+		{
+			value = base * 8 + 4 + table[index] * (multiplier ? multiplier * 8 : 1);
+			value = value < 0 ? 0 : (value > 2047 ? 255 : value >> 3);
+		}
+		else
+			value = clampByte( base + table[index] * multiplier );
+		block[ ((i & 3) * 4 + (i >> 2)) * 4 + channel ] = value;
+	}
+}
+
+//formats *************************************
+
+(function(){
+	var reg = GL.KTX.registerFormat;
+	//S3TC
+	reg( 0x83F0, "RGB_S3TC_DXT1", "WEBGL_compressed_texture_s3tc", 4, 4, 8, decodeBC1Block );
+	reg( 0x83F1, "RGBA_S3TC_DXT1", "WEBGL_compressed_texture_s3tc", 4, 4, 8, decodeBC1Block );
+	reg( 0x83F2, "RGBA_S3TC_DXT3", "WEBGL_compressed_texture_s3tc", 4, 4, 16, decodeBC2Block );
+	reg( 0x83F3, "RGBA_S3TC_DXT5", "WEBGL_compressed_texture_s3tc", 4, 4, 16, decodeBC3Block );
+	reg( 0x8C4C, "SRGB_S3TC_DXT1", "WEBGL_compressed_texture_s3tc_srgb", 4, 4, 8, decodeBC1Block );
+	reg( 0x8C4D, "SRGB_ALPHA_S3TC_DXT1", "WEBGL_compressed_texture_s3tc_srgb", 4, 4, 8, decodeBC1Block );
+	reg( 0x8C4E, "SRGB_ALPHA_S3TC_DXT3", "WEBGL_compressed_texture_s3tc_srgb", 4, 4, 16, decodeBC2Block );
+	reg( 0x8C4F, "SRGB_ALPHA_S3TC_DXT5", "WEBGL_compressed_texture_s3tc_srgb", 4, 4, 16, decodeBC3Block );
+	//RGTC
+	reg( 0x8DBB, "RED_RGTC1", "EXT_texture_compression_rgtc", 4, 4, 8, decodeBC4Block );
+	reg( 0x8DBC, "SIGNED_RED_RGTC1", "EXT_texture_compression_rgtc", 4, 4, 8 );
+	reg( 0x8DBD, "RED_GREEN_RGTC2", "EXT_texture_compression_rgtc", 4, 4, 16, decodeBC5Block );
+	reg( 0x8DBE, "SIGNED_RED_GREEN_RGTC2", "EXT_texture_compression_rgtc", 4, 4, 16 );
+	//BPTC (no decoder)
+	reg( 0x8E8C, "RGBA_BPTC_UNORM", "EXT_texture_compression_bptc", 4, 4, 16 );
+	reg( 0x8E8D, "SRGB_ALPHA_BPTC_UNORM", "EXT_texture_compression_bptc", 4, 4, 16 );
+	reg( 0x8E8E, "RGB_BPTC_SIGNED_FLOAT", "EXT_texture_compression_bptc", 4, 4, 16 );
+	reg( 0x8E8F, "RGB_BPTC_UNSIGNED_FLOAT", "EXT_texture_compression_bptc", 4, 4, 16 );
+	//ETC
+	reg( 0x8D64, "ETC1_RGB8", "WEBGL_compressed_texture_etc1", 4, 4, 8, decodeETC2Block );
+	reg( 0x9270, "R11_EAC", "WEBGL_compressed_texture_etc", 4, 4, 8, decodeEACR11Block );
+	reg( 0x9271, "SIGNED_R11_EAC", "WEBGL_compressed_texture_etc", 4, 4, 8 );
+	reg( 0x9272, "RG11_EAC", "WEBGL_compressed_texture_etc", 4, 4, 16, decodeEACRG11Block );
+	reg( 0x9273, "SIGNED_RG11_EAC", "WEBGL_compressed_texture_etc", 4, 4, 16 );
+	reg( 0x9274, "RGB8_ETC2", "WEBGL_compressed_texture_etc", 4, 4, 8, decodeETC2Block );
+	reg( 0x9275, "SRGB8_ETC2", "WEBGL_compressed_texture_etc", 4, 4, 8, decodeETC2Block );
+	reg( 0x9276, "RGB8_PUNCHTHROUGH_ALPHA1_ETC2", "WEBGL_compressed_texture_etc", 4, 4, 8, decodeETC2Block );
+	reg( 0x9277, "SRGB8_PUNCHTHROUGH_ALPHA1_ETC2", "WEBGL_compressed_texture_etc", 4, 4, 8, decodeETC2Block );
+	reg( 0x9278, "RGBA8_ETC2_EAC", "WEBGL_compressed_texture_etc", 4, 4, 16, decodeETC2EACBlock );
+	reg( 0x9279, "SRGB8_ALPHA8_ETC2_EAC", "WEBGL_compressed_texture_etc", 4, 4, 16, decodeETC2EACBlock );
+	//ASTC (no decoder), all the blocks are 16 bytes
+	var astc_sizes = [[4,4],[5,4],[5,5],[6,5],[6,6],[8,5],[8,6],[8,8],[10,5],[10,6],[10,8],[10,10],[12,10],[12,12]];
+	for(var i = 0; i < astc_sizes.length; ++i)
+	{
+		var size = astc_sizes[i];
+		reg( 0x93B0 + i, "RGBA_ASTC_" + size.join("x"), "WEBGL_compressed_texture_astc", size[0], size[1], 16 );
+		reg( 0x93D0 + i, "SRGB8_ALPHA8_ASTC_" + size.join("x"), "WEBGL_compressed_texture_astc", size[0], size[1], 16 );
+	}
+	GL.KTX.formats[0x83F1].alpha = GL.KTX.formats[0x8C4D].alpha = true;
+	GL.KTX.formats[0x9276].punchthrough = GL.KTX.formats[0x9277].punchthrough = true;
+	var srgb = [0x8C4C,0x8C4D,0x8C4E,0x8C4F,0x8E8D,0x9275,0x9277,0x9279];
+	for(var i = 0; i < srgb.length; ++i)
+		GL.KTX.formats[ srgb[i] ].srgb = true;
+	for(var i = 0; i < astc_sizes.length; ++i)
+		GL.KTX.formats[ 0x93D0 + i ].srgb = true;
+
+	//KTX2 uses Vulkan formats: compressed ones map to the internal format, the rest to [internalFormat, format, type]
+	var vk = GL.KTX.vk_formats = {
+		9: [ GL.R8, GL.RED, GL.UNSIGNED_BYTE ],
+		16: [ GL.RG8, GL.RG, GL.UNSIGNED_BYTE ],
+		23: [ GL.RGB8, GL.RGB, GL.UNSIGNED_BYTE ],
+		29: [ GL.SRGB8, GL.RGB, GL.UNSIGNED_BYTE ],
+		37: [ GL.RGBA8, GL.RGBA, GL.UNSIGNED_BYTE ],
+		43: [ GL.SRGB8_ALPHA8, GL.RGBA, GL.UNSIGNED_BYTE ],
+		76: [ GL.R16F, GL.RED, GL.HALF_FLOAT ],
+		83: [ GL.RG16F, GL.RG, GL.HALF_FLOAT ],
+		97: [ GL.RGBA16F, GL.RGBA, GL.HALF_FLOAT ],
+		100: [ GL.R32F, GL.RED, GL.FLOAT ],
+		103: [ GL.RG32F, GL.RG, GL.FLOAT ],
+		109: [ GL.RGBA32F, GL.RGBA, GL.FLOAT ],
+		131: 0x83F0, 132: 0x8C4C, 133: 0x83F1, 134: 0x8C4D, 135: 0x83F2, 136: 0x8C4E, 137: 0x83F3, 138: 0x8C4F, //BC1-3
+		139: 0x8DBB, 140: 0x8DBC, 141: 0x8DBD, 142: 0x8DBE, //BC4-5
+		143: 0x8E8F, 144: 0x8E8E, 145: 0x8E8C, 146: 0x8E8D, //BC6H, BC7
+		147: 0x9274, 148: 0x9275, 149: 0x9276, 150: 0x9277, 151: 0x9278, 152: 0x9279, //ETC2
+		153: 0x9270, 154: 0x9271, 155: 0x9272, 156: 0x9273 //EAC
+	};
+	for(var i = 0; i < astc_sizes.length; ++i) //pairs of unorm and srgb
+	{
+		vk[ 157 + i * 2 ] = 0x93B0 + i;
+		vk[ 158 + i * 2 ] = 0x93D0 + i;
+	}
+})();
@@ -50,6 +50,9 @@ GL.Buffer = function Buffer( target, data, spacing, stream_type, gl ) {
 
 	if(this.data && this.gl)
 		this.upload(stream_type);
+
+	//to restore it if the context is lost
+	GL.registerResource( this );
 }
 
 /**
@@ -162,6 +165,22 @@ GL.Buffer.prototype.upload = function( stream_type ) { //default gl.STATIC_DRAW
 //legacy
 GL.Buffer.prototype.compile = GL.Buffer.prototype.upload;
 
+/**
+* Reads back the content of the buffer from the GPU to this.data, useful after writing it with transform feedback (WebGL2 only)
+* @method download
+* @return {ArrayBufferView} the data
+*/
+GL.Buffer.prototype.download = function()
+{
+	var gl = this.gl;
+	if( gl.webgl_version < 2 )
+		throw("Buffer.download requires WebGL2");
+	gl.bindBuffer( this.target, this.buffer );
+	gl.getBufferSubData( this.target, 0, this.data );
+	gl.bindBuffer( this.target, null );
+	return this.data;
+}
+
 
 /**
 * Assign data to buffer and uploads it (it allows range)
@@ -206,7 +225,7 @@ GL.Buffer.prototype.setData = function( data, offset )
 /**
 * Uploads part of the buffer data (stored in this.data) to the GPU
 * @method uploadRange
-* @param {number} start offset in bytes
+* @param {number} start offset in bytes (from the beginning of this.data)
 * @param {number} size sizes in bytes
 */
 GL.Buffer.prototype.uploadRange = function(start, size)
@@ -219,7 +238,7 @@ GL.Buffer.prototype.uploadRange = function(start, size)
 		throw("Buffers must be typed arrays");
 
 	//cut fragment to upload (no way to avoid GC here, no function to specify the size in WebGL 1.0, but there is one in WebGL 2.0)
-	var view = new Uint8Array( this.data.buffer, start, size );
+	var view = new Uint8Array( this.data.buffer, this.data.byteOffset + start, size );
 
 	var gl = this.gl;
 	gl.bindBuffer(this.target, this.buffer);
@@ -294,6 +313,21 @@ GL.Buffer.prototype.delete = function()
 	var gl = this.gl;
 	gl.deleteBuffer( this.buffer );
 	this.buffer = null;
+	GL.unregisterResource( this );
+}
+
+/**
+* Recreates the buffer in the GPU after a context loss using the data in this.data
+* @method restore
+* @return {Boolean} true if the content was restored
+*/
+GL.Buffer.prototype.restore = function()
+{
+	this.buffer = null;
+	if(!this.data || !this.gl)
+		return false;
+	this.upload();
+	return true;
 }
 
 /**
@@ -321,6 +355,7 @@ global.Mesh = GL.Mesh = function Mesh( vertexbuffers, indexbuffers, options, gl
 
 	this.vertexBuffers = {};
 	this.indexBuffers = {};
+	this._vertex_arrays = {}; //VAOs by shader attributes layout
 
 	//here you can store extra info, like groups, which is an array of { name, start, length, material }
 	this.info = {
@@ -328,6 +363,9 @@ global.Mesh = GL.Mesh = function Mesh( vertexbuffers, indexbuffers, options, gl
 	}; 
 	this._bounding = BBox.create(); //here you can store a AABB in BBox format
 
+	//to discard the VAOs if the context is lost
+	GL.registerResource( this, this.gl );
+
 	if(vertexbuffers || indexbuffers)
 		this.addBuffers( vertexbuffers, indexbuffers, options ? options.stream_type : null );
 
@@ -354,6 +392,7 @@ Mesh.common_buffers = {
 };
 
 Mesh.default_datatype = Float32Array;
+Mesh.use_vertex_arrays = true; //cache a VAO per shader layout when supported (webgl 2 or OES_vertex_array_object)
 
 Object.defineProperty( Mesh.prototype, "bounding", {
 	set: function(v)
@@ -380,7 +419,10 @@ Object.defineProperty( Mesh.prototype, "bounding", {
 Mesh.prototype.addBuffer = function(name, buffer)
 {
 	if(buffer.target == gl.ARRAY_BUFFER)
+	{
 		this.vertexBuffers[name] = buffer;
+		this.invalidateVertexArrays();
+	}
 	else
 		this.indexBuffers[name] = buffer;
 
@@ -530,6 +572,7 @@ Mesh.prototype.createVertexBuffer = function( name, attribute, buffer_spacing, b
 	var buffer = this.vertexBuffers[name] = new GL.Buffer( gl.ARRAY_BUFFER, buffer_data, buffer_spacing, stream_type, this.gl );
 	buffer.name = name;
 	buffer.attribute = attribute;
+	this.invalidateVertexArrays();
 
 	return buffer;
 }
@@ -558,6 +601,7 @@ Mesh.prototype.updateVertexBuffer = function( name, attribute, buffer_spacing, b
 	buffer.spacing = buffer_spacing;
 	buffer.data = buffer_data;
 	buffer.upload( stream_type );
+	this.invalidateVertexArrays(); //spacing or type could be different
 }
 
 
@@ -574,6 +618,7 @@ Mesh.prototype.removeVertexBuffer = function(name, free) {
 	if(free)
 		buffer.delete();
 	delete this.vertexBuffers[name];
+	this.invalidateVertexArrays();
 }
 
 /**
@@ -692,12 +737,91 @@ Mesh.prototype.deleteBuffers = function()
 		buffer.delete();
 	}
 	this.indexBuffers = {};
+	this.invalidateVertexArrays();
+}
+
+Mesh.prototype.delete = function()
+{
+	this.deleteBuffers();
+	GL.unregisterResource( this );
+}
+
+/**
+* Returns the Vertex Array Object with all the vertex buffers of this mesh binded to the attributes of the shader, it is created the first time and reused
+* in the next calls (with any shader that has the same attributes layout). Returns null if VAOs are not supported.
+* If you modify the vertexBuffers container directly call invalidateVertexArrays
+* @method getVertexArray
+* @param {Shader} shader
+* @return {WebGLVertexArrayObject} the VAO
+*/
+Mesh.prototype.getVertexArray = function( shader )
+{
+	var gl = this.gl;
+	if( !Mesh.use_vertex_arrays || !gl || !gl.createVertexArray )
+		return null;
+
+	var key = shader._attributes_key;
+	var vao = this._vertex_arrays[ key ];
+	if(vao)
+		return vao;
+
+	vao = gl.createVertexArray();
+	if(!vao) //context lost
+		return null;
+	gl.bindVertexArray( vao );
+	var length = 0;
+	for (var name in this.vertexBuffers)
+	{
+		var buffer = this.vertexBuffers[ name ];
+		var location = shader.attributes[ buffer.attribute || name ];
+		if (location == null || !buffer.buffer) 
+			continue; 
+		gl.bindBuffer(gl.ARRAY_BUFFER, buffer.buffer);
+		gl.enableVertexAttribArray(location);
+		gl.vertexAttribPointer(location, buffer.buffer.spacing, buffer.buffer.gl_type, false, 0, 0);
+		length = buffer.buffer.length / buffer.buffer.spacing;
+	}
+	gl.bindVertexArray( null );
+	vao.num_vertices = length;
+
+	this._vertex_arrays[ key ] = vao;
+	return vao;
 }
 
-Mesh.prototype.delete = Mesh.prototype.deleteBuffers;
+/**
+* Removes all the VAOs cached, they will be created again when rendering. It is called automatically when buffers are added, updated or removed
+* @method invalidateVertexArrays
+*/
+Mesh.prototype.invalidateVertexArrays = function()
+{
+	var gl = this.gl;
+	for(var i in this._vertex_arrays)
+		if( gl && gl.deleteVertexArray )
+			gl.deleteVertexArray( this._vertex_arrays[i] );
+	this._vertex_arrays = {};
+}
+
+/**
+* Called after a context loss, the buffers are restored by themselves but the VAOs must be created again
+* @method restore
+* @return {Boolean} true
+*/
+Mesh.prototype.restore = function()
+{
+	this._vertex_arrays = {};
+	return true;
+}
 
 Mesh.prototype.bindBuffers = function( shader )
 {
+	//use the VAO if supported
+	var vao = this.getVertexArray( shader );
+	if( vao )
+	{
+		gl.bindVertexArray( vao );
+		return;
+	}
+
 	// enable attributes as necessary.
 	for (var name in this.vertexBuffers)
 	{
@@ -714,6 +838,12 @@ Mesh.prototype.bindBuffers = function( shader )
 
 Mesh.prototype.unbindBuffers = function( shader )
 {
+	if( this._vertex_arrays[ shader._attributes_key ] )
+	{
+		gl.bindVertexArray( null );
+		return;
+	}
+
 	// disable attributes
 	for (var name in this.vertexBuffers)
 	{
@@ -817,6 +947,7 @@ Mesh.prototype.fromJSON = function(o)
 {
 	this.vertexBuffers = {};
 	this.indexBuffers = {};
+	this.invalidateVertexArrays();
 
 	for(var i in o.vertexBuffers)
 	{
@@ -1049,7 +1180,7 @@ Mesh.prototype.computeIndices = function() {
 				//same vertex
 				if( vec3.sqrDist( v, v2 ) < 0.01 )
 				{
-					indices.push(j);
+					indices.push( candidates[j] );
 					break;
 				}
 			}
@@ -1071,7 +1202,7 @@ Mesh.prototype.computeIndices = function() {
 		if(candidates && j != l2)
 			continue;
 
-		var index = j;
+		var index = new_vertices.length;
 		new_vertices.push(v);
 		if( indexer[ key ] )
 			indexer[ key ].push( index );
@@ -1795,57 +1926,747 @@ Mesh.prototype.slice = function(start, length)
 
 
 /**
-* returns a low poly version of the mesh that takes much less memory (but breaks tiling of uvs and smoothing groups)
+* returns a simplified version of the mesh using quadric edge-collapse decimation (Garland-Heckbert)
+* Vertices on open borders, UV seams or hard normals (vertices that are split in the index buffer) are never moved, so seams are preserved.
+* The rest of the streams of the collapsed vertices are interpolated (normals are renormalized).
 * @method simplify
-* @return {Mesh} simplified mesh
+* @param {Object} options [optional] { target_triangles: number of triangles to reach (default half), max_error: stop when the cheapest collapse exceeds this error (default Infinity), min_angle_cos: reject collapses that rotate a face more than this (default 0.2) }
+* @return {Mesh} new indexed simplified mesh
 */
-Mesh.prototype.simplify = function()
+Mesh.prototype.simplify = function( options )
 {
-	//compute bounding box
-	var bb = this.getBoundingBox();
-	var min = BBox.getMin( bb );
-	var halfsize = BBox.getHalfsize( bb );
-	var range = vec3.scale( vec3.create(), halfsize, 2 );
+	options = options || {};
+
+	var vertices_buffer = this.vertexBuffers["vertices"];
+	if(!vertices_buffer)
+		return console.error("Cannot simplify a mesh without vertices");
+
+	//work on copies of the streams
+	var streams = {};
+	for(var i in this.vertexBuffers)
+		streams[i] = new Float32Array( this.vertexBuffers[i].data );
 
-	var newmesh = new GL.Mesh();
+	var indices_buffer = this.indexBuffers["triangles"];
+	var indices = null;
+	if( indices_buffer )
+		indices = new Uint32Array( indices_buffer.data );
+	else //weld identical vertices, otherwise every vertex would be a border
+		indices = weldVertices();
+
+	var positions = streams["vertices"];
+	var num_vertices = positions.length / 3;
+	var num_triangles = indices.length / 3;
+	var target = options.target_triangles != null ? options.target_triangles : Math.floor( num_triangles * 0.5 );
+	var max_error = options.max_error != null ? options.max_error : Infinity;
+	var min_angle_cos = options.min_angle_cos != null ? options.min_angle_cos : 0.2;
+
+	//group of every triangle (to rebuild info.groups)
+	var groups = this.info && this.info.groups && this.info.groups.length ? this.info.groups : null;
+	var triangle_group = new Uint16Array( num_triangles );
+	if(groups)
+		for(var i = 0; i < groups.length; ++i)
+			for(var j = groups[i].start / 3, l = (groups[i].start + groups[i].length) / 3; j < l; ++j)
+				triangle_group[j] = i;
+
+	//triangles per vertex
+	var vertex_triangles = new Array( num_vertices );
+	for(var i = 0; i < num_vertices; ++i)
+		vertex_triangles[i] = [];
+	for(var i = 0; i < num_triangles; ++i)
+	{
+		vertex_triangles[ indices[i*3] ].push(i);
+		vertex_triangles[ indices[i*3+1] ].push(i);
+		vertex_triangles[ indices[i*3+2] ].push(i);
+	}
+
+	//find border vertices (edges used by only one triangle)
+	var edges = new Map();
+	for(var i = 0; i < indices.length; i += 3)
+		for(var j = 0; j < 3; ++j)
+		{
+			var key = edgeKey( indices[i+j], indices[i+(j+1)%3] );
+			edges.set( key, (edges.get( key ) || 0) + 1 );
+		}
+	var locked = new Uint8Array( num_vertices );
+	edges.forEach( function( count, key ) {
+		if( count != 1 )
+			return;
+		locked[ Math.floor( key / num_vertices ) ] = 1;
+		locked[ key % num_vertices ] = 1;
+	});
+
+	//compute quadrics: a2,ab,ac,ad,b2,bc,bd,c2,cd,d2
+	var quadrics = new Float64Array( num_vertices * 10 );
+	var triangle_removed = new Uint8Array( num_triangles );
+	var N = vec3.create();
 	var temp = vec3.create();
+	var old_normal = vec3.create();
+	var new_normal = vec3.create();
+	var temp_quadric = new Float64Array(10);
+	for(var i = 0; i < num_triangles; ++i)
+	{
+		var area = computeTriangleNormal( i, N );
+		if( !area )
+			continue;
+		var d = -vec3.dot( N, positions.subarray( indices[i*3]*3, indices[i*3]*3 + 3 ) );
+		for(var j = 0; j < 3; ++j)
+			addPlane( indices[i*3+j], N[0], N[1], N[2], d, area );
+	}
+
+	//priority queue of collapses
+	var heap = [];
+	var vertex_version = new Uint32Array( num_vertices );
+	edges.forEach( function( count, key ) {
+		pushCollapse( Math.floor( key / num_vertices ), key % num_vertices );
+	});
+
+	var alive_triangles = num_triangles;
+	var target_pos = vec3.create();
+	while( heap.length && alive_triangles > target )
+	{
+		var item = heapPop();
+		if( item.version_a != vertex_version[ item.a ] || item.version_b != vertex_version[ item.b ] )
+			continue; //outdated
+		if( item.error > max_error )
+			break;
+		//collapse b into a
+		var a = item.a;
+		var b = item.b;
+		target_pos[0] = item.x; target_pos[1] = item.y; target_pos[2] = item.z;
+		if( flipsTriangles( a, b, target_pos ) || flipsTriangles( b, a, target_pos ) )
+			continue;
+		collapse( a, b, target_pos );
+	}
+
+	//build the final mesh with the used vertices
+	var remap = new Int32Array( num_vertices ).fill(-1);
+	var final_indices = [];
+	var final_groups = groups ? [] : null;
+	var last_group = -1;
+	var used = 0;
+	for(var i = 0; i < num_triangles; ++i)
+	{
+		if( triangle_removed[i] )
+			continue;
+		if( final_groups && triangle_group[i] != last_group )
+		{
+			last_group = triangle_group[i];
+			var group = groups[ last_group ];
+			final_groups.push({ name: group.name, material: group.material, start: final_indices.length, length: 0 });
+		}
+		for(var j = 0; j < 3; ++j)
+		{
+			var index = indices[i*3+j];
+			if( remap[ index ] == -1 )
+				remap[ index ] = used++;
+			final_indices.push( remap[ index ] );
+		}
+		if( final_groups )
+			final_groups[ final_groups.length - 1 ].length += 3;
+	}
 
+	var vertex_buffers = {};
+	for(var i in streams)
+	{
+		var spacing = this.vertexBuffers[i].spacing;
+		var data = streams[i];
+		var final_data = new this.vertexBuffers[i].data.constructor( used * spacing );
+		for(var j = 0; j < num_vertices; ++j)
+			if( remap[j] != -1 )
+				for(var k = 0; k < spacing; ++k)
+					final_data[ remap[j] * spacing + k ] = data[ j * spacing + k ];
+		vertex_buffers[i] = final_data;
+	}
+
+	var index_buffers = { triangles: new ( used > 256*256 ? Uint32Array : Uint16Array )( final_indices ) };
+	var mesh = new GL.Mesh( vertex_buffers, index_buffers, null, this.gl );
 	for(var i in this.vertexBuffers)
+		mesh.vertexBuffers[i].attribute = this.vertexBuffers[i].attribute;
+	if( final_groups )
+		mesh.info.groups = final_groups;
+	mesh.updateBoundingBox();
+	return mesh;
+
+	function edgeKey( a, b )
 	{
-		//take every vertex and normalize it to the bounding box
-		var buffer = this.vertexBuffers[i];
-		var data = buffer.data;
+		return a < b ? a * num_vertices + b : b * num_vertices + a;
+	}
 
-		var new_data = new Float32Array( data.length );
+	function computeTriangleNormal( i, out )
+	{
+		var v1 = positions.subarray( indices[i*3]*3, indices[i*3]*3 + 3 );
+		vec3.sub( out, positions.subarray( indices[i*3+1]*3, indices[i*3+1]*3 + 3 ), v1 );
+		vec3.sub( temp, positions.subarray( indices[i*3+2]*3, indices[i*3+2]*3 + 3 ), v1 );
+		vec3.cross( out, out, temp );
+		var area = vec3.length( out );
+		if( area > 0 )
+			vec3.scale( out, out, 1 / area );
+		return area * 0.5;
+	}
 
-		if(i == "vertices")
+	function addPlane( v, a, b, c, d, w )
+	{
+		var q = v * 10;
+		quadrics[q] += w*a*a; quadrics[q+1] += w*a*b; quadrics[q+2] += w*a*c; quadrics[q+3] += w*a*d;
+		quadrics[q+4] += w*b*b; quadrics[q+5] += w*b*c; quadrics[q+6] += w*b*d;
+		quadrics[q+7] += w*c*c; quadrics[q+8] += w*c*d; quadrics[q+9] += w*d*d;
+	}
+
+	function quadricError( q, x, y, z )
+	{
+		return q[0]*x*x + 2*q[1]*x*y + 2*q[2]*x*z + 2*q[3]*x + q[4]*y*y + 2*q[5]*y*z + 2*q[6]*y + q[7]*z*z + 2*q[8]*z + q[9];
+	}
+
+	//computes the best position for the collapse of the edge and adds it to the queue
+	function pushCollapse( a, b )
+	{
+		if( locked[a] && locked[b] )
+			return;
+		if( locked[b] ) //always collapse b into a, a is the one that stays
 		{
-			for(var j = 0, l = data.length; j < l; j+=3 )
+			var t = a; a = b; b = t;
+		}
+
+		var q = temp_quadric;
+		for(var i = 0; i < 10; ++i)
+			q[i] = quadrics[a*10+i] + quadrics[b*10+i];
+
+		var x, y, z;
+		var pa = positions.subarray( a*3, a*3 + 3 );
+		var pb = positions.subarray( b*3, b*3 + 3 );
+		var det = q[0]*(q[4]*q[7] - q[5]*q[5]) - q[1]*(q[1]*q[7] - q[5]*q[2]) + q[2]*(q[1]*q[5] - q[4]*q[2]);
+		if( locked[a] )
+		{
+			x = pa[0]; y = pa[1]; z = pa[2];
+		}
+		else if( Math.abs(det) > 1e-12 ) //optimal position solving the 3x3 system
+		{
+			var idet = 1 / det;
+			x = -idet * ( q[3]*(q[4]*q[7] - q[5]*q[5]) - q[1]*(q[6]*q[7] - q[5]*q[8]) + q[2]*(q[6]*q[5] - q[4]*q[8]) );
+			y = -idet * ( q[0]*(q[6]*q[7] - q[8]*q[5]) - q[3]*(q[1]*q[7] - q[5]*q[2]) + q[2]*(q[1]*q[8] - q[6]*q[2]) );
+			z = -idet * ( q[0]*(q[4]*q[8] - q[5]*q[6]) - q[1]*(q[1]*q[8] - q[6]*q[2]) + q[3]*(q[1]*q[5] - q[4]*q[2]) );
+		}
+		else //pick the best of both ends and the middle
+		{
+			var candidates = [ pa, pb, [ (pa[0]+pb[0])*0.5, (pa[1]+pb[1])*0.5, (pa[2]+pb[2])*0.5 ] ];
+			var best = Infinity;
+			for(var i = 0; i < 3; ++i)
 			{
-				var v = data.subarray(j,j+3);
-				vec3.sub( temp, v, min );
-				vec3.div( temp, temp, range );
-				temp[0] = Math.round(temp[0] * 256) / 256;
-				temp[1] = Math.round(temp[1] * 256) / 256;
-				temp[2] = Math.round(temp[2] * 256) / 256;
-				vec3.mul( temp, temp, range );
-				vec3.add( temp, temp, min );
-				new_data.set( temp, j );
+				var c = candidates[i];
+				var e = quadricError( q, c[0], c[1], c[2] );
+				if( e < best )
+				{
+					best = e;
+					x = c[0]; y = c[1]; z = c[2];
+				}
 			}
 		}
-		else
+
+		heapPush({ error: Math.max( 0, quadricError( q, x, y, z ) ), a: a, b: b, version_a: vertex_version[a], version_b: vertex_version[b], x: x, y: y, z: z });
+	}
+
+	//checks if moving vertex v to pos flips any triangle (except the ones shared with other)
+	function flipsTriangles( v, other, pos )
+	{
+		var list = vertex_triangles[v];
+		for(var i = 0; i < list.length; ++i)
 		{
+			var t = list[i];
+			if( triangle_removed[t] )
+				continue;
+			var i0 = indices[t*3], i1 = indices[t*3+1], i2 = indices[t*3+2];
+			if( i0 == other || i1 == other || i2 == other )
+				continue;
+			if( !computeTriangleNormal( t, old_normal ) )
+				continue;
+			//move it temporarily
+			var p = positions.subarray( v*3, v*3 + 3 );
+			var x = p[0], y = p[1], z = p[2];
+			p[0] = pos[0]; p[1] = pos[1]; p[2] = pos[2];
+			var area = computeTriangleNormal( t, new_normal );
+			p[0] = x; p[1] = y; p[2] = z;
+			if( !area || vec3.dot( old_normal, new_normal ) < min_angle_cos )
+				return true;
 		}
+		return false;
+	}
 
-		newmesh.addBuffer();
+	function collapse( a, b, pos )
+	{
+		//interpolate the rest of the streams according to the position along the edge
+		var pa = positions.subarray( a*3, a*3 + 3 );
+		var pb = positions.subarray( b*3, b*3 + 3 );
+		vec3.sub( temp, pb, pa );
+		var length2 = vec3.dot( temp, temp );
+		var f = 0;
+		if( length2 > 0 && !locked[a] )
+			f = Math.clamp( ( (pos[0]-pa[0])*temp[0] + (pos[1]-pa[1])*temp[1] + (pos[2]-pa[2])*temp[2] ) / length2, 0, 1 );
+		for(var i in streams)
+		{
+			if( i == "vertices" || i == "bone_indices" )
+				continue;
+			var data = streams[i];
+			var spacing = data.length / num_vertices;
+			for(var k = 0; k < spacing; ++k)
+				data[ a*spacing + k ] += ( data[ b*spacing + k ] - data[ a*spacing + k ] ) * f;
+			if( i == "normals" )
+			{
+				var n = data.subarray( a*3, a*3 + 3 );
+				vec3.normalize( n, n );
+			}
+		}
+		pa.set( pos );
+
+		for(var i = 0; i < 10; ++i)
+			quadrics[a*10+i] += quadrics[b*10+i];
+
+		//move triangles from b to a, removing the degenerated ones
+		var list_a = vertex_triangles[a];
+		var list_b = vertex_triangles[b];
+		for(var i = 0; i < list_b.length; ++i)
+		{
+			var t = list_b[i];
+			if( triangle_removed[t] )
+				continue;
+			var has_a = false;
+			for(var j = 0; j < 3; ++j)
+				if( indices[t*3+j] == a )
+					has_a = true;
+			if( has_a )
+			{
+				triangle_removed[t] = 1;
+				alive_triangles--;
+				continue;
+			}
+			for(var j = 0; j < 3; ++j)
+				if( indices[t*3+j] == b )
+					indices[t*3+j] = a;
+			list_a.push(t);
+		}
+		vertex_triangles[b] = [];
+		vertex_version[a]++;
+		vertex_version[b]++;
+
+		//clean list and recompute collapses with the neighbours
+		var alive = [];
+		var neighbours = {};
+		for(var i = 0; i < list_a.length; ++i)
+		{
+			var t = list_a[i];
+			if( triangle_removed[t] )
+				continue;
+			alive.push(t);
+			for(var j = 0; j < 3; ++j)
+			{
+				var v = indices[t*3+j];
+				if( v != a )
+					neighbours[v] = true;
+			}
+		}
+		vertex_triangles[a] = alive;
+		for(var v in neighbours)
+			pushCollapse( a, Number(v) );
+	}
+
+	function weldVertices()
+	{
+		var num = streams["vertices"].length / 3;
+		var map = new Map();
+		var result = new Uint32Array( num );
+		var unique = [];
+		for(var i = 0; i < num; ++i)
+		{
+			var key = [];
+			for(var j in streams)
+			{
+				var spacing = streams[j].length / num;
+				for(var k = 0; k < spacing; ++k)
+					key.push( streams[j][ i*spacing + k ] );
+			}
+			key = key.join(",");
+			var index = map.get( key );
+			if( index === undefined )
+			{
+				index = unique.length;
+				map.set( key, index );
+				unique.push(i);
+			}
+			result[i] = index;
+		}
+		for(var j in streams)
+		{
+			var spacing = streams[j].length / num;
+			var data = new Float32Array( unique.length * spacing );
+			for(var i = 0; i < unique.length; ++i)
+				for(var k = 0; k < spacing; ++k)
+					data[ i*spacing + k ] = streams[j][ unique[i]*spacing + k ];
+			streams[j] = data;
+		}
+		return result;
+	}
+
+	function heapPush( item )
+	{
+		var i = heap.length;
+		heap.push( item );
+		while( i > 0 )
+		{
+			var parent = (i - 1) >> 1;
+			if( heap[parent].error <= item.error )
+				break;
+			heap[i] = heap[parent];
+			i = parent;
+		}
+		heap[i] = item;
+	}
+
+	function heapPop()
+	{
+		var top = heap[0];
+		var last = heap.pop();
+		if( !heap.length )
+			return top;
+		var i = 0;
+		var l = heap.length;
+		while( true )
+		{
+			var child = i*2 + 1;
+			if( child >= l )
+				break;
+			if( child + 1 < l && heap[child+1].error < heap[child].error )
+				child++;
+			if( heap[child].error >= last.error )
+				break;
+			heap[i] = heap[child];
+			i = child;
+		}
+		heap[i] = last;
+		return top;
+	}
+}
+
+/**
+* Adds a morph target (blend shape) to the mesh, stored as the difference with the base mesh for every vertex
+* The target is not applied till it has a weight and bindMorphTargets or bakeMorphTargets is called
+* @method addMorphTarget
+* @param {String} name name of the target
+* @param {Float32Array|Array} vertices delta of every vertex position (same length as the vertices buffer)
+* @param {Float32Array|Array} normals [optional] delta of every normal
+* @return {Object} the morph target info { name, weight, vertices: GL.Buffer, normals: GL.Buffer }
+*/
+Mesh.prototype.addMorphTarget = function( name, vertices, normals )
+{
+	var num_vertices = this.getNumVertices();
+	if( !vertices || vertices.length != num_vertices * 3 )
+		throw("Morph target vertices must have the same length as the mesh vertices");
+	if( normals && normals.length != num_vertices * 3 )
+		throw("Morph target normals must have the same length as the mesh vertices");
+	if( this.getMorphTarget( name ) )
+		throw("Morph target already exist: " + name );
+
+	if( vertices.constructor !== Float32Array )
+		vertices = new Float32Array( vertices );
+	if( normals && normals.constructor !== Float32Array )
+		normals = new Float32Array( normals );
+
+	var target = {
+		name: name,
+		weight: 0,
+		vertices: new GL.Buffer( gl.ARRAY_BUFFER, vertices, 3, null, this.gl ),
+		normals: normals ? new GL.Buffer( gl.ARRAY_BUFFER, normals, 3, null, this.gl ) : null,
+		start: 0, //range of vertices modified by this target
+		end: 0
+	};
+
+	//compute the range of modified vertices, used to upload only that part when baking
+	var start = -1, end = 0;
+	for(var i = 0; i < num_vertices; ++i)
+	{
+		var i3 = i*3;
+		if( !vertices[i3] && !vertices[i3+1] && !vertices[i3+2] && (!normals || (!normals[i3] && !normals[i3+1] && !normals[i3+2])) )
+			continue;
+		if( start == -1 )
+			start = i;
+		end = i + 1;
+	}
+	if( start != -1 )
+	{
+		target.start = start;
+		target.end = end;
+	}
+
+	if( !this.morph_targets )
+		this.morph_targets = [];
+	this.morph_targets.push( target );
+	return target;
+}
+
+/**
+* Returns the morph target with a given name
+* @method getMorphTarget
+* @param {String|Number} name name or index of the target
+* @return {Object} the morph target info
+*/
+Mesh.prototype.getMorphTarget = function( name )
+{
+	if( !this.morph_targets )
+		return null;
+	if( name.constructor === Number )
+		return this.morph_targets[ name ] || null;
+	for(var i = 0; i < this.morph_targets.length; ++i)
+		if( this.morph_targets[i].name == name )
+			return this.morph_targets[i];
+	return null;
+}
+
+/**
+* Removes a morph target from the mesh, if it was baked call bakeMorphTargets again to update the buffers
+* @method removeMorphTarget
+* @param {String|Number} name name or index of the target
+* @param {Boolean} free if you want to remove the data from the GPU
+*/
+Mesh.prototype.removeMorphTarget = function( name, free )
+{
+	var target = this.getMorphTarget( name );
+	if( !target )
+		return;
+	target.weight = 0;
+	if( free )
+	{
+		target.vertices.delete();
+		if( target.normals )
+			target.normals.delete();
 	}
+	this.morph_targets.splice( this.morph_targets.indexOf( target ), 1 );
+}
 
-	//search for repeated vertices
-		//compute the average normal and coord
-	//reindex the triangles
-	//return simplified mesh	
+/**
+* Sets the weight of a morph target
+* @method setMorphWeight
+* @param {String|Number} name name or index of the target
+* @param {Number} weight usually between 0 and 1
+*/
+Mesh.prototype.setMorphWeight = function( name, weight )
+{
+	var target = this.getMorphTarget( name );
+	if( !target )
+	{
+		console.warn("Morph target not found: " + name );
+		return;
+	}
+	target.weight = weight;
 }
 
+/**
+* Sets the weights of several morph targets at once
+* @method setMorphWeights
+* @param {Array|Object} weights array with one weight per target (in order) or object with name: weight
+*/
+Mesh.prototype.setMorphWeights = function( weights )
+{
+	if( weights.length !== undefined )
+	{
+		for(var i = 0; i < weights.length; ++i)
+			this.setMorphWeight( i, weights[i] );
+		return;
+	}
+	for(var i in weights)
+		this.setMorphWeight( i, weights[i] );
+}
+
+/**
+* Assigns the morph targets with the biggest weights to the vertex streams "morph_vertices0", "morph_normals0", ... (attributes a_morph_vertex0, a_morph_normal0, ...)
+* so they are passed to the shader when rendering. Use the weights returned in the uniform u_morph_weights, check Mesh.MORPH_TARGETS_VERTEX_CODE
+* @method bindMorphTargets
+* @param {Number} max_targets [optional] number of targets to bind (default 4)
+* @return {Float32Array} the weight of every binded target, the rest are zero
+*/
+Mesh.prototype.bindMorphTargets = function( max_targets )
+{
+	max_targets = max_targets || 4;
+
+	if( !this._morph_weights || this._morph_weights.length != max_targets )
+		this._morph_weights = new Float32Array( max_targets );
+	var weights = this._morph_weights;
+	weights.fill(0);
+
+	//sort active targets by weight
+	var active = [];
+	if( this.morph_targets )
+		for(var i = 0; i < this.morph_targets.length; ++i)
+			if( this.morph_targets[i].weight )
+				active.push( this.morph_targets[i] );
+	active.sort( function(a,b) { return Math.abs(b.weight) - Math.abs(a.weight); } );
+
+	var vertex_buffers = this.vertexBuffers;
+	var changed = false;
+	for(var i = 0; i < max_targets; ++i)
+	{
+		var target = active[i];
+		setStream( "morph_vertices" + i, target ? target.vertices : null, "a_morph_vertex" + i );
+		setStream( "morph_normals" + i, target ? target.normals : null, "a_morph_normal" + i );
+		if( target )
+			weights[i] = target.weight;
+	}
+
+	//the VAOs must be created again if the streams changed
+	if( changed )
+		this.invalidateVertexArrays();
+
+	return weights;
+
+	function setStream( name, buffer, attribute )
+	{
+		if( vertex_buffers[ name ] == buffer && (!buffer || buffer.attribute == attribute) )
+			return;
+		changed = true;
+		if( !buffer )
+		{
+			delete vertex_buffers[ name ];
+			return;
+		}
+		buffer.attribute = attribute;
+		vertex_buffers[ name ] = buffer;
+	}
+}
+
+/**
+* Removes the morph target streams assigned by bindMorphTargets
+* @method unbindMorphTargets
+*/
+Mesh.prototype.unbindMorphTargets = function()
+{
+	var changed = false;
+	for(var i in this.vertexBuffers)
+		if( i.indexOf("morph_vertices") == 0 || i.indexOf("morph_normals") == 0 )
+		{
+			delete this.vertexBuffers[i];
+			changed = true;
+		}
+	if( changed )
+		this.invalidateVertexArrays();
+}
+
+/**
+* Applies the morph targets on the CPU, modifying the "vertices" and "normals" buffers. The original data is kept so it can be called every frame
+* Only the range of vertices affected by the targets is uploaded
+* @method bakeMorphTargets
+*/
+Mesh.prototype.bakeMorphTargets = function()
+{
+	var vertices_buffer = this.vertexBuffers["vertices"];
+	var normals_buffer = this.vertexBuffers["normals"];
+	if( !vertices_buffer || !this.morph_targets )
+		return;
+
+	//keep a copy of the original data
+	if( !this._morph_base )
+		this._morph_base = {
+			vertices: new Float32Array( vertices_buffer.data ),
+			normals: normals_buffer ? new Float32Array( normals_buffer.data ) : null,
+			start: 0, //range modified in the previous bake
+			end: 0
+		};
+	var base = this._morph_base;
+
+	//compute the range to update, it must include the range modified previously to restore it
+	var start = base.end > base.start ? base.start : Infinity;
+	var end = base.end;
+	var targets = [];
+	for(var i = 0; i < this.morph_targets.length; ++i)
+	{
+		var target = this.morph_targets[i];
+		if( !target.weight || target.start == target.end )
+			continue;
+		targets.push( target );
+		start = Math.min( start, target.start );
+		end = Math.max( end, target.end );
+	}
+	if( start >= end )
+		return;
+
+	var vertices = vertices_buffer.data;
+	var normals = normals_buffer && base.normals ? normals_buffer.data : null;
+	vertices.set( base.vertices.subarray( start*3, end*3 ), start*3 );
+	if( normals )
+		normals.set( base.normals.subarray( start*3, end*3 ), start*3 );
+
+	for(var i = 0; i < targets.length; ++i)
+	{
+		var target = targets[i];
+		var w = target.weight;
+		var delta = target.vertices.data;
+		for(var j = target.start*3, l = target.end*3; j < l; ++j)
+			vertices[j] += delta[j] * w;
+		if( !normals || !target.normals )
+			continue;
+		delta = target.normals.data;
+		for(var j = target.start*3, l = target.end*3; j < l; ++j)
+			normals[j] += delta[j] * w;
+	}
+
+	if( normals )
+		for(var j = start*3, l = end*3; j < l; j += 3)
+		{
+			var n = normals.subarray(j,j+3);
+			vec3.normalize( n, n );
+		}
+
+	//upload only the modified range
+	var bytes = Float32Array.BYTES_PER_ELEMENT * 3;
+	vertices_buffer.uploadRange( start * bytes, (end - start) * bytes );
+	if( normals )
+		normals_buffer.uploadRange( start * bytes, (end - start) * bytes );
+
+	//nothing to restore next time if all the weights are zero
+	base.start = start;
+	base.end = targets.length ? end : 0;
+}
+
+/**
+* GLSL code to apply the morph targets binded with bindMorphTargets in the vertex shader (supports up to 4 targets)
+* Define NUM_MORPH_TARGETS in the macros (default 4), pass the result of bindMorphTargets in u_morph_weights and call computeMorphTargets( vertex, normal )
+* @property Mesh.MORPH_TARGETS_VERTEX_CODE
+*/
+Mesh.MORPH_TARGETS_VERTEX_CODE = "\n\
+			#ifndef NUM_MORPH_TARGETS\n\
+				#define NUM_MORPH_TARGETS 4\n\
+			#endif\n\
+			uniform float u_morph_weights[ NUM_MORPH_TARGETS ];\n\
+			attribute vec3 a_morph_vertex0;\n\
+			attribute vec3 a_morph_normal0;\n\
+			#if NUM_MORPH_TARGETS > 1\n\
+				attribute vec3 a_morph_vertex1;\n\
+				attribute vec3 a_morph_normal1;\n\
+			#endif\n\
+			#if NUM_MORPH_TARGETS > 2\n\
+				attribute vec3 a_morph_vertex2;\n\
+				attribute vec3 a_morph_normal2;\n\
+			#endif\n\
+			#if NUM_MORPH_TARGETS > 3\n\
+				attribute vec3 a_morph_vertex3;\n\
+				attribute vec3 a_morph_normal3;\n\
+			#endif\n\
+			void computeMorphTargets(inout vec3 vertex, inout vec3 normal)\n\
+			{\n\
+				vertex += a_morph_vertex0 * u_morph_weights[0];\n\
+				normal += a_morph_normal0 * u_morph_weights[0];\n\
+				#if NUM_MORPH_TARGETS > 1\n\
+					vertex += a_morph_vertex1 * u_morph_weights[1];\n\
+					normal += a_morph_normal1 * u_morph_weights[1];\n\
+				#endif\n\
+				#if NUM_MORPH_TARGETS > 2\n\
+					vertex += a_morph_vertex2 * u_morph_weights[2];\n\
+					normal += a_morph_normal2 * u_morph_weights[2];\n\
+				#endif\n\
+				#if NUM_MORPH_TARGETS > 3\n\
+					vertex += a_morph_vertex3 * u_morph_weights[3];\n\
+					normal += a_morph_normal3 * u_morph_weights[3];\n\
+				#endif\n\
+				normal = normalize(normal);\n\
+			}\n\
+			";
+
 /**
 * Static method for the class Mesh to create a mesh from a list of common streams
 * @method Mesh.load
@@ -2165,6 +2986,7 @@ function DynamicMesh( size, normals, coords, colors, gl )
 
 	this.vertexBuffers = {};
 	this.indexBuffers = {};
+	this._vertex_arrays = {}; //VAOs by shader attributes layout
 
 	//here you can store extra info, like groups, which is an array of { name, start, length, material }
 	this.info = {
@@ -2172,6 +2994,9 @@ function DynamicMesh( size, normals, coords, colors, gl )
 	}; 
 	this._bounding = BBox.create(); //here you can store a AABB in BBox format
 
+	//to discard the VAOs if the context is lost
+	GL.registerResource( this, this.gl );
+
 	this.resize( size );
 }
 
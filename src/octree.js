@@ -35,28 +35,47 @@ Octree.ALL = 2;  //returns the all collisions
 var octree_tested_boxes = 0;
 var octree_tested_triangles = 0;
 
+/**
+* Builds the octree from the triangles of a mesh, it can be restricted to a range of indices or to some groups (submeshes) of mesh.info.groups
+* @method buildFromMesh
+* @param {Mesh} mesh object containing vertices buffer (indices buffer optional)
+* @param {Number|String|Object|Array} start [optional] first index of the range, or a group (name, index in info.groups or {start,length}), or an array of groups
+* @param {Number} length [optional] number of indices of the range (only if start is a number)
+*/
 Octree.prototype.buildFromMesh = function( mesh, start, length )
 {
 	this.total_depth = 0;
 	this.total_nodes = 0;
-	start = start || 0;
+	this.mesh = mesh; //to fetch uvs and groups when testing rays
 
 	var vertices = mesh.getBuffer("vertices").data;
 	var triangles = mesh.getIndexBuffer("triangles");
 	if(triangles) 
 		triangles = triangles.data; //get the internal data
 
-	if( !length )
-		length = triangles ? triangles.length : vertices.length / 3;
+	var ranges = Octree.getMeshRanges( mesh, start, length );
+	if(!ranges.length)
+		throw("Octree: no triangles in range");
 
 	var root = null;
-	if( triangles )
-		root = this.computeAABBFromIndices(vertices,triangles,start,length);
-	else
-		root = this.computeAABB(vertices);
+	for(var i = 0; i < ranges.length; ++i)
+	{
+		var range = ranges[i];
+		var aabb = triangles ? this.computeAABBFromIndices( vertices, triangles, range[0], range[1] ) : this.computeAABB( vertices.subarray( range[0] * 3, (range[0] + range[1]) * 3 ) );
+		if(!root)
+			root = aabb;
+		else
+		{
+			vec3.min( root.min, root.min, aabb.min );
+			vec3.max( root.max, root.max, aabb.max );
+		}
+	}
+	vec3.sub( root.size, root.max, root.min );
 	this.root = root;
 	this.total_nodes = 1;
-	this.total_triangles = triangles ? triangles.length / 3 : vertices.length / 9;
+	this.total_triangles = 0;
+	for(var i = 0; i < ranges.length; ++i)
+		this.total_triangles += Math.floor( ranges[i][1] / 3 );
 	this.max_node_triangles = this.total_triangles * Octree.MAX_NODE_TRIANGLES_RATIO;
 
 	var margin = vec3.create();
@@ -71,32 +90,82 @@ Octree.prototype.buildFromMesh = function( mesh, start, length )
 	root.faces = [];
 	root.inside = 0;
 
-	//indexed
-	var end = start + length;
-	if(triangles)
+	for(var r = 0; r < ranges.length; ++r)
 	{
-		for(var i = start; i < end; i+=3)
+		var end = ranges[r][0] + ranges[r][1];
+		//indexed
+		if(triangles)
 		{
-			var face = new Float32Array([vertices[triangles[i]*3], vertices[triangles[i]*3+1],vertices[triangles[i]*3+2],
-						vertices[triangles[i+1]*3], vertices[triangles[i+1]*3+1],vertices[triangles[i+1]*3+2],
-						vertices[triangles[i+2]*3], vertices[triangles[i+2]*3+1],vertices[triangles[i+2]*3+2],i/3]);
-			this.addToNode( face,root,0);
+			for(var i = ranges[r][0]; i + 2 < end; i+=3)
+			{
+				var face = new Float32Array([vertices[triangles[i]*3], vertices[triangles[i]*3+1],vertices[triangles[i]*3+2],
+							vertices[triangles[i+1]*3], vertices[triangles[i+1]*3+1],vertices[triangles[i+1]*3+2],
+							vertices[triangles[i+2]*3], vertices[triangles[i+2]*3+1],vertices[triangles[i+2]*3+2],i/3]);
+				this.addToNode( face,root,0);
+			}
 		}
-	}
-	else
-	{
-		for(var i = start*3; i < length*3; i+=9) //vertices
+		else
 		{
-			var face = new Float32Array( 10 );
-			face.set( vertices.subarray(i,i+9) );
-			face[9] = i/9;
-			this.addToNode(face,root,0);
+			for(var i = ranges[r][0]*3; i + 9 <= end*3; i+=9) //vertices
+			{
+				var face = new Float32Array( 10 );
+				face.set( vertices.subarray(i,i+9) );
+				face[9] = i/9;
+				this.addToNode(face,root,0);
+			}
 		}
 	}
 
 	return root;
 }
 
+/**
+* Returns the ranges of indices (or vertices if the mesh is not indexed) to use from a mesh
+* @method Octree.getMeshRanges
+* @param {Mesh} mesh
+* @param {Number|String|Object|Array} start [optional] first index of the range, or a group (name, index in info.groups or {start,length}), or an array of groups
+* @param {Number} length [optional] number of indices of the range (only if start is a number)
+* @return {Array} array of [start, length]
+*/
+Octree.getMeshRanges = function( mesh, start, length )
+{
+	var triangles = mesh.getIndexBuffer("triangles");
+	var total = triangles ? triangles.data.length : mesh.getBuffer("vertices").data.length / 3;
+	if( start == null || start.constructor === Number )
+	{
+		start = start || 0;
+		if( !length )
+			length = total - start;
+		return length > 0 ? [[ start, Math.min( length, total - start ) ]] : [];
+	}
+
+	var groups = mesh.info && mesh.info.groups ? mesh.info.groups : [];
+	var list = start.constructor === Array ? start : [ start ];
+	var ranges = [];
+	for(var i = 0; i < list.length; ++i)
+	{
+		var group = list[i];
+		if( group.constructor === Number )
+			group = groups[ group ];
+		else if( group.constructor === String )
+		{
+			var name = group;
+			group = null;
+			for(var j = 0; j < groups.length; ++j)
+				if( groups[j].name == name )
+				{
+					group = groups[j];
+					break;
+				}
+		}
+		if(!group)
+			throw("Octree: group not found in mesh: " + list[i] );
+		if(group.length)
+			ranges.push([ group.start, group.length ]);
+	}
+	return ranges;
+}
+
 Octree.prototype.addToNode = function( face, node, depth )
 {
 	node.inside += 1;
@@ -104,7 +173,7 @@ Octree.prototype.addToNode = function( face, node, depth )
 	//has children
 	if(node.c)
 	{
-		var aabb = this.computeAABB(face);
+		var aabb = this.computeAABB( face.subarray(0,9) ); //skip the triangle index
 		var added = false;
 		for(var i in node.c)
 		{
@@ -143,7 +212,7 @@ Octree.prototype.addToNode = function( face, node, depth )
 			for(var i in faces)
 			{
 				var face = faces[i];
-				var aabb = this.computeAABB(face);
+				var aabb = this.computeAABB( face.subarray(0,9) ); //skip the triangle index
 				var added = false;
 				for(var j in node.c)
 				{
@@ -253,6 +322,274 @@ Octree.prototype.trim = function(node)
 	return num;
 }
 
+/**
+* Updates the bounds of the nodes after the vertices of the mesh have changed (after Buffer.setData), the nodes are not split again so if the shape changes a lot it is better to rebuild it
+* @method refit
+* @param {Float32Array} vertices [optional] the new vertices, otherwise they are read from the mesh
+*/
+Octree.prototype.refit = function( vertices )
+{
+	if(!this.root)
+		throw("Error: octree not build");
+	if(!vertices)
+	{
+		if(!this.mesh)
+			throw("Octree: no mesh to refit");
+		vertices = this.mesh.getBuffer("vertices").data;
+	}
+	var indices = this.mesh ? this.mesh.getIndexBuffer("triangles") : null;
+	if(indices)
+		indices = indices.data;
+	Octree.refitNode( this.root, vertices, indices );
+	vec3.sub( this.root.size, this.root.max, this.root.min );
+}
+
+//WARNING: cannot use static here, it uses recursion
+Octree.refitNode = function( node, vertices, indices )
+{
+	var min = [ Infinity, Infinity, Infinity ];
+	var max = [ -Infinity, -Infinity, -Infinity ];
+	if(node.faces)
+		for(var i = 0; i < node.faces.length; ++i)
+		{
+			var face = node.faces[i];
+			Octree.getFaceFromMesh( face[9], vertices, indices, face );
+			for(var j = 0; j < 9; ++j)
+			{
+				var v = face[j];
+				if( v < min[j%3] ) min[j%3] = v;
+				if( v > max[j%3] ) max[j%3] = v;
+			}
+		}
+	if(node.c)
+		for(var i = 0; i < node.c.length; ++i)
+		{
+			var child = node.c[i];
+			Octree.refitNode( child, vertices, indices );
+			vec3.min( min, min, child.min );
+			vec3.max( max, max, child.max );
+		}
+	if( min[0] == Infinity ) //empty
+		return;
+	for(var i = 0; i < 3; ++i)
+	{
+		node.min[i] = min[i];
+		node.max[i] = max[i];
+	}
+	node.bbox = null;
+}
+
+/**
+* Fills a face with the vertices of a triangle of the mesh
+* @method Octree.getFaceFromMesh
+* @param {Number} index index of the triangle
+* @param {Float32Array} vertices
+* @param {Uint16Array|Uint32Array} indices [optional] if the mesh is indexed
+* @param {Float32Array} out [optional] where to store the face
+* @return {Float32Array} the 9 coordinates and the index of the triangle
+*/
+Octree.getFaceFromMesh = function( index, vertices, indices, out )
+{
+	out = out || new Float32Array(10);
+	for(var i = 0; i < 3; ++i)
+	{
+		var vertex = indices ? indices[ index * 3 + i ] : index * 3 + i;
+		out[ i*3 ] = vertices[ vertex*3 ];
+		out[ i*3 + 1 ] = vertices[ vertex*3 + 1 ];
+		out[ i*3 + 2 ] = vertices[ vertex*3 + 2 ];
+	}
+	out[9] = index;
+	return out;
+}
+
+/**
+* Returns an object with the tree, only the indices of the triangles are stored so the mesh is needed to restore it
+* @method toJSON
+* @return {Object}
+*/
+Octree.prototype.toJSON = function()
+{
+	if(!this.root)
+		throw("Error: octree not build");
+	return {
+		total_depth: this.total_depth,
+		total_nodes: this.total_nodes,
+		total_triangles: this.total_triangles,
+		root: Octree.nodeToJSON( this.root )
+	};
+}
+
+Octree.nodeToJSON = function( node )
+{
+	var o = { min: Array.prototype.slice.call( node.min ), max: Array.prototype.slice.call( node.max ), inside: node.inside };
+	if(node.faces && node.faces.length)
+	{
+		o.faces = [];
+		for(var i = 0; i < node.faces.length; ++i)
+			o.faces.push( node.faces[i][9] );
+	}
+	if(node.c && node.c.length)
+	{
+		o.c = [];
+		for(var i = 0; i < node.c.length; ++i)
+			o.c.push( Octree.nodeToJSON( node.c[i] ) );
+	}
+	return o;
+}
+
+/**
+* Restores the tree from the object returned by toJSON
+* @method fromJSON
+* @param {Object} o
+* @param {Mesh} mesh the mesh used to build it (to get the vertices)
+*/
+Octree.prototype.fromJSON = function( o, mesh )
+{
+	var vertices = mesh.getBuffer("vertices").data;
+	var indices = mesh.getIndexBuffer("triangles");
+	if(indices)
+		indices = indices.data;
+
+	var fromJSON = function( data ) {
+		var node = { min: new Float32Array( data.min ), max: new Float32Array( data.max ), inside: data.inside || 0, faces: null };
+		if(data.faces)
+		{
+			node.faces = [];
+			for(var i = 0; i < data.faces.length; ++i)
+				node.faces.push( Octree.getFaceFromMesh( data.faces[i], vertices, indices ) );
+		}
+		if(data.c)
+		{
+			node.c = [];
+			for(var i = 0; i < data.c.length; ++i)
+				node.c.push( fromJSON( data.c[i] ) );
+		}
+		return node;
+	}
+
+	this.mesh = mesh;
+	this.root = fromJSON( o.root );
+	this.root.faces = this.root.faces || [];
+	this.root.size = vec3.sub( vec3.create(), this.root.max, this.root.min );
+	this.total_depth = o.total_depth || 0;
+	this.total_nodes = o.total_nodes || 0;
+	this.total_triangles = o.total_triangles || 0;
+	this.max_node_triangles = this.total_triangles * Octree.MAX_NODE_TRIANGLES_RATIO;
+}
+
+//header: "OCT1", num nodes, num faces stored, total depth, total triangles
+Octree.BINARY_MAGIC = 0x3154434F;
+
+/**
+* Serializes the tree to an ArrayBuffer, only the indices of the triangles are stored so the mesh is needed to restore it
+* @method toBinary
+* @return {ArrayBuffer} the data
+*/
+Octree.prototype.toBinary = function()
+{
+	if(!this.root)
+		throw("Error: octree not build");
+
+	//count
+	var num_nodes = 0;
+	var num_faces = 0;
+	var stack = [ this.root ];
+	while( stack.length )
+	{
+		var node = stack.pop();
+		num_nodes++;
+		if(node.faces)
+			num_faces += node.faces.length;
+		if(node.c)
+			stack.push.apply( stack, node.c );
+	}
+
+	//nodes stored depth first: min and max, then number of children, number of faces and triangles inside
+	var buffer = new ArrayBuffer( 20 + num_nodes * 36 + num_faces * 4 );
+	var header = new Uint32Array( buffer, 0, 5 );
+	header.set([ Octree.BINARY_MAGIC, num_nodes, num_faces, this.total_depth, this.total_triangles ]);
+	var bounds = new Float32Array( buffer, 20, num_nodes * 6 );
+	var info = new Uint32Array( buffer, 20 + num_nodes * 24, num_nodes * 3 );
+	var faces = new Uint32Array( buffer, 20 + num_nodes * 36, num_faces );
+	var node_index = 0;
+	var face_index = 0;
+	var addNode = function( node ) {
+		bounds.set( node.min, node_index * 6 );
+		bounds.set( node.max, node_index * 6 + 3 );
+		var num_children = node.c ? node.c.length : 0;
+		var node_faces = node.faces || [];
+		info[ node_index * 3 ] = num_children;
+		info[ node_index * 3 + 1 ] = node_faces.length;
+		info[ node_index * 3 + 2 ] = node.inside;
+		node_index++;
+		for(var i = 0; i < node_faces.length; ++i)
+			faces[ face_index++ ] = node_faces[i][9];
+		for(var i = 0; i < num_children; ++i)
+			addNode( node.c[i] );
+	}
+	addNode( this.root );
+	return buffer;
+}
+
+/**
+* Creates an octree from the data returned by toBinary
+* @method Octree.fromBinary
+* @param {ArrayBuffer} data
+* @param {Mesh} mesh the mesh used to build it (to get the vertices)
+* @return {Octree} the octree
+*/
+Octree.fromBinary = function( data, mesh )
+{
+	if(data.constructor !== ArrayBuffer) //typed array
+		data = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+	var header = new Uint32Array( data, 0, 5 );
+	if( header[0] != Octree.BINARY_MAGIC )
+		throw("Octree: wrong binary data");
+	var num_nodes = header[1];
+	var num_faces = header[2];
+	var bounds = new Float32Array( data, 20, num_nodes * 6 );
+	var info = new Uint32Array( data, 20 + num_nodes * 24, num_nodes * 3 );
+	var faces = new Uint32Array( data, 20 + num_nodes * 36, num_faces );
+
+	var vertices = mesh.getBuffer("vertices").data;
+	var indices = mesh.getIndexBuffer("triangles");
+	if(indices)
+		indices = indices.data;
+
+	var node_index = 0;
+	var face_index = 0;
+	var readNode = function() {
+		var i = node_index++;
+		var node = { min: bounds.slice( i * 6, i * 6 + 3 ), max: bounds.slice( i * 6 + 3, i * 6 + 6 ), inside: info[ i * 3 + 2 ], faces: null };
+		var num_node_faces = info[ i * 3 + 1 ];
+		if( num_node_faces )
+		{
+			node.faces = [];
+			for(var j = 0; j < num_node_faces; ++j)
+				node.faces.push( Octree.getFaceFromMesh( faces[ face_index++ ], vertices, indices ) );
+		}
+		var num_children = info[ i * 3 ];
+		if( num_children )
+		{
+			node.c = [];
+			for(var j = 0; j < num_children; ++j)
+				node.c.push( readNode() );
+		}
+		return node;
+	}
+
+	var octree = new GL.Octree();
+	octree.mesh = mesh;
+	octree.root = readNode();
+	octree.root.faces = octree.root.faces || [];
+	octree.root.size = vec3.sub( vec3.create(), octree.root.max, octree.root.min );
+	octree.total_nodes = num_nodes;
+	octree.total_depth = header[3];
+	octree.total_triangles = header[4];
+	octree.max_node_triangles = octree.total_triangles * Octree.MAX_NODE_TRIANGLES_RATIO;
+	return octree;
+}
+
 /**
 * Test collision between ray and triangles in the octree
 * @method testRay
@@ -261,8 +598,8 @@ Octree.prototype.trim = function(node)
 * @param {number} dist_min
 * @param {number} dist_max
 * @param {number} test_backfaces if rays colliding with the back face must be considered a valid collision
-* @param {number} mode which mode to use (Octree.NEAREST: nearest collision to origin, Octree.FIRST: first collision detected (fastest), Octree.ALL: all collision (slowest)
-* @return {HitTest} object containing pos and normal
+* @param {number} mode which mode to use (Octree.NEAREST: nearest collision to origin, Octree.FIRST: first collision detected (fastest), Octree.ALL: all collision sorted by distance (slowest)
+* @return {HitTest} object containing pos, normal, triangle (index in the mesh), barycentrics (weight of every vertex), uv (if the mesh has coords) and group (entry of mesh.info.groups), or an array of them in Octree.ALL mode
 */
 Octree.prototype.testRay = (function(){ 
 	var origin_temp = vec3.create();
@@ -295,15 +632,100 @@ Octree.prototype.testRay = (function(){
 			return null;
 
 		if(mode == Octree.ALL)
+		{
+			test.sort( function(a,b) { return a.t - b.t; } );
+			for(var i = 0; i < test.length; ++i)
+				this.fillHitInfo( test[i], origin, direction );
 			return test;
+		}
+
+		return this.fillHitInfo( test, origin, direction );
+	}
+})();
 
+/**
+* Adds to a hit the position and the info about the triangle collided (index, barycentrics, uv and group)
+* @method fillHitInfo
+* @param {HitTest} test the hit, it must have the face
+* @param {vec3} origin ray origin position
+* @param {vec3} direction ray direction
+* @return {HitTest} the same hit
+*/
+Octree.prototype.fillHitInfo = (function(){
+	var AB = vec3.create();
+	var AC = vec3.create();
+	var AP = vec3.create();
+
+	return function( test, origin, direction )
+	{
 		var pos = vec3.scale( vec3.create(), direction, test.t );
 		vec3.add( pos, pos, origin );
 		test.pos = pos;
+
+		var face = test.face;
+		if(!face)
+			return test;
+		var index = test.triangle = face[9];
+
+		//barycentrics
+		vec3.sub( AB, face.subarray(3,6), face.subarray(0,3) );
+		vec3.sub( AC, face.subarray(6,9), face.subarray(0,3) );
+		vec3.sub( AP, pos, face.subarray(0,3) );
+		var d00 = vec3.dot( AB, AB );
+		var d01 = vec3.dot( AB, AC );
+		var d11 = vec3.dot( AC, AC );
+		var d20 = vec3.dot( AP, AB );
+		var d21 = vec3.dot( AP, AC );
+		var denom = d00 * d11 - d01 * d01;
+		var v = denom ? (d11 * d20 - d01 * d21) / denom : 0;
+		var w = denom ? (d00 * d21 - d01 * d20) / denom : 0;
+		test.barycentrics = vec3.fromValues( 1 - v - w, v, w );
+
+		var mesh = this.mesh;
+		if(!mesh)
+			return test;
+
+		//uvs
+		var coords = mesh.getBuffer("coords");
+		if(coords)
+		{
+			var indices = mesh.getIndexBuffer("triangles");
+			var data = coords.data;
+			var uv = test.uv = vec2.create();
+			for(var i = 0; i < 3; ++i)
+			{
+				var vertex = indices ? indices.data[ index * 3 + i ] : index * 3 + i;
+				uv[0] += data[ vertex * 2 ] * test.barycentrics[i];
+				uv[1] += data[ vertex * 2 + 1 ] * test.barycentrics[i];
+			}
+		}
+
+		test.group = this.getGroupFromTriangle( index );
 		return test;
 	}
 })();
 
+/**
+* Returns the group of mesh.info.groups that contains a triangle
+* @method getGroupFromTriangle
+* @param {Number} index index of the triangle in the mesh
+* @return {Object} the group or null
+*/
+Octree.prototype.getGroupFromTriangle = function( index )
+{
+	var groups = this.mesh && this.mesh.info ? this.mesh.info.groups : null;
+	if(!groups)
+		return null;
+	var offset = index * 3; //groups are ranges of indices (or vertices if not indexed)
+	for(var i = 0; i < groups.length; ++i)
+	{
+		var group = groups[i];
+		if( offset >= group.start && offset < group.start + group.length )
+			return group;
+	}
+	return null;
+}
+
 //tests collisions with a node of the octree and its children
 //WARNING: cannot use static here, it uses recursion
 Octree.testRayInNode = function( node, origin, direction, test_backfaces, mode )
@@ -321,6 +743,7 @@ Octree.testRayInNode = function( node, origin, direction, test_backfaces, mode )
 			test = Octree.hitTestTriangle( origin, direction, face.subarray(0,3) , face.subarray(3,6), face.subarray(6,9), test_backfaces );
 			if (test == null)
 				continue;
+			test.face = face;
 			if(mode == Octree.FIRST)
 				return test;
 			if(mode == Octree.ALL)
@@ -330,7 +753,6 @@ Octree.testRayInNode = function( node, origin, direction, test_backfaces, mode )
 				prev_test.push(test);
 			}
 			else { //find closer
-				test.face = face;
 				if(prev_test)
 					prev_test.mergeWith( test );
 				else
@@ -368,11 +790,7 @@ Octree.testRayInNode = function( node, origin, direction, test_backfaces, mode )
 				return test;
 
 			if(mode == Octree.ALL)
-			{
-				if(!prev_test)
-					prev_test = [];
-				prev_test.push(test);
-			}
+				prev_test = prev_test ? prev_test.concat(test) : test;
 			else {
 				if(prev_test)
 					prev_test.mergeWith( test );
@@ -451,6 +869,720 @@ Octree.testSphereInNode = function( node, origin, radius2 )
 	return false;
 }
 
+/**
+* Returns the faces stored in the nodes that pass a test, used to implement other queries
+* @method findFaces
+* @param {Function} test function( node ) that returns true if the node (and its children) must be crawled
+* @param {Array} out [optional] where to store the faces
+* @return {Array} faces (Float32Array with the 9 coordinates and the index of the triangle)
+*/
+Octree.prototype.findFaces = function( test, out )
+{
+	out = out || [];
+	if(!this.root)
+		throw("Error: octree not build");
+	if( test( this.root ) )
+		Octree.findFacesInNode( this.root, test, out );
+	return out;
+}
+
+//WARNING: cannot use static here, it uses recursion
+Octree.findFacesInNode = function( node, test, out )
+{
+	octree_tested_boxes += 1;
+	if(node.faces)
+		for(var i = 0, l = node.faces.length; i < l; ++i)
+			out.push( node.faces[i] );
+	if(node.c)
+		for(var i = 0; i < node.c.length; ++i)
+			if( test( node.c[i] ) )
+				Octree.findFacesInNode( node.c[i], test, out );
+}
+
+//returns the box of a node as a BBox (it is cached in the node)
+Octree.getNodeBBox = function( node )
+{
+	if(!node.bbox)
+		node.bbox = BBox.fromMinMax( node.min, node.max );
+	return node.bbox;
+}
+
+//stores the BBox of a face in out
+Octree.getFaceBBox = function( face, out )
+{
+	out = out || BBox.create();
+	var min = out.subarray(6,9);
+	var max = out.subarray(9,12);
+	for(var i = 0; i < 3; ++i)
+	{
+		min[i] = Math.min( face[i], face[i+3], face[i+6] );
+		max[i] = Math.max( face[i], face[i+3], face[i+6] );
+	}
+	return BBox.setMinMax( out, min, max );
+}
+
+/**
+* Test collision between a capsule and the triangles in the octree
+* @method testCapsule
+* @param {vec3} start center of one of the caps
+* @param {vec3} end center of the other cap
+* @param {number} radius
+* @param {Array} contacts [optional] array where to add the contacts
+* @return {Array} contacts { point (in the mesh), normal (from the mesh towards the capsule), depth (penetration), triangle } or null if there is no collision
+*/
+Octree.prototype.testCapsule = (function(){
+	var bbox = BBox.create();
+	var min = vec3.create();
+	var max = vec3.create();
+	var center = vec3.create();
+
+	return function( start, end, radius, contacts )
+	{
+		octree_tested_boxes = 0;
+		octree_tested_triangles = 0;
+
+		vec3.min( min, start, end );
+		vec3.max( max, start, end );
+		vec3.sub( min, min, [radius,radius,radius] );
+		vec3.add( max, max, [radius,radius,radius] );
+		BBox.setMinMax( bbox, min, max );
+		var faces = this.findFaces( function(node) { return geo.testBBoxBBox( Octree.getNodeBBox(node), bbox ); } );
+
+		//bounding sphere of the capsule to discard triangles fast
+		vec3.lerp( center, start, end, 0.5 );
+		var bounding_radius = vec3.distance( start, end ) * 0.5 + radius;
+		var rr = bounding_radius * bounding_radius;
+
+		var result = contacts || [];
+		var num = result.length;
+		for(var i = 0; i < faces.length; ++i)
+		{
+			var face = faces[i];
+			octree_tested_triangles += 1;
+			if( !Octree.testSphereTriangle( center, rr, face.subarray(0,3), face.subarray(3,6), face.subarray(6,9) ) )
+				continue;
+			var contact = capsuleTriangleContact( start, end, radius, face );
+			if(contact)
+				result.push( contact );
+		}
+		return result.length > num ? result : null;
+	}
+})();
+
+/**
+* Moves a capsule and finds the first position where it touches the triangles in the octree (using conservative advancement)
+* @method sweepCapsule
+* @param {vec3} start center of one of the caps
+* @param {vec3} end center of the other cap
+* @param {number} radius
+* @param {vec3} motion displacement of the capsule
+* @param {number} max_iterations [optional] default is 32
+* @return {Object} { t: fraction of the motion (0..1) till the contact, contacts } or null if it can do the whole motion. If the contact is not found in max_iterations contacts is empty and t is a safe position
+*/
+Octree.prototype.sweepCapsule = (function(){
+	var bbox = BBox.create();
+	var center = vec3.create();
+	var box_min = vec3.create();
+	var box_max = vec3.create();
+	var seg_point = vec3.create();
+	var tri_point = vec3.create();
+	var S = vec3.create();
+	var E = vec3.create();
+
+	return function( start, end, radius, motion, max_iterations )
+	{
+		octree_tested_boxes = 0;
+		octree_tested_triangles = 0;
+		max_iterations = max_iterations || 32;
+
+		var length = vec3.length( motion );
+		if( !length )
+		{
+			var contacts = this.testCapsule( start, end, radius );
+			return contacts ? { t: 0, contacts: contacts } : null;
+		}
+
+		//nodes crossed by the box of the capsule during the motion
+		vec3.min( box_min, start, end );
+		vec3.max( box_max, start, end );
+		vec3.sub( box_min, box_min, [radius,radius,radius] );
+		vec3.add( box_max, box_max, [radius,radius,radius] );
+		BBox.setMinMax( bbox, box_min, box_max );
+		vec3.copy( center, BBox.getCenter( bbox ) );
+		var halfsize = BBox.getHalfsize( bbox );
+		var faces = this.findFaces( function(node) {
+			vec3.sub( box_min, node.min, halfsize );
+			vec3.add( box_max, node.max, halfsize );
+			var test = Octree.hitTestBox( center, motion, box_min, box_max );
+			return test != null && test.t <= 1;
+		});
+
+		var tolerance = radius * Octree.SWEEP_TOLERANCE_RATIO;
+		var t = 0;
+		for(var i = 0; i < max_iterations; ++i)
+		{
+			vec3.scaleAndAdd( S, start, motion, t );
+			vec3.scaleAndAdd( E, end, motion, t );
+
+			//distance to the closest triangle
+			var min_dist = Infinity;
+			for(var j = 0; j < faces.length; ++j)
+			{
+				var face = faces[j];
+				octree_tested_triangles += 1;
+				var dist = Math.sqrt( Octree.closestPointsSegmentTriangle( seg_point, tri_point, S, E, face.subarray(0,3), face.subarray(3,6), face.subarray(6,9) ) ) - radius;
+				if( dist < min_dist )
+					min_dist = dist;
+			}
+
+			if( min_dist <= tolerance )
+			{
+				var contacts = [];
+				for(var j = 0; j < faces.length; ++j)
+				{
+					var contact = capsuleTriangleContact( S, E, radius + tolerance, faces[j] );
+					if(!contact)
+						continue;
+					contact.depth = Math.max( 0, contact.depth - tolerance );
+					contacts.push( contact );
+				}
+				return { t: t, contacts: contacts };
+			}
+
+			//the capsule can move this distance without touching anything
+			t += min_dist / length;
+			if( t > 1 )
+				return null;
+		}
+
+		return { t: t, contacts: [] };
+	}
+})();
+
+Octree.SWEEP_TOLERANCE_RATIO = 0.01; //distance considered a contact in sweepCapsule (relative to the radius)
+
+//returns the contact between a capsule and a triangle or null
+var capsuleTriangleContact = (function(){
+	var seg_point = vec3.create();
+	var tri_point = vec3.create();
+	var normal = vec3.create();
+	var AB = vec3.create();
+	var AC = vec3.create();
+	var tmp = vec3.create();
+
+	return function( start, end, radius, face )
+	{
+		var A = face.subarray(0,3);
+		var B = face.subarray(3,6);
+		var C = face.subarray(6,9);
+		var dist2 = Octree.closestPointsSegmentTriangle( seg_point, tri_point, start, end, A, B, C );
+		if( dist2 > radius * radius )
+			return null;
+		var dist = Math.sqrt( dist2 );
+		if( dist > 0 )
+			return createOctreeContact( tri_point, vec3.scale( normal, vec3.sub( normal, seg_point, tri_point ), 1 / dist ), radius - dist, face );
+
+		//the segment crosses the triangle, push it to the side where most of the segment is
+		vec3.sub( AB, B, A );
+		vec3.sub( AC, C, A );
+		vec3.normalize( normal, vec3.cross( normal, AB, AC ) );
+		var dist_start = vec3.dot( normal, vec3.sub( tmp, start, A ) );
+		var dist_end = vec3.dot( normal, vec3.sub( tmp, end, A ) );
+		var front = Math.max( dist_start, dist_end );
+		var back = Math.min( dist_start, dist_end );
+		if( front < -back )
+		{
+			vec3.scale( normal, normal, -1 );
+			return createOctreeContact( tri_point, normal, radius + front, face );
+		}
+		return createOctreeContact( tri_point, normal, radius - back, face );
+	}
+})();
+
+function createOctreeContact( point, normal, depth, face )
+{
+	return { point: vec3.clone( point ), normal: vec3.clone( normal ), depth: depth, triangle: face[9] };
+}
+
+/**
+* Test collision between an axis aligned box and the triangles in the octree
+* @method testBox
+* @param {BBox} bbox the box (check geo BBox)
+* @param {Array} contacts [optional] array where to add the contacts
+* @return {Array} contacts { point (in the mesh), normal (from the mesh towards the box), depth (penetration), triangle } or null if there is no collision
+*/
+Octree.prototype.testBox = (function(){
+	var face_bbox = BBox.create();
+	var normal = vec3.create();
+	var point = vec3.create();
+
+	return function( bbox, contacts )
+	{
+		octree_tested_boxes = 0;
+		octree_tested_triangles = 0;
+
+		var faces = this.findFaces( function(node) { return geo.testBBoxBBox( Octree.getNodeBBox(node), bbox ); } );
+		var center = BBox.getCenter( bbox );
+		var halfsize = BBox.getHalfsize( bbox );
+		var result = contacts || [];
+		var num = result.length;
+		for(var i = 0; i < faces.length; ++i)
+		{
+			var face = faces[i];
+			octree_tested_triangles += 1;
+			if( !geo.testBBoxBBox( Octree.getFaceBBox( face, face_bbox ), bbox ) )
+				continue;
+			var A = face.subarray(0,3);
+			var B = face.subarray(3,6);
+			var C = face.subarray(6,9);
+			var depth = Octree.testBoxTriangle( center, halfsize, A, B, C, normal );
+			if( depth < 0 )
+				continue;
+			Octree.closestPointOnTriangle( point, center, A, B, C );
+			result.push( createOctreeContact( point, normal, depth, face ) );
+		}
+		return result.length > num ? result : null;
+	}
+})();
+
+/**
+* Test collision between the triangles in this octree and the triangles of another mesh
+* @method testMesh
+* @param {Octree|Mesh} other the octree of the other mesh (if a mesh is passed an octree is created every time)
+* @param {mat4} model [optional] matrix to transform the other mesh to the space of this one
+* @param {Array} contacts [optional] array where to add the contacts
+* @return {Array} contacts { point (in the space of this mesh), normal (from this mesh towards the other), depth (penetration), triangle, other_triangle } or null if there is no collision
+*/
+Octree.prototype.testMesh = (function(){
+	var root_bbox = BBox.create();
+	var node_bbox = BBox.create();
+	var face_bbox = BBox.create();
+	var other_face = new Float32Array(10);
+	var normal = vec3.create();
+	var point = vec3.create();
+
+	return function( other, model, contacts )
+	{
+		if( other.constructor === GL.Mesh )
+			other = new GL.Octree( other );
+		if(!this.root || !other.root)
+			throw("Error: octree not build");
+
+		BBox.setMinMax( root_bbox, this.root.min, this.root.max );
+		var other_faces = other.findFaces( function(node) {
+			var bbox = Octree.getNodeBBox( node );
+			if(model)
+				bbox = BBox.transformMat4( node_bbox, bbox, model );
+			return geo.testBBoxBBox( root_bbox, bbox );
+		});
+
+		octree_tested_boxes = 0;
+		octree_tested_triangles = 0;
+		var that = this;
+		var test_node = function(node) { return geo.testBBoxBBox( Octree.getNodeBBox(node), face_bbox ); };
+		var faces = [];
+		var result = contacts || [];
+		var num = result.length;
+		for(var i = 0; i < other_faces.length; ++i)
+		{
+			other_face.set( other_faces[i] );
+			if(model)
+				for(var j = 0; j < 9; j += 3)
+					vec3.transformMat4( other_face.subarray(j,j+3), other_face.subarray(j,j+3), model );
+			Octree.getFaceBBox( other_face, face_bbox );
+			if( !geo.testBBoxBBox( root_bbox, face_bbox ) )
+				continue;
+			faces.length = 0;
+			that.findFaces( test_node, faces );
+			for(var j = 0; j < faces.length; ++j)
+			{
+				var face = faces[j];
+				octree_tested_triangles += 1;
+				var depth = Octree.testTriangleTriangle( face, other_face, normal, point );
+				if( depth < 0 )
+					continue;
+				var contact = createOctreeContact( point, normal, depth, face );
+				contact.other_triangle = other_face[9];
+				result.push( contact );
+			}
+		}
+		return result.length > num ? result : null;
+	}
+})();
+
+/**
+* Returns the closest point of a triangle to a point
+* @method Octree.closestPointOnTriangle
+* @param {vec3} out where to store the point
+* @param {vec3} P the point
+* @param {vec3} A first vertex
+* @param {vec3} B second vertex
+* @param {vec3} C third vertex
+* @return {vec3} out
+*/
+Octree.closestPointOnTriangle = (function(){
+	var AB = vec3.create();
+	var AC = vec3.create();
+	var AP = vec3.create();
+	var BP = vec3.create();
+	var CP = vec3.create();
+
+	//from Real-Time Collision Detection (Christer Ericson)
+	return function( out, P, A, B, C )
+	{
+		vec3.sub( AB, B, A );
+		vec3.sub( AC, C, A );
+		vec3.sub( AP, P, A );
+		var d1 = vec3.dot( AB, AP );
+		var d2 = vec3.dot( AC, AP );
+		if( d1 <= 0 && d2 <= 0 )
+			return vec3.copy( out, A );
+
+		vec3.sub( BP, P, B );
+		var d3 = vec3.dot( AB, BP );
+		var d4 = vec3.dot( AC, BP );
+		if( d3 >= 0 && d4 <= d3 )
+			return vec3.copy( out, B );
+
+		var vc = d1 * d4 - d3 * d2;
+		if( vc <= 0 && d1 >= 0 && d3 <= 0 )
+			return vec3.scaleAndAdd( out, A, AB, d1 != d3 ? d1 / (d1 - d3) : 0 );
+
+		vec3.sub( CP, P, C );
+		var d5 = vec3.dot( AB, CP );
+		var d6 = vec3.dot( AC, CP );
+		if( d6 >= 0 && d5 <= d6 )
+			return vec3.copy( out, C );
+
+		var vb = d5 * d2 - d1 * d6;
+		if( vb <= 0 && d2 >= 0 && d6 <= 0 )
+			return vec3.scaleAndAdd( out, A, AC, d2 != d6 ? d2 / (d2 - d6) : 0 );
+
+		var va = d3 * d6 - d5 * d4;
+		if( va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0 )
+		{
+			vec3.sub( out, C, B );
+			return vec3.scaleAndAdd( out, B, out, (d4 - d3) / ((d4 - d3) + (d5 - d6)) );
+		}
+
+		var denom = va + vb + vc;
+		if( !denom ) //degenerated triangle
+			return vec3.copy( out, A );
+		vec3.scaleAndAdd( out, A, AB, vb / denom );
+		return vec3.scaleAndAdd( out, out, AC, vc / denom );
+	}
+})();
+
+/**
+* Finds the closest points between two segments
+* @method Octree.closestPointsSegmentSegment
+* @param {vec3} out1 where to store the point in the first segment
+* @param {vec3} out2 where to store the point in the second segment
+* @param {vec3} P1 start of the first segment
+* @param {vec3} Q1 end of the first segment
+* @param {vec3} P2 start of the second segment
+* @param {vec3} Q2 end of the second segment
+* @return {number} the squared distance between both points
+*/
+Octree.closestPointsSegmentSegment = (function(){
+	var D1 = vec3.create();
+	var D2 = vec3.create();
+	var R = vec3.create();
+	var EPSILON = 1e-12;
+
+	function clamp01(v) { return v < 0 ? 0 : (v > 1 ? 1 : v); }
+
+	return function( out1, out2, P1, Q1, P2, Q2 )
+	{
+		vec3.sub( D1, Q1, P1 );
+		vec3.sub( D2, Q2, P2 );
+		vec3.sub( R, P1, P2 );
+		var a = vec3.dot( D1, D1 );
+		var e = vec3.dot( D2, D2 );
+		var f = vec3.dot( D2, R );
+		var s = 0, t = 0;
+		if( a <= EPSILON && e <= EPSILON )
+			s = t = 0;
+		else if( a <= EPSILON )
+			t = clamp01( f / e );
+		else
+		{
+			var c = vec3.dot( D1, R );
+			if( e <= EPSILON )
+				s = clamp01( -c / a );
+			else
+			{
+				var b = vec3.dot( D1, D2 );
+				var denom = a * e - b * b;
+				s = denom ? clamp01( (b * f - c * e) / denom ) : 0;
+				t = (b * s + f) / e;
+				if( t < 0 )
+				{
+					t = 0;
+					s = clamp01( -c / a );
+				}
+				else if( t > 1 )
+				{
+					t = 1;
+					s = clamp01( (b - c) / a );
+				}
+			}
+		}
+		vec3.scaleAndAdd( out1, P1, D1, s );
+		vec3.scaleAndAdd( out2, P2, D2, t );
+		return vec3.squaredDistance( out1, out2 );
+	}
+})();
+
+/**
+* Finds the closest points between a segment and a triangle
+* @method Octree.closestPointsSegmentTriangle
+* @param {vec3} out_segment where to store the point in the segment
+* @param {vec3} out_triangle where to store the point in the triangle
+* @param {vec3} P start of the segment
+* @param {vec3} Q end of the segment
+* @param {vec3} A first vertex
+* @param {vec3} B second vertex
+* @param {vec3} C third vertex
+* @return {number} the squared distance between both points (0 if the segment crosses the triangle)
+*/
+Octree.closestPointsSegmentTriangle = (function(){
+	var AB = vec3.create();
+	var AC = vec3.create();
+	var N = vec3.create();
+	var tmp = vec3.create();
+	var point = vec3.create();
+	var seg = vec3.create();
+	var tri = vec3.create();
+
+	return function( out_segment, out_triangle, P, Q, A, B, C )
+	{
+		//segment crossing the plane inside the triangle
+		vec3.sub( AB, B, A );
+		vec3.sub( AC, C, A );
+		vec3.cross( N, AB, AC );
+		var dist_p = vec3.dot( N, vec3.sub( tmp, P, A ) );
+		var dist_q = vec3.dot( N, vec3.sub( tmp, Q, A ) );
+		if( dist_p * dist_q <= 0 && dist_p != dist_q )
+		{
+			vec3.lerp( point, P, Q, dist_p / (dist_p - dist_q) );
+			Octree.closestPointOnTriangle( tri, point, A, B, C );
+			if( vec3.squaredDistance( tri, point ) < 1e-12 )
+			{
+				vec3.copy( out_segment, point );
+				vec3.copy( out_triangle, point );
+				return 0;
+			}
+		}
+
+		//otherwise the closest point is in the ends of the segment or in the edges of the triangle
+		var best = vec3.squaredDistance( P, Octree.closestPointOnTriangle( out_triangle, P, A, B, C ) );
+		vec3.copy( out_segment, P );
+		var dist = vec3.squaredDistance( Q, Octree.closestPointOnTriangle( tri, Q, A, B, C ) );
+		if( dist < best )
+		{
+			best = dist;
+			vec3.copy( out_segment, Q );
+			vec3.copy( out_triangle, tri );
+		}
+		var vertices = [A,B,B,C,C,A];
+		for(var i = 0; i < 6; i += 2)
+		{
+			dist = Octree.closestPointsSegmentSegment( seg, tri, P, Q, vertices[i], vertices[i+1] );
+			if( dist < best )
+			{
+				best = dist;
+				vec3.copy( out_segment, seg );
+				vec3.copy( out_triangle, tri );
+			}
+		}
+		return best;
+	}
+})();
+
+//projects a triangle in an axis, returns the min and max in out
+function projectTriangleInAxis( axis, A, B, C, out )
+{
+	var a = vec3.dot( axis, A ), b = vec3.dot( axis, B ), c = vec3.dot( axis, C );
+	out[0] = Math.min( a, b, c );
+	out[1] = Math.max( a, b, c );
+	return out;
+}
+
+/**
+* Test if an axis aligned box and a triangle overlap (using separating axis), and computes the penetration
+* @method Octree.testBoxTriangle
+* @param {vec3} center center of the box
+* @param {vec3} halfsize half size of the box
+* @param {vec3} A first vertex
+* @param {vec3} B second vertex
+* @param {vec3} C third vertex
+* @param {vec3} out_normal [optional] where to store the direction to move the box to separate it
+* @return {number} the distance to move the box to separate it, or -1 if they do not overlap
+*/
+Octree.testBoxTriangle = (function(){
+	var edges = [ vec3.create(), vec3.create(), vec3.create() ];
+	var box_axis = [ vec3.fromValues(1,0,0), vec3.fromValues(0,1,0), vec3.fromValues(0,0,1) ];
+	var axis = vec3.create();
+	var LA = vec3.create();
+	var LB = vec3.create();
+	var LC = vec3.create();
+	var range = new Float32Array(2);
+
+	return function( center, halfsize, A, B, C, out_normal )
+	{
+		//triangle relative to the box
+		vec3.sub( LA, A, center );
+		vec3.sub( LB, B, center );
+		vec3.sub( LC, C, center );
+		vec3.sub( edges[0], LB, LA );
+		vec3.sub( edges[1], LC, LB );
+		vec3.sub( edges[2], LA, LC );
+
+		var min_depth = Infinity;
+		for(var i = 0; i < 13; ++i)
+		{
+			if( i < 3 )
+				vec3.copy( axis, box_axis[i] );
+			else if( i == 3 )
+				vec3.cross( axis, edges[0], edges[1] );
+			else
+				vec3.cross( axis, box_axis[ (i - 4) % 3 ], edges[ Math.floor( (i - 4) / 3 ) ] );
+			var length = vec3.length( axis );
+			if( length < 1e-8 ) //parallel edges
+				continue;
+			vec3.scale( axis, axis, 1 / length );
+
+			var r = halfsize[0] * Math.abs( axis[0] ) + halfsize[1] * Math.abs( axis[1] ) + halfsize[2] * Math.abs( axis[2] );
+			projectTriangleInAxis( axis, LA, LB, LC, range );
+			if( range[0] > r || range[1] < -r )
+				return -1;
+
+			//move the box to the negative side or to the positive side
+			var depth = r - range[0];
+			var sign = -1;
+			if( range[1] + r < depth )
+			{
+				depth = range[1] + r;
+				sign = 1;
+			}
+			if( depth < min_depth )
+			{
+				min_depth = depth;
+				if(out_normal)
+					vec3.scale( out_normal, axis, sign );
+			}
+		}
+		return min_depth;
+	}
+})();
+
+/**
+* Test if two triangles overlap (using separating axis), and computes the penetration and the contact point
+* @method Octree.testTriangleTriangle
+* @param {Float32Array} T1 the 9 coordinates of the first triangle
+* @param {Float32Array} T2 the 9 coordinates of the second triangle
+* @param {vec3} out_normal [optional] where to store the direction to move the second triangle to separate it
+* @param {vec3} out_point [optional] where to store the contact point
+* @return {number} the distance to move the second triangle to separate it, or -1 if they do not overlap
+*/
+Octree.testTriangleTriangle = (function(){
+	var edges1 = [ vec3.create(), vec3.create(), vec3.create() ];
+	var edges2 = [ vec3.create(), vec3.create(), vec3.create() ];
+	var N1 = vec3.create();
+	var N2 = vec3.create();
+	var axis = vec3.create();
+	var range1 = new Float32Array(2);
+	var range2 = new Float32Array(2);
+	var seg = vec3.create();
+	var tri = vec3.create();
+	var point = vec3.create();
+
+	return function( T1, T2, out_normal, out_point )
+	{
+		var A1 = T1.subarray(0,3), B1 = T1.subarray(3,6), C1 = T1.subarray(6,9);
+		var A2 = T2.subarray(0,3), B2 = T2.subarray(3,6), C2 = T2.subarray(6,9);
+		var vertices1 = [A1,B1,C1];
+		var vertices2 = [A2,B2,C2];
+		for(var i = 0; i < 3; ++i)
+		{
+			vec3.sub( edges1[i], vertices1[(i+1)%3], vertices1[i] );
+			vec3.sub( edges2[i], vertices2[(i+1)%3], vertices2[i] );
+		}
+		vec3.cross( N1, edges1[0], edges1[1] );
+		vec3.cross( N2, edges2[0], edges2[1] );
+
+		//normals, edge against edge and edges in the plane (for coplanar triangles)
+		var min_depth = Infinity;
+		for(var i = 0; i < 17; ++i)
+		{
+			if( i == 0 )
+				vec3.copy( axis, N1 );
+			else if( i == 1 )
+				vec3.copy( axis, N2 );
+			else if( i < 11 )
+				vec3.cross( axis, edges1[ Math.floor( (i - 2) / 3 ) ], edges2[ (i - 2) % 3 ] );
+			else if( i < 14 )
+				vec3.cross( axis, N1, edges1[ i - 11 ] );
+			else
+				vec3.cross( axis, N2, edges2[ i - 14 ] );
+			var length = vec3.length( axis );
+			if( length < 1e-8 )
+				continue;
+			vec3.scale( axis, axis, 1 / length );
+
+			projectTriangleInAxis( axis, A1, B1, C1, range1 );
+			projectTriangleInAxis( axis, A2, B2, C2, range2 );
+			if( range1[1] < range2[0] || range2[1] < range1[0] )
+				return -1;
+
+			var depth = range1[1] - range2[0]; //move the second one to the positive side
+			var sign = 1;
+			if( range2[1] - range1[0] < depth )
+			{
+				depth = range2[1] - range1[0];
+				sign = -1;
+			}
+			if( depth < min_depth )
+			{
+				min_depth = depth;
+				if(out_normal)
+					vec3.scale( out_normal, axis, sign );
+			}
+		}
+
+		if(!out_point)
+			return min_depth;
+
+		//contact point is the center of the points where the edges cross the other triangle
+		var num = 0;
+		vec3.set( out_point, 0, 0, 0 );
+		for(var i = 0; i < 3; ++i)
+		{
+			if( Octree.closestPointsSegmentTriangle( seg, tri, vertices2[i], vertices2[(i+1)%3], A1, B1, C1 ) == 0 )
+			{
+				vec3.add( out_point, out_point, seg );
+				num++;
+			}
+			if( Octree.closestPointsSegmentTriangle( seg, tri, vertices1[i], vertices1[(i+1)%3], A2, B2, C2 ) == 0 )
+			{
+				vec3.add( out_point, out_point, seg );
+				num++;
+			}
+		}
+		if( num )
+			vec3.scale( out_point, out_point, 1 / num );
+		else //just touching
+		{
+			vec3.add( point, A2, B2 );
+			vec3.add( point, point, C2 );
+			vec3.scale( point, point, 1/3 );
+			Octree.closestPointOnTriangle( out_point, point, A1, B1, C1 );
+		}
+		return min_depth;
+	}
+})();
+
 //test if one bounding is inside or overlapping another bounding
 Octree.isInsideAABB = function(a,b)
 {
@@ -791,6 +791,1070 @@ Mesh.encoders["mesh"] = function( mesh, options )
 	return lines.join("\n");
 }
 
+/* GLTF FORMAT ************************************/
+
+Mesh.GLTF_MAGIC = 0x46546C67; //"glTF"
+Mesh.GLTF_CHUNK_JSON = 0x4E4F534A;
+Mesh.GLTF_CHUNK_BIN = 0x004E4942;
+
+//glTF accessor types and component types
+Mesh.GLTF_TYPE_SIZE = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+Mesh.GLTF_COMPONENT_TYPES = { 5120: Int8Array, 5121: Uint8Array, 5122: Int16Array, 5123: Uint16Array, 5125: Uint32Array, 5126: Float32Array };
+
+//from glTF attribute name to litegl common buffer name
+Mesh.GLTF_ATTRIBUTES = {
+	POSITION: "vertices",
+	NORMAL: "normals",
+	TEXCOORD_0: "coords",
+	TEXCOORD_1: "coords1",
+	TEXCOORD_2: "coords2",
+	COLOR_0: "colors",
+	JOINTS_0: "bone_indices",
+	WEIGHTS_0: "weights"
+};
+
+Mesh.binary_file_formats["glb"] = true;
+
+/**
+* Parses a glTF 2.0 file (JSON or GLB binary) and returns a mesh with all the primitives of one of its meshes merged
+* Every primitive is stored as a group in info.groups (using the material name), and the skin (if any) is stored in bones and bind_matrix
+* External buffers cannot be fetched synchronously, so they must be passed in options.buffers indexed by their uri
+* @method Mesh.parseGLTF
+* @param {String|ArrayBuffer|Object} data the glTF JSON (as string or object) or the GLB file as ArrayBuffer
+* @param {Object} options [optional] { mesh_index: index of the mesh to parse (default 0), buffers: { uri: ArrayBuffer }, only_data: to get the data without creating the GL.Mesh }
+* @return {GL.Mesh|Object} the mesh
+*/
+Mesh.parseGLTF = function( data, options )
+{
+	options = options || {};
+
+	var json = null;
+	var binary_chunk = null;
+
+	if( data.constructor === ArrayBuffer )
+	{
+		var view = new DataView( data );
+		if( view.getUint32(0,true) == Mesh.GLTF_MAGIC )
+		{
+			if( view.getUint32(4,true) != 2 )
+				throw("GLTF: only glTF 2.0 supported");
+			var total = view.getUint32(8,true);
+			var pos = 12;
+			while( pos < total )
+			{
+				var chunk_length = view.getUint32(pos,true);
+				var chunk_type = view.getUint32(pos+4,true);
+				if( chunk_type == Mesh.GLTF_CHUNK_JSON )
+					json = JSON.parse( new TextDecoder().decode( new Uint8Array( data, pos + 8, chunk_length ) ) );
+				else if( chunk_type == Mesh.GLTF_CHUNK_BIN )
+					binary_chunk = new Uint8Array( data, pos + 8, chunk_length );
+				pos += 8 + chunk_length;
+			}
+		}
+		else //gltf downloaded as binary
+			json = JSON.parse( new TextDecoder().decode( new Uint8Array( data ) ) );
+	}
+	else if( data.constructor === String )
+		json = JSON.parse( data );
+	else
+		json = data;
+
+	if(!json || !json.meshes || !json.meshes.length)
+	{
+		console.error("GLTF: no meshes found in file");
+		return null;
+	}
+
+	if( json.asset && json.asset.version && json.asset.version[0] != "2" )
+		console.warn("GLTF: only glTF 2.0 supported, file version is " + json.asset.version );
+
+	var buffers_data = [];
+	var mesh_index = options.mesh_index || 0;
+	var gltf_mesh = json.meshes[ mesh_index ];
+	if(!gltf_mesh)
+		throw("GLTF: mesh index not found: " + mesh_index );
+
+	//count vertices and find which streams are used
+	var num_vertices = 0;
+	var num_indices = 0;
+	var streams = {};
+	var primitives = [];
+	var shared_vertices = {};
+	for(var i = 0; i < gltf_mesh.primitives.length; ++i)
+	{
+		var primitive = gltf_mesh.primitives[i];
+		if( primitive.mode != null && primitive.mode != GL.TRIANGLES )
+		{
+			console.warn("GLTF: only triangle primitives supported, skipping primitive " + i );
+			continue;
+		}
+		if( primitive.attributes.POSITION == null )
+			continue;
+		var count = json.accessors[ primitive.attributes.POSITION ].count;
+		num_indices += primitive.indices != null ? json.accessors[ primitive.indices ].count : count;
+
+		//primitives sharing the same accessors share the vertices
+		var key = JSON.stringify( primitive.attributes );
+		if( shared_vertices[ key ] )
+		{
+			primitives.push({ primitive: primitive, vertex_offset: shared_vertices[ key ].vertex_offset, num_vertices: count, shared: true });
+			continue;
+		}
+
+		for(var j in primitive.attributes)
+		{
+			var name = Mesh.GLTF_ATTRIBUTES[j];
+			if(name)
+				streams[ name ] = true;
+		}
+		primitives.push( shared_vertices[ key ] = { primitive: primitive, vertex_offset: num_vertices, num_vertices: count } );
+		num_vertices += count;
+	}
+
+	if(!num_vertices)
+	{
+		console.error("GLTF: mesh without vertices");
+		return null;
+	}
+
+	//allocate final buffers
+	var mesh = {};
+	for(var i in streams)
+	{
+		var info = GL.Mesh.common_buffers[i];
+		mesh[i] = new ( info.type || Float32Array )( num_vertices * info.spacing );
+	}
+	var indices = mesh.triangles = new ( num_vertices > 256*256 ? Uint32Array : Uint16Array )( num_indices );
+
+	//fill them
+	var groups = [];
+	var index_offset = 0;
+	for(var i = 0; i < primitives.length; ++i)
+	{
+		var item = primitives[i];
+		var primitive = item.primitive;
+		for(var j in primitive.attributes)
+		{
+			var name = Mesh.GLTF_ATTRIBUTES[j];
+			if(!name || item.shared)
+				continue;
+			var spacing = GL.Mesh.common_buffers[name].spacing;
+			var accessor = json.accessors[ primitive.attributes[j] ];
+			var values = readAccessor( accessor, mesh[name].constructor === Float32Array );
+			copyStream( mesh[name], values, Mesh.GLTF_TYPE_SIZE[ accessor.type ], spacing, item.vertex_offset, item.num_vertices );
+		}
+
+		var start = index_offset;
+		if( primitive.indices != null )
+		{
+			var values = readAccessor( json.accessors[ primitive.indices ] );
+			for(var j = 0; j < values.length; ++j)
+				indices[ index_offset++ ] = values[j] + item.vertex_offset;
+		}
+		else
+			for(var j = 0; j < item.num_vertices; ++j)
+				indices[ index_offset++ ] = j + item.vertex_offset;
+
+		var material = primitive.material != null && json.materials ? json.materials[ primitive.material ] : null;
+		var material_name = material ? ( material.name || ("material_" + primitive.material) ) : "";
+		groups.push({
+			name: primitive.extras && primitive.extras.name != null ? String( primitive.extras.name ) : (gltf_mesh.name || "mesh") + "_" + i, //primitives have no name, the encoder stores it in extras
+			material: material_name,
+			start: start,
+			length: index_offset - start
+		});
+	}
+
+	mesh.info = { groups: groups };
+
+	//skinning
+	var node_index = -1;
+	if(json.nodes)
+		for(var i = 0; i < json.nodes.length; ++i)
+			if( json.nodes[i].mesh == mesh_index )
+			{
+				node_index = i;
+				break;
+			}
+
+	if( node_index != -1 )
+	{
+		var node = json.nodes[ node_index ];
+		if( node.skin != null && json.skins )
+		{
+			var skin = json.skins[ node.skin ];
+			var inv_matrices = skin.inverseBindMatrices != null ? readAccessor( json.accessors[ skin.inverseBindMatrices ], true ) : null;
+			var bones = [];
+			for(var i = 0; i < skin.joints.length; ++i)
+			{
+				var joint = json.nodes[ skin.joints[i] ];
+				var m = inv_matrices ? mat4.clone( inv_matrices.subarray( i*16, i*16 + 16 ) ) : mat4.create();
+				bones.push([ joint.name || ("joint_" + skin.joints[i]), m ]);
+			}
+			mesh.bones = bones;
+			mesh.bind_matrix = getNodeGlobalMatrix( node_index, mat4.create() );
+		}
+	}
+
+	mesh.bounding = GL.Mesh.computeBoundingBox( mesh.vertices );
+
+	if(options.only_data)
+		return mesh;
+
+	//creates and returns a GL.Mesh
+	var final_mesh = null;
+	final_mesh = Mesh.load( mesh, null, options.mesh );
+	final_mesh.updateBoundingBox();
+	return final_mesh;
+
+	//returns the content of an accessor as a typed array (normalized integers are converted to float if to_float)
+	function readAccessor( accessor, to_float )
+	{
+		var type_size = Mesh.GLTF_TYPE_SIZE[ accessor.type ];
+		var array_class = Mesh.GLTF_COMPONENT_TYPES[ accessor.componentType ];
+		if(!type_size || !array_class)
+			throw("GLTF: unsupported accessor type: " + accessor.type + " " + accessor.componentType );
+		if( accessor.sparse )
+			console.warn("GLTF: sparse accessors not supported");
+
+		var length = accessor.count * type_size;
+		var result = null;
+
+		if( accessor.bufferView == null ) //all zeros
+			result = new array_class( length );
+		else
+		{
+			var buffer_view = json.bufferViews[ accessor.bufferView ];
+			var bytes = getBufferData( buffer_view.buffer );
+			var offset = bytes.byteOffset + (buffer_view.byteOffset || 0) + (accessor.byteOffset || 0);
+			var element_size = array_class.BYTES_PER_ELEMENT * type_size;
+			var stride = buffer_view.byteStride || element_size;
+
+			if( stride == element_size && offset % array_class.BYTES_PER_ELEMENT == 0 )
+				result = new array_class( bytes.buffer.slice( offset, offset + length * array_class.BYTES_PER_ELEMENT ) );
+			else //interleaved or unaligned, copy element by element
+			{
+				result = new array_class( length );
+				var result_bytes = new Uint8Array( result.buffer );
+				for(var i = 0; i < accessor.count; ++i)
+					result_bytes.set( new Uint8Array( bytes.buffer, offset + i * stride, element_size ), i * element_size );
+			}
+		}
+
+		if( !to_float || array_class === Float32Array )
+			return result;
+
+		var float_result = new Float32Array( length );
+		var scale = 1;
+		if( accessor.normalized )
+			switch( array_class )
+			{
+				case Int8Array: scale = 1/127; break;
+				case Uint8Array: scale = 1/255; break;
+				case Int16Array: scale = 1/32767; break;
+				case Uint16Array: scale = 1/65535; break;
+			}
+		for(var i = 0; i < length; ++i)
+			float_result[i] = result[i] * scale;
+		return float_result;
+	}
+
+	//copies values from the accessor to the final buffer, fills missing components (p.e. alpha in vec3 colors)
+	function copyStream( target, values, values_spacing, spacing, vertex_offset, count )
+	{
+		if( values_spacing == spacing )
+		{
+			target.set( values, vertex_offset * spacing );
+			return;
+		}
+		for(var i = 0; i < count; ++i)
+			for(var k = 0; k < spacing; ++k)
+				target[ (vertex_offset + i) * spacing + k ] = k < values_spacing ? values[ i * values_spacing + k ] : 1;
+	}
+
+	function getBufferData( index )
+	{
+		if( buffers_data[ index ] )
+			return buffers_data[ index ];
+
+		var buffer = json.buffers[ index ];
+		var result = null;
+		if( buffer.uri == null ) //GLB binary chunk
+			result = binary_chunk;
+		else if( buffer.uri.indexOf("data:") == 0 )
+		{
+			var base64 = buffer.uri.substr( buffer.uri.indexOf(",") + 1 );
+			var str = atob( base64 );
+			result = new Uint8Array( str.length );
+			for(var i = 0; i < str.length; ++i)
+				result[i] = str.charCodeAt(i);
+		}
+		else if( options.buffers && options.buffers[ buffer.uri ] )
+			result = new Uint8Array( options.buffers[ buffer.uri ] );
+
+		if(!result)
+			throw("GLTF: buffer not found: " + (buffer.uri || index) + ", external buffers must be passed in options.buffers" );
+		buffers_data[ index ] = result;
+		return result;
+	}
+
+	function getNodeLocalMatrix( node, out )
+	{
+		if( node.matrix )
+			return mat4.copy( out, node.matrix );
+		return mat4.fromRotationTranslationScale( out, node.rotation || [0,0,0,1], node.translation || [0,0,0], node.scale || [1,1,1] );
+	}
+
+	function getNodeGlobalMatrix( index, out )
+	{
+		getNodeLocalMatrix( json.nodes[ index ], out );
+		var temp = mat4.create();
+		var parent = findParent( index );
+		while( parent != -1 )
+		{
+			getNodeLocalMatrix( json.nodes[ parent ], temp );
+			mat4.multiply( out, temp, out );
+			parent = findParent( parent );
+		}
+		return out;
+	}
+
+	function findParent( index )
+	{
+		for(var i = 0; i < json.nodes.length; ++i)
+			if( json.nodes[i].children && json.nodes[i].children.indexOf( index ) != -1 )
+				return i;
+		return -1;
+	}
+}
+
+Mesh.parsers["gltf"] = Mesh.parsers["glb"] = Mesh.parseGLTF;
+
+/**
+* Encodes a mesh in glTF 2.0 format, every group in info.groups is stored as a primitive and bones/bind_matrix as a skin
+* Buffers without a glTF equivalent are stored as custom attributes (prefixed with underscore)
+* @method Mesh.encodeGLTF
+* @param {GL.Mesh} mesh
+* @param {Object} options [optional] { binary: true to get a GLB ArrayBuffer, otherwise returns a JSON string with the buffer embedded }
+* @return {String|ArrayBuffer} the encoded file
+*/
+Mesh.encodeGLTF = function( mesh, options )
+{
+	options = options || {};
+
+	var vertices_buffer = mesh.getBuffer("vertices");
+	if(!vertices_buffer)
+		return null;
+	var num_vertices = vertices_buffer.data.length / 3;
+
+	var json = {
+		asset: { version: "2.0", generator: "litegl.js" },
+		scene: 0,
+		scenes: [ { nodes: [0] } ],
+		nodes: [ { name: "mesh", mesh: 0 } ],
+		meshes: [ { name: "mesh", primitives: [] } ],
+		accessors: [],
+		bufferViews: [],
+		buffers: []
+	};
+
+	var chunks = [];
+	var byte_length = 0;
+
+	//inverse of Mesh.GLTF_ATTRIBUTES
+	var attribute_names = {};
+	for(var i in Mesh.GLTF_ATTRIBUTES)
+		attribute_names[ Mesh.GLTF_ATTRIBUTES[i] ] = i;
+
+	//vertex buffers
+	var attributes = {};
+	for(var i in mesh.vertexBuffers)
+	{
+		var buffer = mesh.vertexBuffers[i];
+		var data = buffer.data;
+		if(!data)
+			continue;
+		var name = attribute_names[i] || ("_" + i.toUpperCase());
+		if( name == "JOINTS_0" && data.constructor !== Uint8Array && data.constructor !== Uint16Array )
+			data = new Uint16Array( data );
+		else if( name != "JOINTS_0" && data.constructor !== Float32Array )
+			data = new Float32Array( data );
+		var accessor = addAccessor( data, buffer.spacing, GL.ARRAY_BUFFER );
+		if( name == "POSITION" )
+		{
+			var bounding = mesh.getBoundingBox();
+			accessor.min = typedArrayToArray( BBox.getMin( bounding ) );
+			accessor.max = typedArrayToArray( BBox.getMax( bounding ) );
+		}
+		attributes[ name ] = json.accessors.length - 1;
+	}
+
+	//indices (non indexed meshes are indexed so groups can be stored as primitives)
+	var indices_buffer = mesh.getIndexBuffer("triangles");
+	var indices = null;
+	if( indices_buffer )
+		indices = indices_buffer.data;
+	else
+	{
+		indices = new ( num_vertices > 256*256 ? Uint32Array : Uint16Array )( num_vertices );
+		for(var i = 0; i < num_vertices; ++i)
+			indices[i] = i;
+	}
+	if( indices.constructor !== Uint16Array && indices.constructor !== Uint32Array )
+		indices = new Uint32Array( indices );
+	addAccessor( indices, 1, GL.ELEMENT_ARRAY_BUFFER );
+	var indices_accessor = json.accessors.pop(); //used as template for every primitive
+
+	//groups as primitives
+	var groups = mesh.info && mesh.info.groups && mesh.info.groups.length ? mesh.info.groups : [ { name: "mesh", material: "", start: 0, length: indices.length } ];
+	var materials = {};
+	for(var i = 0; i < groups.length; ++i)
+	{
+		var group = groups[i];
+		var accessor = {
+			bufferView: indices_accessor.bufferView,
+			byteOffset: group.start * indices.BYTES_PER_ELEMENT,
+			componentType: indices_accessor.componentType,
+			count: group.length,
+			type: "SCALAR"
+		};
+		json.accessors.push( accessor );
+		var primitive = { attributes: attributes, indices: json.accessors.length - 1, mode: GL.TRIANGLES };
+		if( group.name )
+			primitive.extras = { name: group.name }; //glTF primitives have no name
+		if( group.material )
+		{
+			if( materials[ group.material ] == null )
+			{
+				json.materials = json.materials || [];
+				json.materials.push({ name: group.material });
+				materials[ group.material ] = json.materials.length - 1;
+			}
+			primitive.material = materials[ group.material ];
+		}
+		json.meshes[0].primitives.push( primitive );
+	}
+
+	//skin
+	if( mesh.bones && mesh.bones.length )
+	{
+		var inv_matrices = new Float32Array( mesh.bones.length * 16 );
+		var joints = [];
+		for(var i = 0; i < mesh.bones.length; ++i)
+		{
+			var bone = mesh.bones[i];
+			inv_matrices.set( bone[1], i*16 );
+			json.nodes.push({ name: bone[0] });
+			joints.push( json.nodes.length - 1 );
+		}
+		json.scenes[0].nodes = json.scenes[0].nodes.concat( joints );
+		addAccessor( inv_matrices, 16 );
+		json.skins = [ { joints: joints, inverseBindMatrices: json.accessors.length - 1 } ];
+		json.nodes[0].skin = 0;
+		if( mesh.bind_matrix )
+			json.nodes[0].matrix = typedArrayToArray( mesh.bind_matrix );
+	}
+
+	//pack binary data
+	var bin = new Uint8Array( byte_length );
+	for(var i = 0; i < chunks.length; ++i)
+		bin.set( chunks[i].data, chunks[i].offset );
+	json.buffers.push({ byteLength: byte_length });
+
+	if( !options.binary )
+	{
+		var str = "";
+		for(var i = 0; i < bin.length; i += 0x8000)
+			str += String.fromCharCode.apply( null, bin.subarray( i, i + 0x8000 ) );
+		json.buffers[0].uri = "data:application/octet-stream;base64," + btoa( str );
+		return JSON.stringify( json );
+	}
+
+	//GLB container
+	var json_data = new TextEncoder().encode( JSON.stringify( json ) );
+	var json_length = (json_data.length + 3) & ~3;
+	var total = 12 + 8 + json_length + 8 + byte_length;
+	var glb = new ArrayBuffer( total );
+	var view = new DataView( glb );
+	var bytes = new Uint8Array( glb );
+	view.setUint32( 0, Mesh.GLTF_MAGIC, true );
+	view.setUint32( 4, 2, true );
+	view.setUint32( 8, total, true );
+	view.setUint32( 12, json_length, true );
+	view.setUint32( 16, Mesh.GLTF_CHUNK_JSON, true );
+	bytes.fill( 32, 20, 20 + json_length ); //JSON chunk must be padded with spaces
+	bytes.set( json_data, 20 );
+	view.setUint32( 20 + json_length, byte_length, true );
+	view.setUint32( 24 + json_length, Mesh.GLTF_CHUNK_BIN, true );
+	bytes.set( bin, 28 + json_length );
+	return glb;
+
+	//adds a buffer view and an accessor for the whole data
+	function addAccessor( data, spacing, target )
+	{
+		var bytes = new Uint8Array( data.buffer, data.byteOffset, data.byteLength );
+		chunks.push({ data: bytes, offset: byte_length });
+		var buffer_view = { buffer: 0, byteOffset: byte_length, byteLength: bytes.length };
+		if( target )
+			buffer_view.target = target;
+		json.bufferViews.push( buffer_view );
+		byte_length += (bytes.length + 3) & ~3; //views must be aligned to 4 bytes
+
+		var component_type = 0;
+		for(var i in Mesh.GLTF_COMPONENT_TYPES)
+			if( Mesh.GLTF_COMPONENT_TYPES[i] === data.constructor )
+				component_type = Number(i);
+		var type = spacing == 16 ? "MAT4" : (spacing == 1 ? "SCALAR" : "VEC" + spacing);
+		var accessor = { bufferView: json.bufferViews.length - 1, componentType: component_type, count: data.length / spacing, type: type };
+		json.accessors.push( accessor );
+		return accessor;
+	}
+}
+
+Mesh.encoders["gltf"] = function( mesh, options )
+{
+	return Mesh.encodeGLTF( mesh, options );
+}
+
+Mesh.encoders["glb"] = function( mesh, options )
+{
+	var glb_options = {};
+	for(var i in options)
+		glb_options[i] = options[i];
+	glb_options.binary = true;
+	return Mesh.encodeGLTF( mesh, glb_options );
+}
+
+
+/* PLY FORMAT ************************************/
+
+Mesh.binary_file_formats["ply"] = true;
+
+//size in bytes and DataView getter of every PLY type
+Mesh.PLY_TYPES = {
+	"char": [1,"Int8"], "int8": [1,"Int8"],
+	"uchar": [1,"Uint8"], "uint8": [1,"Uint8"],
+	"short": [2,"Int16"], "int16": [2,"Int16"],
+	"ushort": [2,"Uint16"], "uint16": [2,"Uint16"],
+	"int": [4,"Int32"], "int32": [4,"Int32"],
+	"uint": [4,"Uint32"], "uint32": [4,"Uint32"],
+	"float": [4,"Float32"], "float32": [4,"Float32"],
+	"double": [8,"Float64"], "float64": [8,"Float64"]
+};
+
+/**
+* Parses a PLY file (ASCII, binary little endian or binary big endian)
+* Vertex colors are stored in the colors buffer and polygons are triangulated, if there are no faces the result is a point cloud
+* @method Mesh.parsePLY
+* @param {String|ArrayBuffer} data the file content
+* @param {Object} options [optional] { only_data: to get the data without creating the GL.Mesh }
+* @return {GL.Mesh|Object} the mesh
+*/
+Mesh.parsePLY = function( data, options )
+{
+	options = options || {};
+
+	var bytes = null;
+	var text = data;
+	if( data.constructor === ArrayBuffer )
+	{
+		bytes = new Uint8Array( data );
+		//only decode the header, the body could be binary
+		var header_end = findHeaderEnd( bytes );
+		text = new TextDecoder().decode( bytes.subarray( 0, header_end ) );
+	}
+
+	var header_pos = text.indexOf("end_header");
+	if( text.substr(0,3) != "ply" || header_pos == -1 )
+	{
+		console.error("PLY: this file is not a PLY");
+		return null;
+	}
+
+	//parse header
+	var format = "ascii";
+	var elements = [];
+	var element = null;
+	var lines = text.substr( 0, header_pos ).split("\n");
+	for(var i = 0; i < lines.length; ++i)
+	{
+		var tokens = lines[i].trim().split(/\s+/);
+		switch( tokens[0] )
+		{
+			case "format": format = tokens[1]; break;
+			case "element":
+				element = { name: tokens[1], count: Number(tokens[2]), properties: [] };
+				elements.push( element );
+				break;
+			case "property":
+				if( tokens[1] == "list" )
+					element.properties.push({ name: tokens[4], list: true, count_type: tokens[2], type: tokens[3] });
+				else
+					element.properties.push({ name: tokens[2], type: tokens[1] });
+				break;
+		}
+	}
+
+	//body start
+	var body_start = text.indexOf("\n", header_pos) + 1;
+	var read = null; //reads one value of a given type
+	if( format == "ascii" )
+	{
+		if(bytes)
+			text = new TextDecoder().decode( bytes );
+		var values = text.substr( body_start ).trim().split(/\s+/);
+		var values_pos = 0;
+		read = function() { return Number( values[ values_pos++ ] ); };
+	}
+	else if( format == "binary_little_endian" || format == "binary_big_endian" )
+	{
+		if(!bytes)
+			throw("PLY: binary PLY must be passed as ArrayBuffer");
+		var view = new DataView( bytes.buffer, bytes.byteOffset );
+		var little_endian = format == "binary_little_endian";
+		var pos = body_start;
+		read = function( type ) {
+			var info = Mesh.PLY_TYPES[ type ];
+			if(!info)
+				throw("PLY: unknown type " + type );
+			var v = view[ "get" + info[1] ]( pos, little_endian );
+			pos += info[0];
+			return v;
+		};
+	}
+	else
+		throw("PLY: unknown format " + format );
+
+	//read elements
+	var vertices = null, normals = null, coords = null, colors = null;
+	var indices = [];
+	var num_vertices = 0;
+
+	for(var i = 0; i < elements.length; ++i)
+	{
+		var element = elements[i];
+		var props = element.properties;
+
+		if( element.name == "vertex" )
+		{
+			num_vertices = element.count;
+			//find which streams are present
+			var map = {};
+			var color_scale = 1;
+			for(var j = 0; j < props.length; ++j)
+			{
+				var name = props[j].name;
+				switch( name )
+				{
+					case "x": case "y": case "z": vertices = vertices || new Float32Array( num_vertices * 3 ); map[j] = [ vertices, 3, "xyz".indexOf(name) ]; break;
+					case "nx": case "ny": case "nz": normals = normals || new Float32Array( num_vertices * 3 ); map[j] = [ normals, 3, name.charCodeAt(1) - 120 ]; break;
+					case "u": case "s": case "texture_u": coords = coords || new Float32Array( num_vertices * 2 ); map[j] = [ coords, 2, 0 ]; break;
+					case "v": case "t": case "texture_v": coords = coords || new Float32Array( num_vertices * 2 ); map[j] = [ coords, 2, 1 ]; break;
+					case "red": case "green": case "blue": case "alpha":
+						if(!colors)
+						{
+							colors = new Float32Array( num_vertices * 4 );
+							colors.fill(1);
+						}
+						map[j] = [ colors, 4, ["red","green","blue","alpha"].indexOf(name) ];
+						if( props[j].type.indexOf("float") == -1 && props[j].type != "double" )
+							color_scale = 1/255;
+						break;
+				}
+			}
+
+			for(var k = 0; k < element.count; ++k)
+				for(var j = 0; j < props.length; ++j)
+				{
+					var v = readProperty( props[j] );
+					var target = map[j];
+					if(!target)
+						continue;
+					if( target[0] === colors )
+						v *= color_scale;
+					target[0][ k * target[1] + target[2] ] = v;
+				}
+		}
+		else if( element.name == "face" )
+		{
+			for(var k = 0; k < element.count; ++k)
+				for(var j = 0; j < props.length; ++j)
+				{
+					var v = readProperty( props[j] );
+					if( !props[j].list || (props[j].name != "vertex_indices" && props[j].name != "vertex_index") )
+						continue;
+					//polygons are break into triangles
+					for(var p = 2; p < v.length; ++p)
+						indices.push( v[0], v[p-1], v[p] );
+				}
+		}
+		else //skip unknown elements
+			for(var k = 0; k < element.count; ++k)
+				for(var j = 0; j < props.length; ++j)
+					readProperty( props[j] );
+	}
+
+	function readProperty( prop )
+	{
+		if(!prop.list)
+			return read( prop.type );
+		var num = read( prop.count_type );
+		var list = new Array( num );
+		for(var i = 0; i < num; ++i)
+			list[i] = read( prop.type );
+		return list;
+	}
+
+	if(!vertices)
+	{
+		console.error("PLY: mesh without vertices");
+		return null;
+	}
+
+	var mesh = { vertices: vertices };
+	if( normals )
+		mesh.normals = normals;
+	if( coords )
+		mesh.coords = coords;
+	if( colors )
+		mesh.colors = colors;
+	if( indices.length )
+		mesh.triangles = new ( num_vertices > 256*256 ? Uint32Array : Uint16Array )( indices );
+	mesh.bounding = GL.Mesh.computeBoundingBox( mesh.vertices );
+
+	if(options.only_data)
+		return mesh;
+
+	//creates and returns a GL.Mesh
+	var final_mesh = null;
+	final_mesh = Mesh.load( mesh, null, options.mesh );
+	final_mesh.updateBoundingBox();
+	return final_mesh;
+
+	function findHeaderEnd( bytes )
+	{
+		var token = "end_header";
+		var l = Math.min( bytes.length, 1024 * 64 );
+		for(var i = 0; i < l; ++i)
+		{
+			for(var j = 0; j < token.length; ++j)
+				if( bytes[i+j] != token.charCodeAt(j) )
+					break;
+			if( j == token.length )
+			{
+				i += j;
+				while( i < bytes.length && bytes[i] != 10 ) //till the end of line
+					++i;
+				return i + 1;
+			}
+		}
+		return l;
+	}
+}
+
+Mesh.parsers["ply"] = Mesh.parsePLY;
+
+/**
+* Encodes a mesh in PLY format (vertices, normals, coords, colors and triangles)
+* @method Mesh.encodePLY
+* @param {GL.Mesh} mesh
+* @param {Object} options [optional] { binary: true to get a binary little endian ArrayBuffer, otherwise returns an ASCII string }
+* @return {String|ArrayBuffer} the encoded file
+*/
+Mesh.encodePLY = function( mesh, options )
+{
+	options = options || {};
+
+	var vertices_buffer = mesh.getBuffer("vertices");
+	if(!vertices_buffer)
+		return null;
+
+	var vertices = vertices_buffer.data;
+	var num_vertices = vertices.length / 3;
+	var normals = mesh.getBuffer("normals") ? mesh.getBuffer("normals").data : null;
+	var coords = mesh.getBuffer("coords") ? mesh.getBuffer("coords").data : null;
+	var colors = mesh.getBuffer("colors") ? mesh.getBuffer("colors").data : null;
+	var indices = mesh.getIndexBuffer("triangles") ? mesh.getIndexBuffer("triangles").data : null;
+	var num_faces = indices ? indices.length / 3 : 0;
+
+	var header = ["ply", "format " + (options.binary ? "binary_little_endian" : "ascii") + " 1.0", "comment Generated with liteGL.js", "element vertex " + num_vertices, "property float x", "property float y", "property float z" ];
+	if( normals )
+		header.push( "property float nx", "property float ny", "property float nz" );
+	if( coords )
+		header.push( "property float s", "property float t" );
+	if( colors )
+		header.push( "property uchar red", "property uchar green", "property uchar blue", "property uchar alpha" );
+	if( num_faces )
+		header.push( "element face " + num_faces, "property list uchar uint vertex_indices" );
+	header.push("end_header","");
+	header = header.join("\n");
+
+	if( !options.binary )
+	{
+		var lines = [ header ];
+		for(var i = 0; i < num_vertices; ++i)
+		{
+			var line = [ vertices[i*3], vertices[i*3+1], vertices[i*3+2] ];
+			if( normals )
+				line.push( normals[i*3], normals[i*3+1], normals[i*3+2] );
+			if( coords )
+				line.push( coords[i*2], coords[i*2+1] );
+			if( colors )
+				line.push( toByte( colors[i*4] ), toByte( colors[i*4+1] ), toByte( colors[i*4+2] ), toByte( colors[i*4+3] ) );
+			lines.push( line.join(" ") );
+		}
+		for(var i = 0; i < num_faces; ++i)
+			lines.push( "3 " + indices[i*3] + " " + indices[i*3+1] + " " + indices[i*3+2] );
+		return lines.join("\n");
+	}
+
+	var header_data = new TextEncoder().encode( header );
+	var vertex_size = 12 + (normals ? 12 : 0) + (coords ? 8 : 0) + (colors ? 4 : 0);
+	var data = new ArrayBuffer( header_data.length + num_vertices * vertex_size + num_faces * 13 );
+	new Uint8Array( data ).set( header_data );
+	var view = new DataView( data );
+	var pos = header_data.length;
+	for(var i = 0; i < num_vertices; ++i)
+	{
+		writeFloats( vertices, i*3, 3 );
+		if( normals )
+			writeFloats( normals, i*3, 3 );
+		if( coords )
+			writeFloats( coords, i*2, 2 );
+		if( colors )
+			for(var j = 0; j < 4; ++j)
+				view.setUint8( pos++, toByte( colors[i*4+j] ) );
+	}
+	for(var i = 0; i < num_faces; ++i)
+	{
+		view.setUint8( pos++, 3 );
+		for(var j = 0; j < 3; ++j, pos += 4)
+			view.setUint32( pos, indices[i*3+j], true );
+	}
+	return data;
+
+	function writeFloats( array, start, num )
+	{
+		for(var j = 0; j < num; ++j, pos += 4)
+			view.setFloat32( pos, array[start+j], true );
+	}
+
+	function toByte( v )
+	{
+		return Math.round( Math.clamp( v, 0, 1 ) * 255 );
+	}
+}
+
+Mesh.encoders["ply"] = Mesh.encodePLY;
+
+/* STL FORMAT ************************************/
+
+Mesh.binary_file_formats["stl"] = true;
+
+/**
+* Parses a STL file (binary or ASCII), the result is not indexed and contains the face normals
+* @method Mesh.parseSTL
+* @param {String|ArrayBuffer} data the file content
+* @param {Object} options [optional] { weld: to merge duplicated vertices using computeIndices (normals are recomputed smooth), only_data: to get the data without creating the GL.Mesh }
+* @return {GL.Mesh|Object} the mesh
+*/
+Mesh.parseSTL = function( data, options )
+{
+	options = options || {};
+
+	var vertices = null;
+	var normals = null;
+
+	var is_binary = false;
+	if( data.constructor === ArrayBuffer )
+	{
+		//binary files have a fixed size, ASCII files start with "solid" (but some binary headers too)
+		if( data.byteLength >= 84 && 84 + new DataView( data ).getUint32( 80, true ) * 50 == data.byteLength )
+			is_binary = true;
+		else
+			data = new TextDecoder().decode( new Uint8Array( data ) );
+	}
+
+	if( is_binary )
+	{
+		var view = new DataView( data );
+		var num_triangles = view.getUint32( 80, true );
+		vertices = new Float32Array( num_triangles * 9 );
+		normals = new Float32Array( num_triangles * 9 );
+		var pos = 84;
+		for(var i = 0; i < num_triangles; ++i)
+		{
+			var nx = view.getFloat32( pos, true );
+			var ny = view.getFloat32( pos + 4, true );
+			var nz = view.getFloat32( pos + 8, true );
+			pos += 12;
+			for(var j = 0; j < 3; ++j)
+			{
+				var index = i*9 + j*3;
+				vertices[ index ] = view.getFloat32( pos, true );
+				vertices[ index + 1 ] = view.getFloat32( pos + 4, true );
+				vertices[ index + 2 ] = view.getFloat32( pos + 8, true );
+				normals[ index ] = nx;
+				normals[ index + 1 ] = ny;
+				normals[ index + 2 ] = nz;
+				pos += 12;
+			}
+			pos += 2; //attribute byte count
+		}
+	}
+	else
+	{
+		if( data.trim().substr(0,5) != "solid" )
+		{
+			console.error("STL: this file is not a STL");
+			return null;
+		}
+
+		var vertices_data = [];
+		var normals_data = [];
+		var normal = [0,0,0];
+		var lines = data.split("\n");
+		for(var i = 0; i < lines.length; ++i)
+		{
+			var tokens = lines[i].trim().split(/\s+/);
+			if( tokens[0] == "facet" && tokens[1] == "normal" )
+				normal = [ Number(tokens[2]), Number(tokens[3]), Number(tokens[4]) ];
+			else if( tokens[0] == "vertex" )
+			{
+				vertices_data.push( Number(tokens[1]), Number(tokens[2]), Number(tokens[3]) );
+				normals_data.push( normal[0], normal[1], normal[2] );
+			}
+		}
+		vertices = new Float32Array( vertices_data );
+		normals = new Float32Array( normals_data );
+	}
+
+	if(!vertices.length)
+	{
+		console.error("STL: mesh without vertices");
+		return null;
+	}
+
+	//some exporters leave normals empty, compute them from the triangles
+	var temp = vec3.create();
+	var temp2 = vec3.create();
+	for(var i = 0; i < normals.length; i += 9)
+	{
+		if( normals[i] || normals[i+1] || normals[i+2] )
+			continue;
+		var v1 = vertices.subarray(i,i+3);
+		vec3.sub( temp, vertices.subarray(i+3,i+6), v1 );
+		vec3.sub( temp2, vertices.subarray(i+6,i+9), v1 );
+		vec3.cross( temp, temp, temp2 );
+		vec3.normalize( temp, temp );
+		normals.set( temp, i );
+		normals.set( temp, i+3 );
+		normals.set( temp, i+6 );
+	}
+
+	var mesh = { vertices: vertices, normals: normals };
+	mesh.bounding = GL.Mesh.computeBoundingBox( mesh.vertices );
+
+	if(options.only_data)
+		return mesh;
+
+	//creates and returns a GL.Mesh
+	var final_mesh = null;
+	final_mesh = Mesh.load( mesh, null, options.mesh );
+	if( options.weld )
+	{
+		final_mesh.computeIndices();
+		final_mesh.computeNormals();
+	}
+	final_mesh.updateBoundingBox();
+	return final_mesh;
+}
+
+Mesh.parsers["stl"] = Mesh.parseSTL;
+
+/**
+* Encodes a mesh in STL format (only the triangles with the face normals)
+* @method Mesh.encodeSTL
+* @param {GL.Mesh} mesh
+* @param {Object} options [optional] { binary: true to get an ArrayBuffer, otherwise returns an ASCII string }
+* @return {String|ArrayBuffer} the encoded file
+*/
+Mesh.encodeSTL = function( mesh, options )
+{
+	options = options || {};
+
+	var vertices_buffer = mesh.getBuffer("vertices");
+	if(!vertices_buffer)
+		return null;
+
+	var vertices = vertices_buffer.data;
+	var indices = mesh.getIndexBuffer("triangles") ? mesh.getIndexBuffer("triangles").data : null;
+	var num_triangles = indices ? indices.length / 3 : vertices.length / 9;
+
+	var normal = vec3.create();
+	var temp = vec3.create();
+	var v = [ vec3.create(), vec3.create(), vec3.create() ];
+
+	var lines = null;
+	var view = null;
+	var pos = 84;
+	if( options.binary )
+	{
+		var data = new ArrayBuffer( 84 + num_triangles * 50 );
+		view = new DataView( data );
+		var header = "Generated with liteGL.js";
+		for(var i = 0; i < header.length; ++i)
+			view.setUint8( i, header.charCodeAt(i) );
+		view.setUint32( 80, num_triangles, true );
+	}
+	else
+		lines = ["solid mesh"];
+
+	for(var i = 0; i < num_triangles; ++i)
+	{
+		for(var j = 0; j < 3; ++j)
+		{
+			var index = indices ? indices[i*3+j] : i*3+j;
+			v[j].set( vertices.subarray( index*3, index*3 + 3 ) );
+		}
+		vec3.sub( normal, v[1], v[0] );
+		vec3.sub( temp, v[2], v[0] );
+		vec3.cross( normal, normal, temp );
+		vec3.normalize( normal, normal );
+
+		if( view )
+		{
+			writeVec3( normal );
+			writeVec3( v[0] );
+			writeVec3( v[1] );
+			writeVec3( v[2] );
+			pos += 2;
+			continue;
+		}
+
+		lines.push( "facet normal " + normal[0] + " " + normal[1] + " " + normal[2], "outer loop" );
+		for(var j = 0; j < 3; ++j)
+			lines.push( "vertex " + v[j][0] + " " + v[j][1] + " " + v[j][2] );
+		lines.push( "endloop", "endfacet" );
+	}
+
+	if( view )
+		return data;
+
+	lines.push("endsolid mesh");
+	return lines.join("\n");
+
+	function writeVec3( a )
+	{
+		view.setFloat32( pos, a[0], true );
+		view.setFloat32( pos + 4, a[1], true );
+		view.setFloat32( pos + 8, a[2], true );
+		pos += 12;
+	}
+}
+
+Mesh.encoders["stl"] = Mesh.encodeSTL;
+
 /* BINARY FORMAT ************************************/
 
 if(global.WBin)
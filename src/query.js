@@ -0,0 +1,297 @@
+/**
+* @namespace GL
+*/
+
+/**
+* Query class to ask the GPU about the rendering, like how long it took (GL.TIME_ELAPSED, requires EXT_disjoint_timer_query) or if any pixel passed the depth test (GL.ANY_SAMPLES_PASSED, WebGL2 only)
+* The results are not available immediately, call poll() in the next frames till it returns true
+* @class Query
+* @constructor
+* @param {Number} target GL.TIME_ELAPSED (default), GL.ANY_SAMPLES_PASSED or GL.ANY_SAMPLES_PASSED_CONSERVATIVE
+* @param {WebGLRenderingContext} gl [optional] gl context
+*/
+global.Query = GL.Query = function Query( target, gl )
+{
+	gl = gl || global.gl;
+	this.gl = gl;
+	this.target = target || GL.TIME_ELAPSED;
+	if( !Query.isSupported( this.target, gl ) )
+		throw("Query type not supported: " + this.target );
+
+	this.handler = gl.createQuery();
+	this.active = false; //between begin and end
+	this.pending = false; //waiting for the result
+	this.result = null; //time in ms or boolean
+	this.onresult = null; //callback
+
+	GL.registerResource( this, gl );
+}
+
+/**
+* Tells if this type of query can be used in the context
+* @method Query.isSupported
+* @param {Number} target GL.TIME_ELAPSED, GL.ANY_SAMPLES_PASSED or GL.ANY_SAMPLES_PASSED_CONSERVATIVE
+* @param {WebGLRenderingContext} gl [optional] gl context
+* @return {Boolean}
+*/
+Query.isSupported = function( target, gl )
+{
+	gl = gl || global.gl;
+	if( !gl.createQuery )
+		return false;
+	if( target == GL.TIME_ELAPSED )
+		return !!gl.extensions["disjoint_timer_query"];
+	return gl.webgl_version > 1;
+}
+
+/**
+* Starts the query, only one query of every type can be active at the same time
+* @method begin
+* @return {Boolean} false if the query is still waiting for the previous result
+*/
+Query.prototype.begin = function()
+{
+	if( this.active || this.pending )
+		return false;
+	this.gl.beginQuery( this.target, this.handler );
+	this.active = true;
+	this.result = null;
+	return true;
+}
+
+/**
+* Ends the query, the result will be available some frames later
+* @method end
+*/
+Query.prototype.end = function()
+{
+	if( !this.active )
+		return;
+	this.gl.endQuery( this.target );
+	this.active = false;
+	this.pending = true;
+}
+
+/**
+* Checks if the result is available, in that case it is stored in this.result (and onresult is called)
+* Timer results are discarded if the GPU was disjoint (frequency change, etc), then result is null
+* @method poll
+* @return {Boolean} true if the query has finished
+*/
+Query.prototype.poll = function()
+{
+	if( !this.pending )
+		return !this.active;
+
+	var gl = this.gl;
+	var disjoint = this.target == GL.TIME_ELAPSED && gl.getParameter( GL.GPU_DISJOINT );
+	if( !disjoint && !gl.getQueryParameter( this.handler, GL.QUERY_RESULT_AVAILABLE ) )
+		return false;
+
+	this.pending = false;
+	if( disjoint )
+		this.result = null;
+	else
+	{
+		var value = gl.getQueryParameter( this.handler, GL.QUERY_RESULT );
+		this.result = this.target == GL.TIME_ELAPSED ? value / 1000000 : !!value; //nanoseconds to ms
+	}
+	if( this.onresult )
+		this.onresult( this.result );
+	return true;
+}
+
+/**
+* Creates the query again after a context loss (pending results are lost)
+* @method restore
+* @return {Boolean} true
+*/
+Query.prototype.restore = function()
+{
+	this.handler = this.gl.createQuery();
+	this.active = this.pending = false;
+	this.result = null;
+	return true;
+}
+
+/**
+* Frees the query from the GPU
+* @method delete
+*/
+Query.prototype.delete = function()
+{
+	if( this.handler )
+		this.gl.deleteQuery( this.handler );
+	this.handler = null;
+	GL.unregisterResource( this );
+}
+
+/**
+* GPU profiler, measures the time of named scopes using timer queries. Scopes can be nested (the time of the children is included in the parent).
+* While it is assigned to gl.profiler, every Texture.drawTo and Shader.draw creates its own scope (named using the name property of the texture or shader if it has one)
+* Results arrive some frames later, call update once per frame to collect them in profiler.scopes
+* @class Profiler
+* @constructor
+* @param {WebGLRenderingContext} gl [optional] gl context
+*/
+GL.Profiler = function Profiler( gl )
+{
+	gl = gl || global.gl;
+	this.gl = gl;
+	this.enabled = Query.isSupported( GL.TIME_ELAPSED, gl );
+	if( !this.enabled )
+		console.warn("GL.Profiler: timer queries not supported");
+	this.auto_scopes = true; //scopes for every drawTo and draw
+	this.frame = 0;
+	this.scopes = {}; //name: { name, time (ms in the last frame), average, calls, max }
+	this.smoothing = 0.9; //for the average
+
+	this._stack = []; //names of the open scopes
+	this._pending = []; //segments waiting for the result
+	this._free_queries = [];
+	this._current = null; //segment being measured
+
+	gl.profiler = this;
+}
+
+/**
+* Starts a named scope, if there was another scope open its measurement is split so the queries are never nested
+* @method begin
+* @param {String} name
+*/
+GL.Profiler.prototype.begin = function( name )
+{
+	if( !this.enabled )
+		return;
+	this._stopSegment();
+	this._stack.push( name );
+	var scope = this.scopes[ name ];
+	if( !scope )
+		scope = this.scopes[ name ] = { name: name, time: 0, average: 0, calls: 0, max: 0, _frame: -1, _time: 0, _calls: 0, _calls_frame: -1 };
+	if( scope._calls_frame != this.frame ) //calls of the previous frame
+	{
+		scope.calls = scope._calls;
+		scope._calls = 0;
+		scope._calls_frame = this.frame;
+	}
+	scope._calls++;
+	this._startSegment();
+}
+
+/**
+* Ends the last scope opened
+* @method end
+*/
+GL.Profiler.prototype.end = function()
+{
+	if( !this.enabled || !this._stack.length )
+		return;
+	this._stopSegment();
+	this._stack.pop();
+	if( this._stack.length )
+		this._startSegment();
+}
+
+GL.Profiler.prototype._startSegment = function()
+{
+	var query = this._free_queries.pop() || new GL.Query( GL.TIME_ELAPSED, this.gl );
+	query.begin();
+	this._current = { query: query, scopes: this._stack.concat(), frame: this.frame };
+}
+
+GL.Profiler.prototype._stopSegment = function()
+{
+	if( !this._current )
+		return;
+	this._current.query.end();
+	this._pending.push( this._current );
+	this._current = null;
+}
+
+/**
+* Collects the results available and starts a new frame, call it once per frame outside of any scope
+* @method update
+*/
+GL.Profiler.prototype.update = function()
+{
+	var pending = this._pending;
+	var num = 0;
+	while( num < pending.length )
+	{
+		var segment = pending[num];
+		var query = segment.query;
+		if( query.pending && !query.poll() ) //results arrive in order
+			break;
+		num++;
+		this._free_queries.push( query );
+		if( query.result == null ) //disjoint or context lost
+			continue;
+		for(var i = 0; i < segment.scopes.length; ++i)
+			this._addTime( this.scopes[ segment.scopes[i] ], segment.frame, query.result );
+	}
+	if( num )
+		pending.splice( 0, num );
+
+	//frames without pending results are complete
+	var first_pending = pending.length ? pending[0].frame : this.frame + 1;
+	for(var i in this.scopes)
+	{
+		var scope = this.scopes[i];
+		if( scope._frame != -1 && scope._frame < first_pending )
+			this._closeFrame( scope );
+	}
+
+	this.frame++;
+}
+
+GL.Profiler.prototype._addTime = function( scope, frame, time )
+{
+	if( scope._frame != frame )
+	{
+		if( scope._frame != -1 )
+			this._closeFrame( scope );
+		scope._frame = frame;
+	}
+	scope._time += time;
+}
+
+GL.Profiler.prototype._closeFrame = function( scope )
+{
+	scope.time = scope._time;
+	scope.average = scope.average ? scope.average * this.smoothing + scope.time * (1 - this.smoothing) : scope.time;
+	scope.max = Math.max( scope.max, scope.time );
+	scope._time = 0;
+	scope._frame = -1;
+}
+
+/**
+* Returns the scopes sorted by average time
+* @method getResults
+* @return {Array} array of { name, time, average, calls, max }
+*/
+GL.Profiler.prototype.getResults = function()
+{
+	var result = [];
+	for(var i in this.scopes)
+		result.push( this.scopes[i] );
+	return result.sort( function(a,b) { return b.average - a.average; } );
+}
+
+/**
+* Removes the stats and frees the queries
+* @method reset
+*/
+GL.Profiler.prototype.reset = function()
+{
+	this._stopSegment();
+	var queries = this._free_queries;
+	for(var i = 0; i < this._pending.length; ++i)
+		queries.push( this._pending[i].query );
+	for(var i = 0; i < queries.length; ++i)
+		queries[i].delete();
+	this._free_queries = [];
+	this._pending = [];
+	this._stack = [];
+	this._current = null;
+	this.scopes = {};
+}
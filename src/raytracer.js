@@ -214,4 +214,265 @@ Raytracer.hitTestTriangle = function(origin, ray, a, b, c) {
   }
 
   return null;
-};
\ No newline at end of file
+};
+
+
+/**
+* GPU picking, renders the id of the objects and triangles to a texture so it can be read back, useful for scenes too big to test rays in the CPU
+* In WebGL2 the ids are stored in a RGBA32UI texture (one pass), otherwise they are encoded in three RGBA8 textures (one pass per value)
+* @class Picker
+* @constructor
+* @param {Object} options [optional] { width, height (default is the canvas size), integer (use a RGBA32UI texture, default true in WebGL2) }
+* @param {WebGLRenderingContext} gl [optional] gl context
+*/
+global.Picker = GL.Picker = function Picker( options, gl )
+{
+	options = options || {};
+	gl = gl || global.gl;
+	this.gl = gl;
+	this.integer = options.integer != null ? !!options.integer : gl.webgl_version > 1;
+	if( this.integer && gl.webgl_version < 2 )
+		throw("Picker: integer textures require WebGL2");
+	this.auto_size = !options.width; //follows the size of the canvas
+	this.width = 0;
+	this.height = 0;
+	this.textures = [];
+	this.fbo = new GL.FBO( null, null, false, gl );
+	this.viewprojection = mat4.create(); //used in the last render, to compute the position of the hits
+	this.resize( options.width || gl.canvas.width, options.height || gl.canvas.height );
+}
+
+/**
+* Changes the size of the textures
+* @method resize
+* @param {Number} width
+* @param {Number} height
+*/
+Picker.prototype.resize = function( width, height )
+{
+	if( width == this.width && height == this.height )
+		return;
+	this.width = width;
+	this.height = height;
+	for(var i = 0; i < this.textures.length; ++i)
+		this.textures[i].delete();
+	this.textures.length = 0;
+
+	var options = { format: GL.RGBA, type: GL.UNSIGNED_BYTE, minFilter: GL.NEAREST, magFilter: GL.NEAREST };
+	if( this.integer )
+	{
+		options.format = GL.RGBA_INTEGER;
+		options.type = GL.UNSIGNED_INT;
+		options.internalFormat = GL.RGBA32UI;
+	}
+	var num = this.integer ? 1 : 3;
+	for(var i = 0; i < num; ++i)
+		this.textures.push( new GL.Texture( width, height, options, this.gl ) );
+	this.fbo.setTextures([ this.textures[0] ]);
+}
+
+/**
+* Renders the ids of the objects, after this call pick or pickRegion can be used
+* @method render
+* @param {mat4} viewprojection the camera matrix
+* @param {Array} objects array of { mesh, model (mat4, optional), id (default is the index in the array), start, length (optional range of indices, like a group) }
+*/
+Picker.prototype.render = (function(){
+	var mvp = mat4.create();
+	var zero = new Uint32Array(4);
+
+	return function( viewprojection, objects )
+	{
+		var gl = this.gl;
+		if( this.auto_size )
+			this.resize( gl.canvas.width, gl.canvas.height );
+		this.viewprojection.set( viewprojection );
+
+		var shader = GL.Shader.getPickingShader( this.integer, gl );
+		var old_clear_color = gl.getParameter( gl.COLOR_CLEAR_VALUE );
+		gl.enable( gl.DEPTH_TEST );
+		gl.disable( gl.BLEND );
+
+		for(var pass = 0; pass < this.textures.length; ++pass)
+		{
+			if( pass > 0 )
+				this.fbo.setTextures([ this.textures[pass] ]);
+			this.fbo.bind( true );
+			if( this.integer )
+			{
+				gl.clearBufferuiv( gl.COLOR, 0, zero );
+				gl.clear( gl.DEPTH_BUFFER_BIT );
+			}
+			else
+			{
+				gl.clearColor( 0,0,0,0 );
+				gl.clear( gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT );
+			}
+
+			for(var i = 0; i < objects.length; ++i)
+			{
+				var object = objects[i];
+				if( object.model )
+					mat4.multiply( mvp, viewprojection, object.model );
+				else
+					mvp.set( viewprojection );
+				var mesh = Picker.getPickingMesh( object.mesh );
+				shader.uniforms({ u_mvp: mvp, u_object_id: object.id != null ? object.id : i, u_pass: pass });
+				if( object.length )
+					shader.drawRange( mesh, gl.TRIANGLES, object.start || 0, object.length );
+				else
+					shader.draw( mesh, gl.TRIANGLES );
+			}
+			this.fbo.unbind();
+		}
+
+		if( pass > 1 )
+			this.fbo.setTextures([ this.textures[0] ]);
+		if( old_clear_color )
+			gl.clearColor( old_clear_color[0], old_clear_color[1], old_clear_color[2], old_clear_color[3] );
+	}
+})();
+
+/**
+* Returns a non indexed version of the mesh with the index of the triangle of every vertex in the extra stream, it is cached in the mesh (it is rebuilt if the vertices buffer data is replaced, call it with force if the content changed)
+* @method Picker.getPickingMesh
+* @param {Mesh} mesh
+* @param {Boolean} force rebuild it
+* @return {Mesh} the mesh used to render the ids
+*/
+Picker.getPickingMesh = function( mesh, force )
+{
+	var vertices = mesh.getBuffer("vertices").data;
+	var picking_mesh = mesh._picking_mesh;
+	if( picking_mesh && picking_mesh._source_data === vertices && !force )
+		return picking_mesh;
+
+	var indices = mesh.getIndexBuffer("triangles");
+	if(indices)
+		indices = indices.data;
+	var num = indices ? indices.length : vertices.length / 3;
+	var positions = new Float32Array( num * 3 );
+	var triangles = new Float32Array( num );
+	for(var i = 0; i < num; ++i)
+	{
+		var index = indices ? indices[i] : i;
+		positions[ i*3 ] = vertices[ index*3 ];
+		positions[ i*3 + 1 ] = vertices[ index*3 + 1 ];
+		positions[ i*3 + 2 ] = vertices[ index*3 + 2 ];
+		triangles[i] = Math.floor( i / 3 );
+	}
+
+	if( picking_mesh )
+		picking_mesh.deleteBuffers();
+	picking_mesh = mesh._picking_mesh = new GL.Mesh( { vertices: positions, extra: triangles }, null, null, mesh.gl );
+	picking_mesh._source_data = vertices;
+	return picking_mesh;
+}
+
+/**
+* Returns what is in one pixel of the last render
+* @method pick
+* @param {Number} x in pixels from the left (like gl.mouse.x)
+* @param {Number} y in pixels from the bottom (like gl.mouse.y)
+* @return {Object} { object_id, triangle, depth (0..1), position (in world space) } or null if there is nothing
+*/
+Picker.prototype.pick = function( x, y )
+{
+	x = Math.floor(x);
+	y = Math.floor(y);
+	if( x < 0 || y < 0 || x >= this.width || y >= this.height )
+		return null;
+	return this.pickRegion( x, y, 1, 1 )[0] || null;
+}
+
+/**
+* Returns the objects and triangles inside a rectangle of the last render, only one result per triangle (the nearest)
+* @method pickRegion
+* @param {Number} x in pixels from the left
+* @param {Number} y in pixels from the bottom
+* @param {Number} width
+* @param {Number} height
+* @return {Array} array of { object_id, triangle, depth, position }
+*/
+Picker.prototype.pickRegion = function( x, y, width, height )
+{
+	//clamp to the texture
+	var x2 = Math.min( this.width, Math.floor( x + width ) );
+	var y2 = Math.min( this.height, Math.floor( y + height ) );
+	x = Math.max( 0, Math.floor(x) );
+	y = Math.max( 0, Math.floor(y) );
+	width = x2 - x;
+	height = y2 - y;
+	if( width <= 0 || height <= 0 )
+		return [];
+
+	var region = [ x, y, width, height ];
+	var data = [];
+	for(var i = 0; i < this.textures.length; ++i)
+		data.push( this.textures[i].getPixels( 0, 0, region ) );
+
+	var results = [];
+	var found = {};
+	var pixel = new Uint32Array(1);
+	var pixel_float = new Float32Array( pixel.buffer );
+	for(var i = 0; i < width * height; ++i)
+	{
+		var object_id, triangle, depth;
+		if( this.integer )
+		{
+			var pixels = data[0];
+			if( !pixels[ i*4 ] )
+				continue;
+			object_id = pixels[ i*4 ] - 1;
+			triangle = pixels[ i*4 + 1 ];
+			pixel[0] = pixels[ i*4 + 2 ];
+			depth = pixel_float[0];
+		}
+		else
+		{
+			object_id = Picker.decodeInteger( data[0], i*4 ) - 1;
+			if( object_id < 0 )
+				continue;
+			triangle = Picker.decodeInteger( data[1], i*4 );
+			depth = Picker.decodeInteger( data[2], i*4 ) / 16777215;
+		}
+
+		var key = object_id + ":" + triangle;
+		var result = found[ key ];
+		if( result && result.depth <= depth )
+			continue;
+		var px = x + (i % width) + 0.5;
+		var py = y + Math.floor( i / width ) + 0.5;
+		var position = vec3.unproject( vec3.create(), [ px, py, depth ], this.viewprojection, [ 0, 0, this.width, this.height ] );
+		if(!result)
+		{
+			result = found[ key ] = { object_id: object_id, triangle: triangle, depth: depth, position: position };
+			results.push( result );
+		}
+		else
+		{
+			result.depth = depth;
+			result.position = position;
+		}
+	}
+	return results;
+}
+
+//decodes an integer stored in the four bytes of a RGBA8 pixel
+Picker.decodeInteger = function( pixels, offset )
+{
+	return pixels[ offset ] + pixels[ offset + 1 ] * 256 + pixels[ offset + 2 ] * 65536 + pixels[ offset + 3 ] * 16777216;
+}
+
+/**
+* Frees the textures and the cached fbo
+* @method delete
+*/
+Picker.prototype.delete = function()
+{
+	for(var i = 0; i < this.textures.length; ++i)
+		this.textures[i].delete();
+	this.textures.length = 0;
+	this.fbo.delete();
+	this.width = this.height = 0;
+}
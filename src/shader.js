@@ -10,19 +10,26 @@
 * @param {String} vertexSource (it also allows to pass a compiled vertex shader)
 * @param {String} fragmentSource (it also allows to pass a compiled fragment shader)
 * @param {Object} macros (optional) precompiler macros to be applied when compiling
+* @param {Array|Object} feedback (optional) names of the varyings to capture with transform feedback (WebGL2), or { varyings: [...], mode: GL.INTERLEAVED_ATTRIBS or GL.SEPARATE_ATTRIBS }. In that case the fragmentSource can be null
 */
-global.Shader = GL.Shader = function Shader( vertexSource, fragmentSource, macros )
+global.Shader = GL.Shader = function Shader( vertexSource, fragmentSource, macros, feedback )
 {
 	if(GL.debug)
 		console.log("GL.Shader created");
 
-	if( !vertexSource || !fragmentSource )
+	if( !vertexSource || (!fragmentSource && !feedback) )
 		throw("GL.Shader source code parameter missing");
 
 	//used to avoid problems with resources moving between different webgl context
 	this._context_id = global.gl.context_id; 
 	var gl = this.gl = global.gl;
 
+	if( feedback )
+	{
+		this.setFeedbackVaryings( feedback );
+		fragmentSource = fragmentSource || Shader.getFeedbackFragmentShader( vertexSource );
+	}
+
 	//expand macros
 	var extra_code = Shader.expandMacros( macros );
 
@@ -36,6 +43,8 @@ global.Shader = GL.Shader = function Shader( vertexSource, fragmentSource, macro
 
 	gl.attachShader( this.program, vs, gl );
 	gl.attachShader( this.program, fs, gl );
+	if( this.feedback_varyings ) //must be set before linking
+		gl.transformFeedbackVaryings( this.program, this.feedback_varyings, this.feedback_mode );
 	gl.linkProgram(this.program);
 	if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
 		throw 'link error: ' + gl.getProgramInfoLog(this.program);
@@ -44,10 +53,17 @@ global.Shader = GL.Shader = function Shader( vertexSource, fragmentSource, macro
 	this.vs_shader = vs;
 	this.fs_shader = fs;
 
+	//keep the code to restore it if the context is lost
+	this._vertex_source = vertexSource;
+	this._fragment_source = fragmentSource;
+	this._macros = macros;
+	GL.registerResource( this, gl );
+
 	//Extract info from the shader
 	this.attributes = {}; 
 	this.uniformInfo = {};
 	this.samplers = {};
+	this.uniformBlocks = {};
 
 	//extract info about the shader to speed up future processes
 	this.extractShaderInfo();
@@ -118,11 +134,17 @@ Shader.parseError = function( error_str, vs_code, fs_code )
 * @param {String} vertexSource 
 * @param {String} fragmentSource 
 * @param {Object} macros [optional]
+* @param {Array|Object} feedback [optional] transform feedback varyings, if omited it keeps the previous ones
 */
-Shader.prototype.updateShader = function( vertexSource, fragmentSource, macros )
+Shader.prototype.updateShader = function( vertexSource, fragmentSource, macros, feedback )
 {
 	var gl = this.gl || global.gl;
 
+	if( feedback )
+		this.setFeedbackVaryings( feedback );
+	if( !fragmentSource && this.feedback_varyings )
+		fragmentSource = Shader.getFeedbackFragmentShader( vertexSource );
+
 	//expand macros
 	var extra_code = Shader.expandMacros( macros );
 
@@ -144,6 +166,8 @@ Shader.prototype.updateShader = function( vertexSource, fragmentSource, macros )
 
 	gl.attachShader( this.program, vs, gl );
 	gl.attachShader( this.program, fs, gl );
+	if( this.feedback_varyings )
+		gl.transformFeedbackVaryings( this.program, this.feedback_varyings, this.feedback_mode );
 	gl.linkProgram( this.program );
 	if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
 		throw 'link error: ' + gl.getProgramInfoLog( this.program );
@@ -153,15 +177,78 @@ Shader.prototype.updateShader = function( vertexSource, fragmentSource, macros )
 	this.vs_shader = vs;
 	this.fs_shader = fs;
 
+	this._vertex_source = vertexSource;
+	this._fragment_source = fragmentSource;
+	this._macros = macros;
+
 	//Extract info from the shader
 	this.attributes = {}; 
 	this.uniformInfo = {};
 	this.samplers = {};
+	this.uniformBlocks = {};
 
 	//extract info about the shader to speed up future processes
 	this.extractShaderInfo();
 }
 
+/**
+* Frees the program and the shaders from the GPU
+* @method delete
+*/
+Shader.prototype.delete = function()
+{
+	var gl = this.gl;
+	gl.deleteProgram( this.program );
+	if( this._vertex_source.constructor === String ) //not shared
+		gl.deleteShader( this.vs_shader );
+	if( this._fragment_source.constructor === String )
+		gl.deleteShader( this.fs_shader );
+	if( this._transform_feedback )
+		gl.deleteTransformFeedback( this._transform_feedback );
+	this._transform_feedback = null;
+	this.program = null;
+	GL.unregisterResource( this );
+}
+
+/**
+* Compiles again the shader after a context loss using the code stored (only if it was created from strings)
+* @method restore
+* @return {Boolean} true if it was restored
+*/
+Shader.prototype.restore = function()
+{
+	this.program = null;
+	this._transform_feedback = null;
+	if( this._vertex_source.constructor !== String || this._fragment_source.constructor !== String )
+		return false;
+	this.updateShader( this._vertex_source, this._fragment_source, this._macros );
+	return true;
+}
+
+/**
+* Sets which varyings of the vertex shader will be captured when using drawFeedback (WebGL2), it only takes effect when the program is linked again (see updateShader)
+* @method setFeedbackVaryings
+* @param {Array|Object} feedback names of the varyings or { varyings: [...], mode: GL.INTERLEAVED_ATTRIBS (one single buffer, default) or GL.SEPARATE_ATTRIBS (one buffer per varying) }
+*/
+Shader.prototype.setFeedbackVaryings = function( feedback )
+{
+	if( this.gl.webgl_version < 2 )
+		throw("Transform feedback requires WebGL2");
+	if( feedback.constructor === Array )
+		feedback = { varyings: feedback };
+	this.feedback_varyings = feedback.varyings;
+	this.feedback_mode = feedback.mode || GL.INTERLEAVED_ATTRIBS;
+}
+
+//the fragment shader is not used when capturing, but the program needs one with the same GLSL version
+Shader.getFeedbackFragmentShader = function( vertexSource )
+{
+	var code = "precision highp float;\nvoid main() {}\n";
+	if( vertexSource.constructor === String && vertexSource.trim().indexOf("#version 300 es") == 0 )
+		return "#version 300 es\n" + code;
+	return code;
+}
+
 /**
 * It extract all the info about the compiled shader program, all the info about uniforms and attributes.
 * This info is stored so it works faster during rendering.
@@ -175,11 +262,23 @@ Shader.prototype.extractShaderInfo = function()
 	
 	var l = gl.getProgramParameter( this.program, gl.ACTIVE_UNIFORMS );
 
+	//in webgl2 the uniforms inside blocks are listed too, but they are stored in buffers
+	var blocks_index = null;
+	if( gl.webgl_version > 1 && l )
+	{
+		var indices = [];
+		for(var i = 0; i < l; ++i)
+			indices.push(i);
+		blocks_index = gl.getActiveUniforms( this.program, indices, gl.UNIFORM_BLOCK_INDEX );
+	}
+
 	//extract uniforms info
 	for(var i = 0; i < l; ++i)
 	{
 		var data = gl.getActiveUniform( this.program, i);
 		if(!data) break;
+		if( blocks_index && blocks_index[i] != -1 )
+			continue;
 
 		var uniformName = data.name;
 
@@ -195,7 +294,8 @@ Shader.prototype.extractShaderInfo = function()
 		//store texture samplers
 		if(data.type == GL.SAMPLER_2D || data.type == GL.SAMPLER_CUBE || data.type == GL.SAMPLER_3D ||
 			data.type == GL.INT_SAMPLER_2D || data.type == GL.INT_SAMPLER_CUBE || data.type == GL.INT_SAMPLER_3D ||
-			data.type == GL.UNSIGNED_INT_SAMPLER_2D || data.type == GL.UNSIGNED_INT_SAMPLER_CUBE || data.type == GL.UNSIGNED_INT_SAMPLER_3D)
+			data.type == GL.UNSIGNED_INT_SAMPLER_2D || data.type == GL.UNSIGNED_INT_SAMPLER_CUBE || data.type == GL.UNSIGNED_INT_SAMPLER_3D ||
+			data.type == GL.SAMPLER_2D_ARRAY || data.type == GL.INT_SAMPLER_2D_ARRAY || data.type == GL.UNSIGNED_INT_SAMPLER_2D_ARRAY)
 			this.samplers[ uniformName ] = data.type;
 		
 		//get which function to call when uploading this uniform
@@ -234,6 +334,124 @@ Shader.prototype.extractShaderInfo = function()
 		}; //gl.getAttribLocation( this.program, data.name )
 		this.attributes[ data.name ] = gl.getAttribLocation(this.program, data.name );	
 	}
+
+	//extract uniform blocks info
+	if( gl.webgl_version > 1 )
+		this.extractUniformBlocksInfo();
+
+	//shaders with the same attributes layout can share the VAOs of a mesh
+	var layout = [];
+	for(var i in this.attributes)
+		layout.push( i + ":" + this.attributes[i] );
+	this._attributes_key = layout.sort().join(",");
+}
+
+/**
+* Extracts the layout of every uniform block (WebGL2), the offsets follow the std140 rules so the same GL.UniformBuffer can be shared among shaders.
+* Every block is attached to the binding point assigned to its name (see Shader.getUniformBlockBinding)
+* @method extractUniformBlocksInfo
+*/
+Shader.prototype.extractUniformBlocksInfo = function()
+{
+	var gl = this.gl;
+	var program = this.program;
+	this.uniformBlocks = {};
+
+	for(var i = 0, l = gl.getProgramParameter( program, gl.ACTIVE_UNIFORM_BLOCKS ); i < l; ++i)
+	{
+		var name = gl.getActiveUniformBlockName( program, i );
+		var indices = Array.prototype.slice.call( gl.getActiveUniformBlockParameter( program, i, gl.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES ) );
+		var offsets = gl.getActiveUniforms( program, indices, gl.UNIFORM_OFFSET );
+		var array_strides = gl.getActiveUniforms( program, indices, gl.UNIFORM_ARRAY_STRIDE );
+		var matrix_strides = gl.getActiveUniforms( program, indices, gl.UNIFORM_MATRIX_STRIDE );
+
+		var uniforms = {};
+		for(var j = 0; j < indices.length; ++j)
+		{
+			var data = gl.getActiveUniform( program, indices[j] );
+			var uniformName = data.name;
+			if( uniformName.substr(-3) == "[0]" )
+				uniformName = uniformName.substr( 0, uniformName.length - 3 );
+			uniforms[ uniformName ] = {
+				type: data.type,
+				size: data.size,
+				type_length: GL.TYPE_LENGTH[ data.type ] || 1,
+				offset: offsets[j],
+				array_stride: array_strides[j],
+				matrix_stride: matrix_strides[j]
+			};
+		}
+
+		var binding = this._uniform_block_bindings ? this._uniform_block_bindings[ name ] : null; //changed with setUniformBlockBinding
+		if( binding == null )
+			binding = Shader.getUniformBlockBinding( name, gl );
+		gl.uniformBlockBinding( program, i, binding );
+
+		this.uniformBlocks[ name ] = {
+			name: name,
+			index: i,
+			binding: binding,
+			size: gl.getActiveUniformBlockParameter( program, i, gl.UNIFORM_BLOCK_DATA_SIZE ),
+			uniforms: uniforms
+		};
+	}
+}
+
+/**
+* Changes the binding point of a uniform block of this shader (by default every block uses the one assigned to its name)
+* The binding is kept when the shader is compiled again (updateShader or after a context loss)
+* @method setUniformBlockBinding
+* @param {String} name name of the uniform block
+* @param {Number} binding binding point index
+*/
+Shader.prototype.setUniformBlockBinding = function( name, binding )
+{
+	var max = this.gl.getParameter( this.gl.MAX_UNIFORM_BUFFER_BINDINGS );
+	if( binding >= max )
+		throw("Shader: uniform block binding " + binding + " exceeds gl.MAX_UNIFORM_BUFFER_BINDINGS (" + max + ")");
+	if(!this._uniform_block_bindings)
+		this._uniform_block_bindings = {};
+	this._uniform_block_bindings[ name ] = binding;
+	var block = this.uniformBlocks[ name ];
+	if(!block)
+		return;
+	block.binding = binding;
+	this.gl.uniformBlockBinding( this.program, block.index, binding );
+}
+
+/**
+* Returns if this shader has a uniform block with the given name
+* @method hasUniformBlock
+* @param {String} name name of the uniform block
+* @return {Boolean}
+*/
+Shader.prototype.hasUniformBlock = function(name)
+{
+	return this.uniformBlocks[name];
+}
+
+//binding point assigned to every uniform block name, shared by all the shaders
+Shader.uniform_block_bindings = {};
+Shader._last_uniform_block_binding = 0;
+
+/**
+* Returns the binding point where the uniform blocks with this name are attached, it is assigned the first time a block with that name is found
+* Binding points are never released, it throws if there are more names than gl.MAX_UNIFORM_BUFFER_BINDINGS
+* @method Shader.getUniformBlockBinding
+* @param {String} name name of the uniform block
+* @param {WebGLRenderingContext} gl [optional] gl context
+* @return {Number} binding point index
+*/
+Shader.getUniformBlockBinding = function( name, gl )
+{
+	var binding = Shader.uniform_block_bindings[ name ];
+	if( binding != null )
+		return binding;
+	gl = gl || global.gl;
+	var max = gl.getParameter( gl.MAX_UNIFORM_BUFFER_BINDINGS );
+	if( Shader._last_uniform_block_binding >= max )
+		throw("Shader: too many uniform block names, gl.MAX_UNIFORM_BUFFER_BINDINGS is " + max + ", use setUniformBlockBinding to share binding points");
+	return Shader.uniform_block_bindings[ name ] = Shader._last_uniform_block_binding++;
 }
 
 /**
@@ -304,6 +522,9 @@ Shader.getUniformFunc = function( data )
 		case GL.UNSIGNED_INT_SAMPLER_2D:
 		case GL.UNSIGNED_INT_SAMPLER_3D:
 		case GL.UNSIGNED_INT_SAMPLER_CUBE:
+		case GL.SAMPLER_2D_ARRAY:
+		case GL.INT_SAMPLER_2D_ARRAY:
+		case GL.UNSIGNED_INT_SAMPLER_2D_ARRAY:
 			func = gl.uniform1i; break;
 		default: func = gl.uniform1f; break;
 	}	
@@ -406,7 +627,13 @@ Shader.prototype.uniforms = function(uniforms) {
 	{
 		var info = this.uniformInfo[ name ];
 		if (!info)
+		{
+			//uniform buffers can be passed using the name of the block
+			var block = this.uniformBlocks[ name ];
+			if( block && uniforms[name] && uniforms[name].constructor === GL.UniformBuffer )
+				uniforms[name].bind( block.binding );
 			continue;
+		}
 		this._setUniform( name, uniforms[name] );
 		//this.setUniform( name, uniforms[name] );
 		//this._assing_uniform(uniforms, name, gl );
@@ -507,9 +734,27 @@ Shader.prototype._setUniform = (function(){
 */
 Shader.prototype.draw = function( mesh, mode, index_buffer_name ) {
 	index_buffer_name = index_buffer_name === undefined ? (mode == gl.LINES ? 'lines' : 'triangles') : index_buffer_name;
-	this.drawBuffers( mesh.vertexBuffers,
-	  index_buffer_name ? mesh.indexBuffers[ index_buffer_name ] : null,
-	  arguments.length < 2 ? gl.TRIANGLES : mode);
+	mode = arguments.length < 2 ? gl.TRIANGLES : mode;
+	var index_buffer = index_buffer_name ? mesh.indexBuffers[ index_buffer_name ] : null;
+
+	var profiler = this.gl.profiler && this.gl.profiler.auto_scopes ? this.gl.profiler : null;
+	if( profiler )
+		profiler.begin( this.name || "draw" );
+
+	try
+	{
+		//use the VAO of the mesh if supported
+		var vao = mesh.getVertexArray ? mesh.getVertexArray( this ) : null;
+		if(vao)
+			this.drawVertexArray( vao, index_buffer, mode );
+		else
+			this.drawBuffers( mesh.vertexBuffers, index_buffer, mode );
+	}
+	finally
+	{
+		if( profiler )
+			profiler.end();
+	}
 }
 
 /**
@@ -524,10 +769,36 @@ Shader.prototype.draw = function( mesh, mode, index_buffer_name ) {
 Shader.prototype.drawRange = function(mesh, mode, start, length, index_buffer_name )
 {
 	index_buffer_name = index_buffer_name === undefined ? (mode == gl.LINES ? 'lines' : 'triangles') : index_buffer_name;
+	var index_buffer = index_buffer_name ? mesh.indexBuffers[ index_buffer_name ] : null;
+
+	var vao = mesh.getVertexArray ? mesh.getVertexArray( this ) : null;
+	if(vao)
+		this.drawVertexArray( vao, index_buffer, mode, start, length );
+	else
+		this.drawBuffers( mesh.vertexBuffers, index_buffer, mode, start, length );
+}
+
+/**
+* Renders using a Vertex Array Object (the attributes are already configured in the VAO), check Mesh.prototype.getVertexArray
+* @method drawVertexArray
+* @param {WebGLVertexArrayObject} vao the VAO, it must contain the number of vertices in vao.num_vertices
+* @param {IndexBuffer} indexBuffer
+* @param {number} mode could be gl.LINES, gl.POINTS, gl.TRIANGLES, gl.TRIANGLE_STRIP, gl.TRIANGLE_FAN
+* @param {number} range_start first primitive to render
+* @param {number} range_length number of primitives to render
+*/
+Shader.prototype.drawVertexArray = function( vao, indexBuffer, mode, range_start, range_length )
+{
+	if(range_length == 0)
+		return;
 
-	this.drawBuffers( mesh.vertexBuffers,
-	  index_buffer_name ? mesh.indexBuffers[ index_buffer_name ] : null,
-	  mode, start, length);
+	var gl = this.gl;
+	gl.useProgram(this.program);
+	gl.bindVertexArray( vao );
+	this._drawRange( vao.num_vertices, indexBuffer, mode, range_start, range_length );
+	gl.bindVertexArray( null ); //to avoid other calls modifying the VAO
+
+	return this;
 }
 
 /**
@@ -578,6 +849,23 @@ Shader.prototype.drawBuffers = function( vertexBuffers, indexBuffer, mode, range
 		length = buffer.buffer.length / buffer.buffer.spacing;
 	}
 
+	// Force to disable buffers in this shader that are not in this mesh
+	for (var attribute in this.attributes)
+	{
+		var location = this.attributes[attribute];
+		if (!(attribs_in_use[location])) {
+			gl.disableVertexAttribArray(this.attributes[attribute]);
+		}
+	}
+
+	return this._drawRange( length, indexBuffer, mode, range_start, range_length );
+}
+
+//renders the range of the buffers already binded, length is the number of vertices
+Shader.prototype._drawRange = function( length, indexBuffer, mode, range_start, range_length )
+{
+	var gl = this.gl;
+
 	//range rendering
 	var offset = 0; //in bytes
 	if(range_start > 0) //render a polygon range
@@ -592,15 +880,6 @@ Shader.prototype.drawBuffers = function( vertexBuffers, indexBuffer, mode, range
 	var BYTES_PER_ELEMENT = (indexBuffer && indexBuffer.data) ? indexBuffer.data.constructor.BYTES_PER_ELEMENT : 1;
 	offset *= BYTES_PER_ELEMENT;
 
-	// Force to disable buffers in this shader that are not in this mesh
-	for (var attribute in this.attributes)
-	{
-		var location = this.attributes[attribute];
-		if (!(attribs_in_use[location])) {
-			gl.disableVertexAttribArray(this.attributes[attribute]);
-		}
-	}
-
 	// Draw the geometry.
 	if (length && (!indexBuffer || indexBuffer.buffer)) {
 	  if (indexBuffer) {
@@ -616,6 +895,55 @@ Shader.prototype.drawBuffers = function( vertexBuffers, indexBuffer, mode, range
 	return this;
 }
 
+/**
+* Renders the mesh capturing the varyings of the vertex shader in buffers (transform feedback, WebGL2), the shader must be created with the feedback varyings.
+* Output buffers cannot be used as input in the same call, to simulate particles swap them after every call.
+* @method drawFeedback
+* @param {Mesh|Object} mesh the mesh or an object containing the vertex buffers (easier to swap)
+* @param {Buffer|Array} outputs the buffer where to store the interleaved varyings, or one buffer per varying if the mode is GL.SEPARATE_ATTRIBS
+* @param {number} mode could be gl.POINTS, gl.LINES or gl.TRIANGLES (default gl.POINTS), indices are not used
+* @param {boolean} rasterize [optional] if true the primitives are also rendered (default false)
+*/
+Shader.prototype.drawFeedback = function( mesh, outputs, mode, rasterize )
+{
+	var gl = this.gl;
+	if( !this.feedback_varyings )
+		throw("drawFeedback: shader doesnt have feedback varyings");
+	mode = mode == null ? gl.POINTS : mode;
+	if( outputs.constructor !== Array )
+		outputs = [ outputs ];
+
+	if( !this._transform_feedback )
+		this._transform_feedback = gl.createTransformFeedback();
+	gl.bindTransformFeedback( gl.TRANSFORM_FEEDBACK, this._transform_feedback );
+	for(var i = 0; i < outputs.length; ++i)
+	{
+		if( !outputs[i].buffer )
+			outputs[i].upload( gl.STREAM_COPY );
+		gl.bindBufferBase( gl.TRANSFORM_FEEDBACK_BUFFER, i, outputs[i].buffer );
+	}
+
+	if( !rasterize )
+		gl.enable( gl.RASTERIZER_DISCARD );
+	gl.useProgram( this.program );
+	gl.beginTransformFeedback( mode );
+
+	var vao = mesh.constructor === GL.Mesh ? mesh.getVertexArray( this ) : null;
+	if( vao )
+		this.drawVertexArray( vao, null, mode );
+	else
+		this.drawBuffers( mesh.vertexBuffers || mesh, null, mode );
+
+	gl.endTransformFeedback();
+	if( !rasterize )
+		gl.disable( gl.RASTERIZER_DISCARD );
+
+	for(var i = 0; i < outputs.length; ++i)
+		gl.bindBufferBase( gl.TRANSFORM_FEEDBACK_BUFFER, i, null );
+	gl.bindTransformFeedback( gl.TRANSFORM_FEEDBACK, null );
+	return this;
+}
+
 Shader._instancing_arrays = [];
 
 Shader.prototype.drawInstanced = function( mesh, primitive, indices, instanced_uniforms, range_start, range_length, num_intances )
@@ -974,6 +1302,27 @@ Shader.SCREEN_FRAGMENT_SHADER = "\n\
 			}\n\
 			";
 
+//GLSL functions to convert colors between sRGB and linear space, use them in shaders that render to the canvas
+Shader.SRGB_FUNCTIONS = "\n\
+			vec3 linearToSRGB( vec3 color ) {\n\
+				return mix( color * 12.92, 1.055 * pow( color, vec3(1.0/2.4) ) - 0.055, step( vec3(0.0031308), color ) );\n\
+			}\n\
+			vec3 sRGBToLinear( vec3 color ) {\n\
+				return mix( color / 12.92, pow( (color + 0.055) / 1.055, vec3(2.4) ), step( vec3(0.04045), color ) );\n\
+			}\n\
+			";
+
+Shader.SCREEN_SRGB_FRAGMENT_SHADER = "\n\
+			precision highp float;\n\
+			uniform sampler2D u_texture;\n\
+			varying vec2 v_coord;\n\
+			" + Shader.SRGB_FUNCTIONS + "\
+			void main() {\n\
+				vec4 color = texture2D(u_texture, v_coord);\n\
+				gl_FragColor = vec4( linearToSRGB( clamp( color.xyz, 0.0, 1.0 ) ), color.a );\n\
+			}\n\
+			";
+
 //used in createFX
 Shader.SCREEN_FRAGMENT_FX = "\n\
 			precision highp float;\n\
@@ -1209,6 +1558,21 @@ Shader.getColoredScreenShader = function(gl)
 	return shader.uniforms({u_texture:0, u_color: vec4.fromValues(1,1,1,1) }); //do it the first time so I dont have to do it every time
 }
 
+/**
+* Returns a shader that renders a textured quad in fullscreen converting the color from linear to sRGB space, use it to show linear textures (sRGB or HDR render targets) in the canvas
+* shader params: sampler2D u_texture
+* @method Shader.getSRGBScreenShader
+*/
+Shader.getSRGBScreenShader = function(gl)
+{
+	gl = gl || global.gl;
+	var shader = gl.shaders[":srgb_screen"];
+	if(shader)
+		return shader;
+	shader = gl.shaders[":srgb_screen"] = new GL.Shader( Shader.SCREEN_VERTEX_SHADER, Shader.SCREEN_SRGB_FRAGMENT_SHADER );
+	return shader.uniforms({u_texture:0}); //do it the first time so I dont have to do it every time
+}
+
 /**
 * Returns a shader ready to render a quad with transform, use with Mesh.getScreenQuad() mesh
 * shader must have: u_position, u_size, u_viewport, u_transform (mat3)
@@ -1377,6 +1741,47 @@ Shader.getCubemapCopyShader = function(gl)
 	return gl.shaders[":copy_cubemap"] = shader;
 }
 
+/**
+* Returns a shader to copy one layer of a TEXTURE_3D or TEXTURE_2D_ARRAY (the layer in u_layer, normalized for TEXTURE_3D)
+* @method Shader.getLayerCopyShader
+* @param {Number} texture_type GL.TEXTURE_3D or GL.TEXTURE_2D_ARRAY
+*/
+Shader.getLayerCopyShader = function( texture_type, gl )
+{
+	gl = gl || global.gl;
+	var name = texture_type == GL.TEXTURE_3D ? ":copy_layer_3d" : ":copy_layer_array";
+	var shader = gl.shaders[ name ];
+	if(shader)
+		return shader;
+
+	var shader = new GL.Shader( "#version 300 es\n\
+			precision highp float;\n\
+			in vec3 a_vertex;\n\
+			in vec2 a_coord;\n\
+			out vec2 v_coord;\n\
+			void main() { \n\
+				v_coord = a_coord; \n\
+				gl_Position = vec4(a_coord * 2.0 - 1.0, 0.0, 1.0); \n\
+			}\n\
+			","#version 300 es\n\
+			precision highp float;\n\
+			precision highp sampler3D;\n\
+			precision highp sampler2DArray;\n\
+			in vec2 v_coord;\n\
+			#ifdef TEXTURE_3D\n\
+				uniform sampler3D u_texture;\n\
+			#else\n\
+				uniform sampler2DArray u_texture;\n\
+			#endif\n\
+			uniform float u_layer;\n\
+			out vec4 color;\n\
+			void main() {\n\
+				color = texture( u_texture, vec3( v_coord, u_layer ) );\n\
+			}\n\
+			", texture_type == GL.TEXTURE_3D ? { TEXTURE_3D: "" } : null );
+	return gl.shaders[ name ] = shader;
+}
+
 //shader to blur a cubemap
 Shader.getCubemapBlurShader = function(gl)
 {
@@ -1420,6 +1825,294 @@ Shader.getCubemapBlurShader = function(gl)
 	return gl.shaders[":blur_cubemap"] = shader;
 }
 
+/**
+* Returns the shader used by Texture.generateMipmaps to render one level from the previous one, the source is read with NEAREST at the center of the texels so it works with textures that cannot be filtered
+* shader params: sampler2D or samplerCube u_texture, vec2 u_source_size (in texels), vec2 u_odd (1 if the size of the source is odd), mat3 u_rotation (cubemaps)
+* @method Shader.getMipmapShader
+* @param {Number} filter GL.Texture.MIPMAP_BOX, MIPMAP_KAISER, MIPMAP_MAX or MIPMAP_MIN (0 copies the texels)
+* @param {Boolean} cubemap if the texture is a cubemap
+* @param {WebGLRenderingContext} gl [optional]
+* @return {GL.Shader}
+*/
+Shader.getMipmapShader = function( filter, cubemap, gl )
+{
+	gl = gl || global.gl;
+	var name = ":mipmap_" + filter + (cubemap ? "_cube" : "");
+	var shader = gl.shaders[ name ];
+	if(shader)
+		return shader;
+
+	var macros = {};
+	if( cubemap )
+		macros.CUBEMAP = "";
+	if( filter == GL.Texture.MIPMAP_KAISER )
+	{
+		//kaiser windowed sinc (alpha 4, three texels to every side), the weights of the texels at 0.5, 1.5 and 2.5 from the center
+		var bessel = function(x) { var sum = 1, term = 1; for(var k = 1; k < 20; ++k) { term *= (x * 0.5 / k) * (x * 0.5 / k); sum += term; } return sum; };
+		var weights = [];
+		var total = 0;
+		for(var i = 0; i < 3; ++i)
+		{
+			var d = i + 0.5;
+			var x = d / 3;
+			var sinc = Math.sin( Math.PI * d * 0.5 ) / (Math.PI * d * 0.5);
+			weights[i] = sinc * bessel( 4 * Math.sqrt( 1 - x * x ) ) / bessel( 4 );
+			total += weights[i] * 2;
+		}
+		macros.KAISER = "";
+		for(var i = 0; i < 3; ++i)
+			macros[ "W" + i ] = (weights[i] / total).toFixed(6);
+	}
+	else if( filter == GL.Texture.MIPMAP_MAX )
+		macros.MAX = "";
+	else if( filter == GL.Texture.MIPMAP_MIN )
+		macros.MIN = "";
+	else if( !filter )
+		macros.COPY = "";
+
+	shader = new GL.Shader( Shader.SCREEN_VERTEX_SHADER,"\n\
+			precision highp float;\n\
+			uniform vec2 u_source_size;\n\
+			uniform vec2 u_odd;\n\
+			#ifdef CUBEMAP\n\
+				uniform samplerCube u_texture;\n\
+				uniform mat3 u_rotation;\n\
+			#else\n\
+				uniform sampler2D u_texture;\n\
+			#endif\n\
+			vec4 readTexel( vec2 pos ) {\n\
+				vec2 uv = ( clamp( pos, vec2(0.0), u_source_size - 1.0 ) + 0.5 ) / u_source_size;\n\
+				#ifdef CUBEMAP\n\
+					return textureCube( u_texture, u_rotation * vec3( uv.x - 0.5, 0.5 - uv.y, 0.5 ) );\n\
+				#else\n\
+					return texture2D( u_texture, uv );\n\
+				#endif\n\
+			}\n\
+			void main() {\n\
+				vec2 pos = floor( gl_FragCoord.xy );\n\
+				#ifdef COPY\n\
+					gl_FragColor = readTexel( pos );\n\
+				#elif defined(KAISER)\n\
+					pos *= 2.0;\n\
+					float weights[6];\n\
+					weights[0] = weights[5] = W2;\n\
+					weights[1] = weights[4] = W1;\n\
+					weights[2] = weights[3] = W0;\n\
+					vec4 color = vec4(0.0);\n\
+					for(int j = 0; j < 6; ++j)\n\
+						for(int i = 0; i < 6; ++i)\n\
+							color += readTexel( pos + vec2( float(i) - 2.0, float(j) - 2.0 ) ) * (weights[i] * weights[j]);\n\
+					gl_FragColor = color;\n\
+				#elif defined(MAX) || defined(MIN)\n\
+					pos *= 2.0;\n\
+					vec2 extra = u_odd * step( u_source_size - 3.5, pos ); //the last block of odd sizes includes the extra texel\n\
+					vec4 color = readTexel( pos );\n\
+					for(int j = 0; j < 3; ++j)\n\
+						for(int i = 0; i < 3; ++i) {\n\
+							if( (i == 2 && extra.x == 0.0) || (j == 2 && extra.y == 0.0) )\n\
+								continue;\n\
+							#ifdef MAX\n\
+								color = max( color, readTexel( pos + vec2( float(i), float(j) ) ) );\n\
+							#else\n\
+								color = min( color, readTexel( pos + vec2( float(i), float(j) ) ) );\n\
+							#endif\n\
+						}\n\
+					gl_FragColor = color;\n\
+				#else\n\
+					pos *= 2.0;\n\
+					gl_FragColor = ( readTexel( pos ) + readTexel( pos + vec2(1.0,0.0) ) + readTexel( pos + vec2(0.0,1.0) ) + readTexel( pos + vec2(1.0) ) ) * 0.25;\n\
+				#endif\n\
+			}\n\
+			", macros );
+	return gl.shaders[ name ] = shader;
+}
+
+//GLSL functions for image based lighting: low discrepancy sequence and GGX importance sampling (no bit operations so they work in GLSL 1.0)
+Shader.IBL_FUNCTIONS = "\n\
+			#define PI 3.14159265359\n\
+			float radicalInverse( float n ) {\n\
+				float result = 0.0;\n\
+				float f = 0.5;\n\
+				for( int i = 0; i < 16; ++i ) {\n\
+					if( n <= 0.0 )\n\
+						break;\n\
+					result += mod( n, 2.0 ) * f;\n\
+					n = floor( n * 0.5 );\n\
+					f *= 0.5;\n\
+				}\n\
+				return result;\n\
+			}\n\
+			vec2 hammersley( float i, float num_samples ) {\n\
+				return vec2( i / num_samples, radicalInverse( i ) );\n\
+			}\n\
+			vec3 importanceSampleGGX( vec2 Xi, vec3 N, float roughness ) {\n\
+				float a = roughness * roughness;\n\
+				float phi = 2.0 * PI * Xi.x;\n\
+				float cos_theta = sqrt( (1.0 - Xi.y) / (1.0 + (a*a - 1.0) * Xi.y) );\n\
+				float sin_theta = sqrt( 1.0 - cos_theta * cos_theta );\n\
+				vec3 H = vec3( cos(phi) * sin_theta, sin(phi) * sin_theta, cos_theta );\n\
+				vec3 up = abs(N.z) < 0.999 ? vec3(0.0,0.0,1.0) : vec3(1.0,0.0,0.0);\n\
+				vec3 tangent = normalize( cross( up, N ) );\n\
+				vec3 bitangent = cross( N, tangent );\n\
+				return normalize( tangent * H.x + bitangent * H.y + N * H.z );\n\
+			}\n\
+			float distributionGGX( float NdotH, float roughness ) {\n\
+				float a2 = roughness * roughness * roughness * roughness;\n\
+				float d = NdotH * NdotH * (a2 - 1.0) + 1.0;\n\
+				return a2 / (PI * d * d);\n\
+			}\n\
+			";
+
+/**
+* Returns a shader to prefilter a cubemap with the GGX distribution for a roughness, renders one face using u_rotation (like getCubemapCopyShader)
+* the samples are read from the mipmaps of the source to reduce the noise (Karis 2014)
+* shader params: samplerCube u_texture, mat3 u_rotation, float u_roughness, float u_source_size, float u_lod_offset
+* @method Shader.getCubemapPrefilterShader
+* @param {Number} samples [optional] samples per pixel, default 128
+*/
+Shader.getCubemapPrefilterShader = function( samples, gl )
+{
+	gl = gl || global.gl;
+	samples = samples || 128;
+	var name = ":prefilter_cubemap_" + samples;
+	var shader = gl.shaders[ name ];
+	if(shader)
+		return shader;
+
+	var shader = new GL.Shader( Shader.SCREEN_VERTEX_SHADER,"\n\
+			precision highp float;\n\
+			varying vec2 v_coord;\n\
+			uniform samplerCube u_texture;\n\
+			uniform mat3 u_rotation;\n\
+			uniform float u_roughness;\n\
+			uniform float u_source_size;\n\
+			uniform float u_lod_offset;\n\
+			" + Shader.IBL_FUNCTIONS + "\n\
+			void main() {\n\
+				vec2 uv = vec2( v_coord.x, 1.0 - v_coord.y );\n\
+				vec3 N = normalize( u_rotation * vec3( uv - vec2(0.5), 0.5 ) );\n\
+				vec3 color = vec3(0.0);\n\
+				float total = 0.0;\n\
+				float texel_solid_angle = 4.0 * PI / (6.0 * u_source_size * u_source_size);\n\
+				for( int i = 0; i < NUM_SAMPLES; ++i ) {\n\
+					vec3 H = importanceSampleGGX( hammersley( float(i), float(NUM_SAMPLES) ), N, u_roughness );\n\
+					vec3 L = 2.0 * dot( N, H ) * H - N;\n\
+					float NdotL = dot( N, L );\n\
+					if( NdotL <= 0.0 )\n\
+						continue;\n\
+					float pdf = distributionGGX( max( dot( N, H ), 0.0 ), u_roughness ) * 0.25 + 0.0001;\n\
+					float sample_solid_angle = 1.0 / (float(NUM_SAMPLES) * pdf);\n\
+					float lod = u_roughness == 0.0 ? 0.0 : 0.5 * log2( sample_solid_angle / texel_solid_angle ) + 1.0;\n\
+					color += textureCube( u_texture, L, max( lod - u_lod_offset, 0.0 ) ).xyz * NdotL;\n\
+					total += NdotL;\n\
+				}\n\
+				gl_FragColor = vec4( color / max( total, 0.0001 ), 1.0 );\n\
+			}\n\
+			", { NUM_SAMPLES: samples } );
+	return gl.shaders[ name ] = shader;
+}
+
+/**
+* Returns a shader that computes the diffuse irradiance of a cubemap (cosine weighted convolution), renders one face using u_rotation
+* the result is already multiplied by PI, so the diffuse light is albedo * irradiance
+* shader params: samplerCube u_texture, mat3 u_rotation, float u_lod
+* @method Shader.getCubemapIrradianceShader
+*/
+Shader.getCubemapIrradianceShader = function(gl)
+{
+	gl = gl || global.gl;
+	var shader = gl.shaders[":irradiance_cubemap"];
+	if(shader)
+		return shader;
+
+	var shader = new GL.Shader( Shader.SCREEN_VERTEX_SHADER,"\n\
+			precision highp float;\n\
+			#define PI 3.14159265359\n\
+			varying vec2 v_coord;\n\
+			uniform samplerCube u_texture;\n\
+			uniform mat3 u_rotation;\n\
+			uniform float u_lod;\n\
+			void main() {\n\
+				vec2 uv = vec2( v_coord.x, 1.0 - v_coord.y );\n\
+				vec3 N = normalize( u_rotation * vec3( uv - vec2(0.5), 0.5 ) );\n\
+				vec3 up = abs(N.y) < 0.999 ? vec3(0.0,1.0,0.0) : vec3(0.0,0.0,1.0);\n\
+				vec3 right = normalize( cross( up, N ) );\n\
+				up = cross( N, right );\n\
+				vec3 irradiance = vec3(0.0);\n\
+				float num_samples = 0.0;\n\
+				for( int i = 0; i < 64; ++i ) {\n\
+					float phi = float(i) / 64.0 * 2.0 * PI;\n\
+					for( int j = 0; j < 16; ++j ) {\n\
+						float theta = (float(j) + 0.5) / 16.0 * 0.5 * PI;\n\
+						vec3 dir = sin(theta) * ( cos(phi) * right + sin(phi) * up ) + cos(theta) * N;\n\
+						irradiance += textureCube( u_texture, dir, u_lod ).xyz * cos(theta) * sin(theta);\n\
+						num_samples += 1.0;\n\
+					}\n\
+				}\n\
+				gl_FragColor = vec4( PI * irradiance / num_samples, 1.0 );\n\
+			}\n\
+			");
+	return gl.shaders[":irradiance_cubemap"] = shader;
+}
+
+/**
+* Returns a shader that computes the split sum BRDF integration (scale and bias of F0 in the red and green channels) for NdotV in x and roughness in y
+* @method Shader.getBRDFIntegrationShader
+*/
+Shader.getBRDFIntegrationShader = function(gl)
+{
+	gl = gl || global.gl;
+	var shader = gl.shaders[":brdf_integration"];
+	if(shader)
+		return shader;
+
+	var shader = new GL.Shader( Shader.SCREEN_VERTEX_SHADER,"\n\
+			precision highp float;\n\
+			varying vec2 v_coord;\n\
+			" + Shader.IBL_FUNCTIONS + "\n\
+			#define NUM_SAMPLES 512\n\
+			float geometrySchlickGGX( float NdotV, float roughness ) {\n\
+				float k = roughness * roughness * 0.5;\n\
+				return NdotV / (NdotV * (1.0 - k) + k);\n\
+			}\n\
+			void main() {\n\
+				float NdotV = max( v_coord.x, 0.001 );\n\
+				float roughness = v_coord.y;\n\
+				vec3 V = vec3( sqrt( 1.0 - NdotV * NdotV ), 0.0, NdotV );\n\
+				vec3 N = vec3(0.0,0.0,1.0);\n\
+				float A = 0.0;\n\
+				float B = 0.0;\n\
+				for( int i = 0; i < NUM_SAMPLES; ++i ) {\n\
+					vec3 H = importanceSampleGGX( hammersley( float(i), float(NUM_SAMPLES) ), N, roughness );\n\
+					vec3 L = 2.0 * dot( V, H ) * H - V;\n\
+					float NdotL = max( L.z, 0.0 );\n\
+					if( NdotL <= 0.0 )\n\
+						continue;\n\
+					float NdotH = max( H.z, 0.0 );\n\
+					float VdotH = max( dot( V, H ), 0.0 );\n\
+					float G = geometrySchlickGGX( NdotV, roughness ) * geometrySchlickGGX( NdotL, roughness );\n\
+					float G_vis = (G * VdotH) / (NdotH * NdotV);\n\
+					float Fc = pow( 1.0 - VdotH, 5.0 );\n\
+					A += (1.0 - Fc) * G_vis;\n\
+					B += Fc * G_vis;\n\
+				}\n\
+				gl_FragColor = vec4( A / float(NUM_SAMPLES), B / float(NUM_SAMPLES), 0.0, 1.0 );\n\
+			}\n\
+			");
+	return gl.shaders[":brdf_integration"] = shader;
+}
+
+//GLSL function to compute the irradiance from the 9 spherical harmonics coefficients returned by Texture.computeSphericalHarmonics (pass them as uniform vec3 u_sh[9])
+//same scale as the irradiance cubemap, the diffuse light is albedo * irradiance
+Shader.SH_IRRADIANCE_FUNCTION = "\n\
+			vec3 computeSHIrradiance( vec3 n, vec3 sh[9] ) {\n\
+				return 0.282095 * sh[0]\n\
+					+ 0.666667 * 0.488603 * ( sh[1] * n.y + sh[2] * n.z + sh[3] * n.x )\n\
+					+ 0.25 * ( 1.092548 * ( sh[4] * n.x * n.y + sh[5] * n.y * n.z + sh[7] * n.x * n.z )\n\
+						+ 0.315392 * sh[6] * (3.0 * n.z * n.z - 1.0) + 0.546274 * sh[8] * (n.x * n.x - n.y * n.y) );\n\
+			}\n\
+			";
+
 //shader to do FXAA (antialiasing)
 Shader.FXAA_FUNC = "\n\
 	uniform vec2 u_viewportSize;\n\
@@ -1523,3 +2216,293 @@ Shader.getFlatShader = function(gl)
 	shader.uniforms({u_color:[1,1,1,1]});
 	return gl.shaders[":flat"] = shader;
 }
+
+/**
+* Returns the shader used by GL.Picker, it renders the object id (plus one), the triangle id (from a_extra) and the depth
+* In integer mode they are stored in the channels of a RGBA32UI target, otherwise every pass (u_pass: 0 object, 1 triangle, 2 depth) stores one value packed in RGBA8
+* @method Shader.getPickingShader
+* @param {Boolean} integer if the target is RGBA32UI (WebGL2 only)
+*/
+Shader.getPickingShader = function( integer, gl )
+{
+	gl = gl || global.gl;
+	var name = integer ? ":picking_integer" : ":picking";
+	var shader = gl.shaders[ name ];
+	if(shader)
+		return shader;
+
+	if( integer )
+		shader = new GL.Shader( "#version 300 es\n\
+			precision highp float;\n\
+			in vec3 a_vertex;\n\
+			in float a_extra;\n\
+			uniform mat4 u_mvp;\n\
+			flat out uint v_triangle;\n\
+			void main() { \n\
+				v_triangle = uint( a_extra );\n\
+				gl_Position = u_mvp * vec4( a_vertex, 1.0 ); \n\
+			}\n\
+			","#version 300 es\n\
+			precision highp float;\n\
+			precision highp int;\n\
+			flat in uint v_triangle;\n\
+			uniform float u_object_id;\n\
+			out uvec4 color;\n\
+			void main() {\n\
+				color = uvec4( uint( u_object_id ) + 1u, v_triangle, floatBitsToUint( gl_FragCoord.z ), 0u );\n\
+			}\n\
+			");
+	else
+		shader = new GL.Shader( "\n\
+			precision highp float;\n\
+			attribute vec3 a_vertex;\n\
+			attribute float a_extra;\n\
+			uniform mat4 u_mvp;\n\
+			varying float v_triangle;\n\
+			void main() { \n\
+				v_triangle = a_extra;\n\
+				gl_Position = u_mvp * vec4( a_vertex, 1.0 ); \n\
+			}\n\
+			","\n\
+			precision highp float;\n\
+			varying float v_triangle;\n\
+			uniform float u_object_id;\n\
+			uniform float u_pass;\n\
+			//integers up to 2^24 are exact in floats\n\
+			vec4 packInteger( float v ) {\n\
+				return mod( floor( v / vec4( 1.0, 256.0, 65536.0, 16777216.0 ) ), 256.0 ) / 255.0;\n\
+			}\n\
+			void main() {\n\
+				if( u_pass == 0.0 )\n\
+					gl_FragColor = packInteger( u_object_id + 1.0 );\n\
+				else if( u_pass == 1.0 )\n\
+					gl_FragColor = packInteger( floor( v_triangle + 0.5 ) );\n\
+				else\n\
+					gl_FragColor = packInteger( floor( gl_FragCoord.z * 16777215.0 ) );\n\
+			}\n\
+			");
+	return gl.shaders[ name ] = shader;
+}
+
+/**
+* UniformBuffer stores the data of a uniform block in a buffer so it can be uploaded once and shared among all the shaders that use a block with the same name (WebGL2 only)
+* @class UniformBuffer
+* @constructor
+* @param {String} name name of the uniform block in the shaders
+* @param {Object|Array|Shader} layout the block info (shader.uniformBlocks[name]), a shader containing the block, or a list of [ uniform_name, type, size ] to compute the std140 layout
+* @param {WebGLRenderingContext} gl [optional] gl context
+*/
+global.UniformBuffer = GL.UniformBuffer = function UniformBuffer( name, layout, gl )
+{
+	gl = gl || global.gl;
+	if( gl.webgl_version < 2 )
+		throw("UniformBuffer requires WebGL2");
+
+	if( layout && layout.constructor === GL.Shader )
+	{
+		if(!layout.uniformBlocks[ name ])
+			throw("UniformBuffer: uniform block not found in shader: " + name );
+		layout = layout.uniformBlocks[ name ];
+	}
+	else if( layout && !layout.uniforms )
+		layout = UniformBuffer.computeLayout( layout );
+	if(!layout)
+		throw("UniformBuffer: layout missing");
+
+	this.gl = gl;
+	this.name = name;
+	this.uniforms = layout.uniforms;
+	this.size = layout.size;
+	this.binding = Shader.getUniformBlockBinding( name, gl );
+
+	this.data = new Float32Array( this.size / 4 );
+	this._int_data = new Int32Array( this.data.buffer );
+	this._uint_data = new Uint32Array( this.data.buffer );
+	this._dirty_start = this._dirty_end = 0;
+
+	this.buffer = null;
+	this.upload();
+	GL.registerResource( this, gl );
+}
+
+/**
+* Computes the offsets of every uniform following the std140 rules
+* @method UniformBuffer.computeLayout
+* @param {Array|Object} list array of [ uniform_name, type, size ] or object with uniform_name: type (in the same order than in the block)
+* @return {Object} { size: in bytes, uniforms: { name: { type, size, type_length, offset, array_stride, matrix_stride } } }
+*/
+UniformBuffer.computeLayout = function( list )
+{
+	if( list.constructor !== Array )
+	{
+		var array = [];
+		for(var i in list)
+			array.push([ i, list[i] ]);
+		list = array;
+	}
+
+	var uniforms = {};
+	var offset = 0;
+	for(var i = 0; i < list.length; ++i)
+	{
+		var name = list[i][0];
+		var type = list[i][1];
+		var size = list[i][2] || 1;
+		var type_length = GL.TYPE_LENGTH[ type ] || 1;
+		var columns = (type == GL.FLOAT_MAT2 || type == GL.FLOAT_MAT3 || type == GL.FLOAT_MAT4) ? Math.sqrt( type_length ) : 1;
+		var rows = type_length / columns;
+
+		//arrays and matrices have every element (or column) aligned to a vec4
+		var align = 16;
+		var element_size = columns * 16;
+		if( columns == 1 && size == 1 )
+		{
+			align = rows == 3 ? 16 : rows * 4;
+			element_size = rows * 4;
+		}
+
+		offset = Math.ceil( offset / align ) * align;
+		uniforms[ name ] = {
+			type: type,
+			size: size,
+			type_length: type_length,
+			offset: offset,
+			array_stride: size > 1 ? element_size : 0,
+			matrix_stride: columns > 1 ? 16 : 0
+		};
+		offset += element_size * size;
+	}
+
+	return { size: Math.ceil( offset / 16 ) * 16, uniforms: uniforms };
+}
+
+/**
+* Stores the value of one uniform in the data of the buffer, it will be sent to the GPU on the next upload or bind
+* @method setUniform
+* @param {String} name name of the uniform inside the block
+* @param {Number|Array|Float32Array} value
+* @return {Boolean} false if the uniform is not in the block
+*/
+UniformBuffer.prototype.setUniform = function( name, value )
+{
+	var info = this.uniforms[ name ];
+	if( !info || value == null )
+		return false;
+
+	var type = info.type;
+	var view = this.data;
+	if( type == GL.INT || type == GL.INT_VEC2 || type == GL.INT_VEC3 || type == GL.INT_VEC4 ||
+		type == GL.BOOL || type == GL.BOOL_VEC2 || type == GL.BOOL_VEC3 || type == GL.BOOL_VEC4 )
+		view = this._int_data;
+	else if( type == GL.UNSIGNED_INT || type == GL.UNSIGNED_INT_VEC2 || type == GL.UNSIGNED_INT_VEC3 || type == GL.UNSIGNED_INT_VEC4 )
+		view = this._uint_data;
+
+	var start = info.offset / 4;
+	var end = start + 1;
+	if( value.length === undefined )
+		view[ start ] = +value;
+	else
+	{
+		var type_length = info.type_length;
+		var array_stride = info.array_stride / 4;
+		var matrix_stride = info.matrix_stride / 4;
+		var columns = matrix_stride ? Math.sqrt( type_length ) : 1;
+		var rows = type_length / columns;
+		var num = Math.min( info.size, Math.floor( value.length / type_length ) );
+		for(var i = 0; i < num; ++i)
+		{
+			var pos = start + i * array_stride;
+			for(var c = 0; c < columns; ++c)
+				for(var r = 0; r < rows; ++r)
+					view[ pos + c * matrix_stride + r ] = value[ i * type_length + c * rows + r ];
+		}
+		end = start + Math.max(0, num - 1) * array_stride + (columns - 1) * matrix_stride + rows;
+	}
+
+	//keep track of the modified range
+	if( this._dirty_start == this._dirty_end )
+	{
+		this._dirty_start = start;
+		this._dirty_end = end;
+	}
+	else
+	{
+		this._dirty_start = Math.min( this._dirty_start, start );
+		this._dirty_end = Math.max( this._dirty_end, end );
+	}
+	return true;
+}
+
+/**
+* Stores several uniforms in the buffer
+* @method setUniforms
+* @param {Object} uniforms object with uniform_name: value
+* @return {UniformBuffer} this
+*/
+UniformBuffer.prototype.setUniforms = function( uniforms )
+{
+	for(var i in uniforms)
+		this.setUniform( i, uniforms[i] );
+	return this;
+}
+
+/**
+* Sends to the GPU the range of the data that was modified (or all the data if the buffer wasnt created)
+* @method upload
+*/
+UniformBuffer.prototype.upload = function()
+{
+	var gl = this.gl;
+	if(!this.buffer)
+	{
+		this.buffer = gl.createBuffer();
+		gl.bindBuffer( gl.UNIFORM_BUFFER, this.buffer );
+		gl.bufferData( gl.UNIFORM_BUFFER, this.data, gl.DYNAMIC_DRAW );
+	}
+	else if( this._dirty_start != this._dirty_end )
+	{
+		gl.bindBuffer( gl.UNIFORM_BUFFER, this.buffer );
+		gl.bufferSubData( gl.UNIFORM_BUFFER, this._dirty_start * 4, this.data, this._dirty_start, this._dirty_end - this._dirty_start );
+	}
+	else
+		return;
+	gl.bindBuffer( gl.UNIFORM_BUFFER, null );
+	this._dirty_start = this._dirty_end = 0;
+}
+
+/**
+* Uploads the pending changes and attaches the buffer to its binding point, so every shader with this block will read from it
+* @method bind
+* @param {Number} binding [optional] binding point, if omited it uses the one assigned to the block name
+* @return {UniformBuffer} this
+*/
+UniformBuffer.prototype.bind = function( binding )
+{
+	this.upload();
+	this.gl.bindBufferBase( this.gl.UNIFORM_BUFFER, binding == null ? this.binding : binding, this.buffer );
+	return this;
+}
+
+/**
+* Recreates the buffer after a context loss
+* @method restore
+* @return {Boolean} true
+*/
+UniformBuffer.prototype.restore = function()
+{
+	this.buffer = null;
+	this.upload();
+	return true;
+}
+
+/**
+* Frees the buffer from the GPU
+* @method delete
+*/
+UniformBuffer.prototype.delete = function()
+{
+	if(this.buffer)
+		this.gl.deleteBuffer( this.buffer );
+	this.buffer = null;
+	GL.unregisterResource( this );
+}
@@ -0,0 +1,605 @@
+/**
+* @namespace GL
+*/
+
+/**
+* Skeleton class, a hierarchy of bones with a local matrix (model) each one. Used to deform meshes that contain bones and bind_matrix
+* Bones must be added after their parent so parents are always processed before their children
+* @class Skeleton
+* @constructor
+*/
+global.Skeleton = GL.Skeleton = function Skeleton()
+{
+	this.bones = []; //array of Skeleton.Bone
+	this.bones_by_name = {}; //name to index
+	this.global_bone_matrices = []; //array of mat4, the model of every bone in skeleton space
+}
+
+/**
+* A bone of the skeleton, stores its local transform (position, rotation, scaling) and the resulting model matrix
+* @class Skeleton.Bone
+* @constructor
+*/
+Skeleton.Bone = function Bone( name )
+{
+	this.name = name || "";
+	this.parent = -1; //index of the parent bone
+	this.children = []; //indices of the children bones
+	this.position = vec3.create();
+	this.rotation = quat.create();
+	this.scaling = vec3.fromValues(1,1,1);
+	this.model = mat4.create(); //local matrix
+}
+
+/**
+* Sets the local matrix of the bone, decomposing it in position, rotation and scaling
+* @method setMatrix
+* @param {mat4} m
+*/
+Skeleton.Bone.prototype.setMatrix = (function(){
+	var unscaled = mat4.create();
+
+	return function( m )
+	{
+		mat4.copy( this.model, m );
+		mat4.getTranslation( this.position, m );
+		mat4.getScaling( this.scaling, m );
+
+		//getRotation expects a matrix without scale
+		mat4.copy( unscaled, m );
+		for(var i = 0; i < 3; ++i)
+		{
+			var s = this.scaling[i] ? 1 / this.scaling[i] : 0;
+			unscaled[ i*4 ] *= s;
+			unscaled[ i*4 + 1 ] *= s;
+			unscaled[ i*4 + 2 ] *= s;
+		}
+		mat4.getRotation( this.rotation, unscaled );
+		quat.normalize( this.rotation, this.rotation );
+	}
+})();
+
+/**
+* Recomputes the local matrix of the bone from the position, rotation and scaling
+* @method updateMatrix
+*/
+Skeleton.Bone.prototype.updateMatrix = function()
+{
+	mat4.fromRotationTranslationScale( this.model, this.rotation, this.position, this.scaling );
+}
+
+/**
+* Adds a new bone to the skeleton
+* @method addBone
+* @param {String} name name of the bone (must match the names stored in mesh.bones)
+* @param {mat4} model [optional] local matrix of the bone
+* @param {String|Number} parent [optional] name or index of the parent bone, it must be added already
+* @return {Skeleton.Bone} the new bone
+*/
+Skeleton.prototype.addBone = function( name, model, parent )
+{
+	if( this.bones_by_name[ name ] !== undefined )
+		throw("Skeleton already contains a bone named: " + name );
+
+	var bone = new Skeleton.Bone( name );
+	if( model )
+		bone.setMatrix( model );
+
+	if( parent != null )
+	{
+		var parent_index = parent.constructor === String ? this.bones_by_name[ parent ] : parent;
+		if( parent_index === undefined || !this.bones[ parent_index ] )
+			throw("Skeleton parent bone not found: " + parent );
+		bone.parent = parent_index;
+		this.bones[ parent_index ].children.push( this.bones.length );
+	}
+
+	this.bones_by_name[ name ] = this.bones.length;
+	this.bones.push( bone );
+	this.global_bone_matrices.push( mat4.create() );
+	return bone;
+}
+
+/**
+* Returns the bone with the given name
+* @method getBone
+* @param {String} name
+* @return {Skeleton.Bone}
+*/
+Skeleton.prototype.getBone = function( name )
+{
+	var index = this.bones_by_name[ name ];
+	if( index === undefined )
+		return null;
+	return this.bones[ index ];
+}
+
+/**
+* Returns the index of the bone with the given name, -1 if not found
+* @method getBoneIndex
+* @param {String} name
+* @return {Number}
+*/
+Skeleton.prototype.getBoneIndex = function( name )
+{
+	var index = this.bones_by_name[ name ];
+	return index === undefined ? -1 : index;
+}
+
+/**
+* Computes the global matrix (in skeleton space) of every bone using the hierarchy
+* @method updateGlobalMatrices
+*/
+Skeleton.prototype.updateGlobalMatrices = function()
+{
+	var bones = this.bones;
+	for(var i = 0; i < bones.length; ++i)
+	{
+		var bone = bones[i];
+		if( bone.parent == -1 )
+			mat4.copy( this.global_bone_matrices[i], bone.model );
+		else
+			mat4.multiply( this.global_bone_matrices[i], this.global_bone_matrices[ bone.parent ], bone.model );
+	}
+}
+
+/**
+* Returns the global matrix of a bone, call updateGlobalMatrices before
+* @method getBoneGlobalMatrix
+* @param {String} name
+* @return {mat4}
+*/
+Skeleton.prototype.getBoneGlobalMatrix = function( name )
+{
+	var index = this.bones_by_name[ name ];
+	if( index === undefined )
+		return null;
+	return this.global_bone_matrices[ index ];
+}
+
+/**
+* Computes the matrices to deform the mesh, one per bone in mesh.bones (global_bone * inverse_bind * mesh.bind_matrix), stored consecutively in a Float32Array
+* so it can be passed directly to the shader: shader.uniforms({ u_bones: skeleton.computeFinalBoneMatrices( mesh ) })
+* It calls updateGlobalMatrices
+* @method computeFinalBoneMatrices
+* @param {Mesh} mesh the mesh with the bones info
+* @param {Float32Array} result [optional] where to store the matrices
+* @return {Float32Array} all the matrices
+*/
+Skeleton.prototype.computeFinalBoneMatrices = function( mesh, result )
+{
+	var mesh_bones = mesh.bones;
+	if( !mesh_bones )
+		throw("Mesh doesnt have bones");
+
+	if( !result || result.length < mesh_bones.length * 16 )
+		result = new Float32Array( mesh_bones.length * 16 );
+
+	this.updateGlobalMatrices();
+
+	var temp = Skeleton._temp_mat4;
+	for(var i = 0; i < mesh_bones.length; ++i)
+	{
+		var m = result.subarray( i*16, i*16+16 );
+		var index = this.bones_by_name[ mesh_bones[i][0] ];
+		if( index === undefined )
+		{
+			mat4.identity( m );
+			continue;
+		}
+		mat4.multiply( temp, this.global_bone_matrices[ index ], mesh_bones[i][1] );
+		if( mesh.bind_matrix )
+			mat4.multiply( temp, temp, mesh.bind_matrix );
+		m.set( temp );
+	}
+
+	return result;
+}
+
+Skeleton._temp_mat4 = mat4.create();
+
+/**
+* Copies the bones from another skeleton
+* @method copyFrom
+* @param {Skeleton} skeleton
+*/
+Skeleton.prototype.copyFrom = function( skeleton )
+{
+	this.bones = [];
+	this.bones_by_name = {};
+	this.global_bone_matrices = [];
+	for(var i = 0; i < skeleton.bones.length; ++i)
+	{
+		var bone = skeleton.bones[i];
+		this.addBone( bone.name, bone.model, bone.parent == -1 ? null : bone.parent );
+	}
+}
+
+/**
+* Creates a skeleton in bind pose from the bones of a mesh, as meshes do not store the hierarchy all the bones are added as roots
+* @method Skeleton.fromMesh
+* @param {Mesh} mesh
+* @return {Skeleton}
+*/
+Skeleton.fromMesh = function( mesh )
+{
+	if( !mesh.bones )
+		throw("Mesh doesnt have bones");
+
+	var skeleton = new Skeleton();
+	var m = mat4.create();
+	for(var i = 0; i < mesh.bones.length; ++i)
+	{
+		var bone = mesh.bones[i];
+		mat4.invert( m, bone[1] );
+		skeleton.addBone( bone[0], m );
+	}
+	return skeleton;
+}
+
+Skeleton.prototype.toJSON = function()
+{
+	var bones = [];
+	for(var i = 0; i < this.bones.length; ++i)
+	{
+		var bone = this.bones[i];
+		bones.push({ name: bone.name, parent: bone.parent, model: typedArrayToArray( bone.model ) });
+	}
+	return { bones: bones };
+}
+
+Skeleton.prototype.fromJSON = function( o )
+{
+	this.bones = [];
+	this.bones_by_name = {};
+	this.global_bone_matrices = [];
+	for(var i = 0; i < o.bones.length; ++i)
+	{
+		var bone = o.bones[i];
+		this.addBone( bone.name, bone.model, bone.parent == -1 ? null : bone.parent );
+	}
+}
+
+/**
+* GLSL code to apply the skinning in the vertex shader, it expects a_bone_indices, a_weights and u_bones[MAX_BONES]
+* Define MAX_BONES in the macros (default 64) and call computeSkinning( vertex, normal ) before transforming the vertex
+* @property Skeleton.SKINNING_VERTEX_CODE
+*/
+Skeleton.SKINNING_VERTEX_CODE = "\n\
+			#ifndef MAX_BONES\n\
+				#define MAX_BONES 64\n\
+			#endif\n\
+			attribute vec4 a_bone_indices;\n\
+			attribute vec4 a_weights;\n\
+			uniform mat4 u_bones[ MAX_BONES ];\n\
+			void computeSkinning(inout vec3 vertex, inout vec3 normal)\n\
+			{\n\
+				vec4 v = vec4(vertex,1.0);\n\
+				vertex = (u_bones[int(a_bone_indices.x)] * a_weights.x * v + \n\
+						u_bones[int(a_bone_indices.y)] * a_weights.y * v + \n\
+						u_bones[int(a_bone_indices.z)] * a_weights.z * v + \n\
+						u_bones[int(a_bone_indices.w)] * a_weights.w * v).xyz;\n\
+				vec4 N = vec4(normal,0.0);\n\
+				normal = normalize((u_bones[int(a_bone_indices.x)] * a_weights.x * N + \n\
+						u_bones[int(a_bone_indices.y)] * a_weights.y * N + \n\
+						u_bones[int(a_bone_indices.z)] * a_weights.z * N + \n\
+						u_bones[int(a_bone_indices.w)] * a_weights.w * N).xyz);\n\
+			}\n\
+			";
+
+
+/**
+* Animation class, contains several tracks that modify the bones of a skeleton (or any other object) along time
+* @class Animation
+* @constructor
+* @param {String} name
+* @param {Number} duration [optional] in seconds, if not specified it is computed from the tracks
+*/
+//not stored in global to avoid overwriting the Web Animations API class
+var Animation = GL.Animation = function Animation( name, duration )
+{
+	this.name = name || "";
+	this.duration = duration || 0;
+	this.tracks = [];
+}
+
+//interpolation modes
+Animation.NONE = 0;
+Animation.LINEAR = 1;
+Animation.SLERP = 2; //spherical interpolation of quaternions
+
+/**
+* A track stores keyframes for one property of one target, the keyframes are packed in a Float32Array as [time, value..., time, value...]
+* @class Animation.Track
+* @constructor
+* @param {String} target name of the bone (or object) modified by this track
+* @param {String} property "position","rotation","scaling" or "matrix"
+* @param {Number} value_size [optional] number of floats per value, if not specified it is guessed from the property
+* @param {Number} interpolation [optional] Animation.NONE, Animation.LINEAR or Animation.SLERP (default SLERP for rotations, LINEAR for the rest)
+*/
+Animation.Track = function Track( target, property, value_size, interpolation )
+{
+	this.target = target;
+	this.property = property || "matrix";
+	this.value_size = value_size || Animation.Track.VALUE_SIZES[ this.property ] || 1;
+	if( interpolation == null )
+		interpolation = this.property == "rotation" ? Animation.SLERP : Animation.LINEAR;
+	this.interpolation = interpolation;
+	this.data = new Float32Array(0);
+	this.num_keyframes = 0;
+	this._result = new Float32Array( this.value_size );
+}
+
+Animation.Track.VALUE_SIZES = { position: 3, rotation: 4, scaling: 3, matrix: 16 };
+
+/**
+* Assigns all the keyframes of the track
+* @method setKeyframes
+* @param {Array|Float32Array} data packed as [time, value..., time, value...] sorted by time
+*/
+Animation.Track.prototype.setKeyframes = function( data )
+{
+	var stride = this.value_size + 1;
+	if( data.length % stride )
+		throw("Track data size doesnt match value_size");
+	this.data = data.constructor === Float32Array ? data : new Float32Array( data );
+	this.num_keyframes = this.data.length / stride;
+}
+
+/**
+* Adds a keyframe keeping them sorted by time
+* @method addKeyframe
+* @param {Number} time in seconds
+* @param {Array|Float32Array} value
+*/
+Animation.Track.prototype.addKeyframe = function( time, value )
+{
+	var stride = this.value_size + 1;
+	var index = this.findKeyframe( time ) + 1;
+	var data = new Float32Array( this.data.length + stride );
+	data.set( this.data.subarray( 0, index * stride ) );
+	data[ index * stride ] = time;
+	data.set( value, index * stride + 1 );
+	data.set( this.data.subarray( index * stride ), (index + 1) * stride );
+	this.data = data;
+	this.num_keyframes += 1;
+}
+
+/**
+* Returns the index of the last keyframe with a time lower or equal than the given one (-1 if none)
+* @method findKeyframe
+* @param {Number} time
+* @return {Number}
+*/
+Animation.Track.prototype.findKeyframe = function( time )
+{
+	var stride = this.value_size + 1;
+	var data = this.data;
+	var start = 0;
+	var end = this.num_keyframes - 1;
+	if( end < 0 || time < data[0] )
+		return -1;
+	//binary search
+	while( start < end )
+	{
+		var mid = (start + end + 1) >> 1;
+		if( data[ mid * stride ] <= time )
+			start = mid;
+		else
+			end = mid - 1;
+	}
+	return start;
+}
+
+/**
+* Returns the time of the last keyframe
+* @method getDuration
+* @return {Number}
+*/
+Animation.Track.prototype.getDuration = function()
+{
+	if( !this.num_keyframes )
+		return 0;
+	return this.data[ (this.num_keyframes - 1) * (this.value_size + 1) ];
+}
+
+/**
+* Returns the value of the track at a given time, interpolating the keyframes
+* @method getSample
+* @param {Number} time in seconds
+* @param {Float32Array} result [optional] where to store the value
+* @return {Float32Array} the value (if no result is passed it is reused in every call)
+*/
+Animation.Track.prototype.getSample = function( time, result )
+{
+	result = result || this._result;
+	var size = this.value_size;
+	var stride = size + 1;
+	var data = this.data;
+
+	if( !this.num_keyframes )
+		return null;
+
+	var index = this.findKeyframe( time );
+	if( index == -1 ) //before first
+		index = 0;
+	var a = data.subarray( index * stride + 1, index * stride + stride );
+	if( index == this.num_keyframes - 1 || this.interpolation == Animation.NONE || time <= data[ index * stride ] )
+	{
+		result.set( a );
+		return result;
+	}
+
+	var b = data.subarray( (index + 1) * stride + 1, (index + 1) * stride + stride );
+	var t0 = data[ index * stride ];
+	var t1 = data[ (index + 1) * stride ];
+	var f = t1 > t0 ? (time - t0) / (t1 - t0) : 0;
+
+	if( this.interpolation == Animation.SLERP && size == 4 )
+		quat.slerp( result, a, b, f );
+	else
+		for(var i = 0; i < size; ++i)
+			result[i] = a[i] * (1 - f) + b[i] * f;
+
+	return result;
+}
+
+Animation.Track.prototype.toJSON = function()
+{
+	return {
+		target: this.target,
+		property: this.property,
+		value_size: this.value_size,
+		interpolation: this.interpolation,
+		data: typedArrayToArray( this.data )
+	};
+}
+
+Animation.Track.prototype.fromJSON = function( o )
+{
+	this.target = o.target;
+	this.property = o.property;
+	this.value_size = o.value_size;
+	this.interpolation = o.interpolation;
+	this._result = new Float32Array( this.value_size );
+	this.setKeyframes( o.data );
+}
+
+/**
+* Adds a track to the animation, updating the duration if it is longer
+* @method addTrack
+* @param {Animation.Track} track
+* @return {Animation.Track}
+*/
+Animation.prototype.addTrack = function( track )
+{
+	this.tracks.push( track );
+	this.duration = Math.max( this.duration, track.getDuration() );
+	return track;
+}
+
+/**
+* Creates a track and adds it to the animation
+* @method createTrack
+* @param {String} target
+* @param {String} property "position","rotation","scaling" or "matrix"
+* @param {Array|Float32Array} keyframes [optional] packed as [time, value..., time, value...]
+* @return {Animation.Track}
+*/
+Animation.prototype.createTrack = function( target, property, keyframes )
+{
+	var track = new Animation.Track( target, property );
+	if( keyframes )
+		track.setKeyframes( keyframes );
+	return this.addTrack( track );
+}
+
+/**
+* Returns the first track affecting the given target and property
+* @method getTrack
+* @param {String} target
+* @param {String} property
+* @return {Animation.Track}
+*/
+Animation.prototype.getTrack = function( target, property )
+{
+	for(var i = 0; i < this.tracks.length; ++i)
+	{
+		var track = this.tracks[i];
+		if( track.target == target && (!property || track.property == property) )
+			return track;
+	}
+	return null;
+}
+
+/**
+* Samples all the tracks at the given time and applies the values to the bones of the skeleton
+* @method applyToSkeleton
+* @param {Skeleton} skeleton
+* @param {Number} time in seconds
+* @param {Boolean} loop [optional] wrap the time inside the duration of the animation
+* @param {Number} weight [optional] blend factor between the current pose and the animation (default 1)
+*/
+Animation.prototype.applyToSkeleton = function( skeleton, time, loop, weight )
+{
+	if( weight == null )
+		weight = 1;
+	if( loop && this.duration > 0 )
+	{
+		time = time % this.duration;
+		if( time < 0 )
+			time += this.duration;
+	}
+
+	var modified = Animation._modified_bones;
+	modified.length = 0;
+
+	for(var i = 0; i < this.tracks.length; ++i)
+	{
+		var track = this.tracks[i];
+		var bone = skeleton.getBone( track.target );
+		if( !bone )
+			continue;
+		var value = track.getSample( time );
+		if( !value )
+			continue;
+
+		switch( track.property )
+		{
+			case "position":
+				vec3.lerp( bone.position, bone.position, value, weight );
+				break;
+			case "scaling":
+				vec3.lerp( bone.scaling, bone.scaling, value, weight );
+				break;
+			case "rotation":
+				quat.slerp( bone.rotation, bone.rotation, value, weight );
+				break;
+			case "matrix":
+				if( weight == 1 )
+					bone.setMatrix( value );
+				else
+				{
+					var temp = Animation._temp_bone;
+					temp.setMatrix( value );
+					vec3.lerp( bone.position, bone.position, temp.position, weight );
+					vec3.lerp( bone.scaling, bone.scaling, temp.scaling, weight );
+					quat.slerp( bone.rotation, bone.rotation, temp.rotation, weight );
+					bone.updateMatrix();
+				}
+				continue;
+			default:
+				continue;
+		}
+
+		if( modified.indexOf( bone ) == -1 )
+			modified.push( bone );
+	}
+
+	for(var i = 0; i < modified.length; ++i)
+		modified[i].updateMatrix();
+}
+
+Animation._modified_bones = [];
+Animation._temp_bone = new Skeleton.Bone();
+
+Animation.prototype.toJSON = function()
+{
+	var tracks = [];
+	for(var i = 0; i < this.tracks.length; ++i)
+		tracks.push( this.tracks[i].toJSON() );
+	return { name: this.name, duration: this.duration, tracks: tracks };
+}
+
+Animation.prototype.fromJSON = function( o )
+{
+	this.name = o.name || "";
+	this.duration = o.duration || 0;
+	this.tracks = [];
+	for(var i = 0; i < o.tracks.length; ++i)
+	{
+		var track = new Animation.Track();
+		track.fromJSON( o.tracks[i] );
+		this.addTrack( track );
+	}
+}
@@ -6,7 +6,7 @@
 * Texture class to upload images to the GPU, default is gl.TEXTURE_2D, gl.RGBA of gl.UNSIGNED_BYTE with filters set to gl.LINEAR and wrap to gl.CLAMP_TO_EDGE <br/>
 	There is a list of options <br/>
 	========================== <br/>
-	- texture_type: gl.TEXTURE_2D, gl.TEXTURE_CUBE_MAP, default gl.TEXTURE_2D <br/>
+	- texture_type: gl.TEXTURE_2D, gl.TEXTURE_CUBE_MAP, gl.TEXTURE_3D or gl.TEXTURE_2D_ARRAY (webgl2, the number of slices or layers in options.depth), default gl.TEXTURE_2D <br/>
 	- format: gl.RGB, gl.RGBA, gl.DEPTH_COMPONENT, default gl.RGBA <br/>
 	- type: gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT, gl.HALF_FLOAT_OES, gl.FLOAT, default gl.UNSIGNED_BYTE <br/>
 	- filter: filtering for mag and min: gl.NEAREST or gl.LINEAR, default gl.NEAREST <br/>
@@ -17,6 +17,7 @@
 	- premultiply_alpha : multiply the color by the alpha value when uploading, default FALSE <br/>
 	- no_flip : do not flip in Y, default TRUE <br/>
 	- anisotropic : number of anisotropic fetches, default 0 <br/>
+	- srgb : the color is stored in sRGB (gamma) space, it is converted to linear when sampled and to sRGB when rendering to it (RGB or RGBA of UNSIGNED_BYTE, requires webgl2 or EXT_sRGB), default FALSE <br/>
 
 	check for more info about formats: https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/texImage2D
 
@@ -45,6 +46,10 @@ global.Texture = GL.Texture = function Texture( width, height, options, gl ) {
 	//create texture handler
 	this.handler = gl.createTexture();
 
+	//to restore it if the context is lost
+	if(!options.skip_registry)
+		GL.registerResource( this, gl );
+
 	//set settings
 	this.width = width;
 	this.height = height;
@@ -54,10 +59,13 @@ global.Texture = GL.Texture = function Texture( width, height, options, gl ) {
 	this.format = options.format || Texture.DEFAULT_FORMAT; //gl.RGBA (if gl.DEPTH_COMPONENT remember type: gl.UNSIGNED_SHORT)
 	this.internalFormat = options.internalFormat; //LUMINANCE, and weird formats with bits
 	this.type = options.type || Texture.DEFAULT_TYPE; //gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT, gl.FLOAT or gl.HALF_FLOAT_OES (or gl.HIGH_PRECISION_FORMAT which could be half or float)
+	this.srgb = !!options.srgb; //stored with gamma, sampled in linear space
 	this.magFilter = options.magFilter || options.filter || Texture.DEFAULT_MAG_FILTER;
 	this.minFilter = options.minFilter || options.filter || Texture.DEFAULT_MIN_FILTER;
 	this.wrapS = options.wrap || options.wrapS || Texture.DEFAULT_WRAP_S; 
 	this.wrapT = options.wrap || options.wrapT || Texture.DEFAULT_WRAP_T;
+	if( this.texture_type == GL.TEXTURE_3D )
+		this.wrapR = options.wrap || options.wrapR || Texture.DEFAULT_WRAP_T;
 	this.data = null; //where the data came from
 
 	//precompute the max amount of texture units
@@ -109,6 +117,8 @@ global.Texture = GL.Texture = function Texture( width, height, options, gl ) {
 	gl.texParameteri( this.texture_type, gl.TEXTURE_MIN_FILTER, this.minFilter );
 	gl.texParameteri( this.texture_type, gl.TEXTURE_WRAP_S, this.wrapS );
 	gl.texParameteri( this.texture_type, gl.TEXTURE_WRAP_T, this.wrapT );
+	if( this.wrapR )
+		gl.texParameteri( this.texture_type, gl.TEXTURE_WRAP_R, this.wrapR );
 
 	if(options.anisotropic && gl.extensions["EXT_texture_filter_anisotropic"])
 		gl.texParameterf( GL.TEXTURE_2D, gl.extensions["EXT_texture_filter_anisotropic"].TEXTURE_MAX_ANISOTROPY_EXT, options.anisotropic);
@@ -132,6 +142,9 @@ global.Texture = GL.Texture = function Texture( width, height, options, gl ) {
 			pixel_data = toTypedArray( pixel_data );
 		this.data = pixel_data;
 	}
+	else if(pixel_data)
+		this.data = pixel_data;
+	this._upload_options = { premultiply_alpha: !!options.premultiply_alpha, no_flip: !!options.no_flip };
 
 	function toTypedArray( data )
 	{
@@ -154,7 +167,7 @@ global.Texture = GL.Texture = function Texture( width, height, options, gl ) {
 		gl.texImage2D( GL.TEXTURE_2D, 0, this.internalFormat, width, height, 0, this.format, this.type, pixel_data || null );
 
 		//generate empty mipmaps (necessary?)
-		if ( GL.isPowerOfTwo(width) && GL.isPowerOfTwo(height) && options.minFilter && options.minFilter != gl.NEAREST && options.minFilter != gl.LINEAR)
+		if ( GL.isPowerOfTwo(width) && GL.isPowerOfTwo(height) && options.minFilter && this.minFilter != gl.NEAREST && this.minFilter != gl.LINEAR)
 		{
 			gl.generateMipmap( this.texture_type );
 			this.has_mipmaps = true;
@@ -176,15 +189,15 @@ global.Texture = GL.Texture = function Texture( width, height, options, gl ) {
 			gl.texImage2D( gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, this.internalFormat, this.width, this.height, 0, this.format, this.type, cubemap_data || null );
 		}
 	}
-	else if(this.texture_type == GL.TEXTURE_3D)
+	else if(this.texture_type == GL.TEXTURE_3D || this.texture_type == GL.TEXTURE_2D_ARRAY)
 	{
 		if(this.gl.webgl_version == 1)
-			throw("TEXTURE_3D not supported in WebGL 1. Enable WebGL 2 in the context by passing webgl2:true to the context");
+			throw("TEXTURE_3D and TEXTURE_2D_ARRAY not supported in WebGL 1. Enable WebGL 2 in the context by passing version:2 to the context");
 		if(!options.depth)
 			throw("3d texture depth must be set in the options.depth");
 		gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false ); //standard does not allow this flags for 3D textures
 		gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false );
-		gl.texImage3D( GL.TEXTURE_3D, 0, this.internalFormat, width, height, options.depth, 0, this.format, this.type, pixel_data || null );
+		gl.texImage3D( this.texture_type, 0, this.internalFormat, width, height, options.depth, 0, this.format, this.type, pixel_data || null );
 	}
 	gl.bindTexture(this.texture_type, null); //disable
 	gl.activeTexture(gl.TEXTURE0);
@@ -273,6 +286,32 @@ Texture.prototype.computeInternalFormat = function()
 			}
 		}
 	}
+
+	//sRGB textures are converted to linear when sampled and back to sRGB when rendering to them
+	if( this.format == GL.SRGB_ALPHA_EXT || this.format == GL.SRGB_EXT ) //already in webgl1 format
+		this.srgb = true;
+	else if( this.srgb )
+	{
+		if( this.type != GL.UNSIGNED_BYTE || (this.format != GL.RGBA && this.format != GL.RGB) )
+		{
+			console.warn("sRGB textures must be RGB or RGBA of UNSIGNED_BYTE, using linear");
+			this.srgb = false;
+		}
+		else if( gl.webgl_version == 2 )
+			this.internalFormat = this.format == GL.RGBA ? GL.SRGB8_ALPHA8 : GL.SRGB8;
+		else if( gl.extensions["EXT_sRGB"] )
+		{
+			//webgl1 uses the same format and internal format
+			this.format = this.internalFormat = this.format == GL.RGBA ? GL.SRGB_ALPHA_EXT : GL.SRGB_EXT;
+			if( this.minFilter != GL.NEAREST && this.minFilter != GL.LINEAR ) //EXT_sRGB does not allow generateMipmap
+				this.minFilter = GL.LINEAR;
+		}
+		else
+		{
+			console.warn("sRGB textures not supported (EXT_sRGB missing), using linear");
+			this.srgb = false;
+		}
+	}
 }
 
 /**
@@ -283,6 +322,60 @@ Texture.prototype.delete = function()
 {
 	gl.deleteTexture( this.handler );
 	this.handler = null;
+	GL.unregisterResource( this );
+}
+
+/**
+* Recreates the texture in the GPU after a context loss, if the texture has the data it came from (image or pixels) it is uploaded again
+* otherwise the texture will be empty
+* @method restore
+* @return {Boolean} true if the content was restored
+*/
+Texture.prototype.restore = function()
+{
+	var gl = this.gl;
+	if(!this.width || !this.height)
+	{
+		this.handler = gl.createTexture();
+		return true;
+	}
+
+	var data = this.data;
+
+	//compressed files are parsed again
+	if( data && data.constructor === ArrayBuffer && GL.KTX.getVersion( data ) )
+	{
+		this.handler = gl.createTexture();
+		return !!Texture.fromKTXInMemory( data, { texture: this, no_flip: this._upload_options && this._upload_options.no_flip, minFilter: this.minFilter }, gl );
+	}
+
+	var is_pixels = data && ( data.buffer || (data.constructor === Array && data[0] && data[0].buffer) );
+
+	//create the storage using the same properties
+	var options = this.getProperties();
+	options.internalFormat = this.internalFormat;
+	options.depth = this.depth;
+	options.ignore_pot = true;
+	options.skip_registry = true;
+	options.premultiply_alpha = this._upload_options && this._upload_options.premultiply_alpha;
+	options.no_flip = this._upload_options && this._upload_options.no_flip;
+	if(is_pixels)
+		options.pixel_data = data;
+	var temp = new GL.Texture( this.width, this.height, options, gl );
+	this.handler = temp.handler;
+	this.has_mipmaps = temp.has_mipmaps;
+
+	if(is_pixels)
+		return true;
+
+	//Image, Canvas or Video
+	if(data && this.texture_type == gl.TEXTURE_2D && data.width)
+	{
+		this.uploadImage( data, this._upload_options );
+		return true;
+	}
+
+	return false;
 }
 
 Texture.prototype.getProperties = function()
@@ -293,10 +386,12 @@ Texture.prototype.getProperties = function()
 		type: this.type,
 		format: this.format,
 		texture_type: this.texture_type,
+		depth: this.depth,
 		magFilter: this.magFilter,
 		minFilter: this.minFilter,
 		wrapS: this.wrapS,
-		wrapT: this.wrapT
+		wrapT: this.wrapT,
+		srgb: this.srgb
 	};
 }
 
@@ -308,7 +403,9 @@ Texture.prototype.hasSameProperties = function(t)
 		t.height == this.height &&
 		t.type == this.type &&
 		t.format == this.format &&
-		t.texture_type == this.texture_type;
+		t.texture_type == this.texture_type &&
+		t.depth == this.depth &&
+		!!t.srgb == !!this.srgb;
 }
 
 Texture.prototype.hasSameSize = function(t)
@@ -408,7 +505,7 @@ Texture.setUploadOptions = function(options, gl)
 * Given an Image/Canvas/Video it uploads it to the GPU
 * @method uploadImage
 * @param {Image} img
-* @param {Object} options [optional] upload options (premultiply_alpha, no_flip)
+* @param {Object} options [optional] upload options (premultiply_alpha, no_flip, layer: in TEXTURE_3D or TEXTURE_2D_ARRAY the slice to fill, the image must have the same size)
 */
 Texture.prototype.uploadImage = function( image, options )
 {
@@ -417,13 +514,31 @@ Texture.prototype.uploadImage = function( image, options )
 	if(!image)
 		throw("uploadImage parameter must be Image");
 
-	Texture.setUploadOptions(options, gl);
+	var is_layered = this.texture_type == GL.TEXTURE_3D || this.texture_type == GL.TEXTURE_2D_ARRAY;
+	if( is_layered )
+	{
+		//flags are not allowed in 3D textures
+		gl.pixelStorei( gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false );
+		gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, false );
+	}
+	else
+		Texture.setUploadOptions(options, gl);
 
 	try {
-		gl.texImage2D( gl.TEXTURE_2D, 0, this.format, this.format, this.type, image );
-		this.width = image.videoWidth || image.width;
-		this.height = image.videoHeight || image.height;
-		this.data = image;
+		if( is_layered )
+		{
+			gl.texSubImage3D( this.texture_type, 0, 0, 0, (options && options.layer) || 0, this.width, this.height, 1, this.format, this.type, image );
+			this.data = null;
+		}
+		else
+		{
+			gl.texImage2D( gl.TEXTURE_2D, 0, this.internalFormat || this.format, this.format, this.type, image );
+			this.width = image.videoWidth || image.width;
+			this.height = image.videoHeight || image.height;
+			this.data = image;
+		}
+		if(options)
+			this._upload_options = { premultiply_alpha: !!options.premultiply_alpha, no_flip: !!options.no_flip };
 	} catch (e) {
 		if (location.protocol == 'file:') {
 			throw 'image not loaded for security reasons (serve this page over "http://" instead)';
@@ -447,7 +562,7 @@ Texture.prototype.uploadImage = function( image, options )
 * Uploads data to the GPU (data must have the appropiate size)
 * @method uploadData
 * @param {ArrayBuffer} data
-* @param {Object} options [optional] upload options (premultiply_alpha, no_flip, cubemap_face, mipmap_level)
+* @param {Object} options [optional] upload options (premultiply_alpha, no_flip, cubemap_face, mipmap_level, layer: in TEXTURE_3D or TEXTURE_2D_ARRAY upload only this slice)
 */
 Texture.prototype.uploadData = function( data, options, skip_mipmaps )
 {
@@ -484,18 +599,23 @@ Texture.prototype.uploadData = function( data, options, skip_mipmaps )
 				gl.texImage2D(this.texture_type, mipmap_level, internal_format, width, height, 0, this.format, this.type, data);
 		}
 	}
-	else if( this.texture_type == GL.TEXTURE_3D )
+	else if( this.texture_type == GL.TEXTURE_3D || this.texture_type == GL.TEXTURE_2D_ARRAY )
 	{
 		gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false ); //standard does not allow this flags for 3D textures
 		gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false );
-		gl.texImage3D( this.texture_type, mipmap_level, internal_format, width, height, this.depth >> mipmap_level, 0, this.format, this.type, data);
+		//array layers do not shrink with the mipmaps
+		var depth = this.texture_type == GL.TEXTURE_3D ? Math.max( 1, this.depth >> mipmap_level ) : this.depth;
+		if( options.layer != null ) //only one slice
+			gl.texSubImage3D( this.texture_type, mipmap_level, 0, 0, options.layer, width, height, 1, this.format, this.type, data );
+		else
+			gl.texImage3D( this.texture_type, mipmap_level, internal_format, width, height, depth, 0, this.format, this.type, data);
 	}
 	else if( this.texture_type == GL.TEXTURE_CUBE_MAP )
 		gl.texImage2D( gl.TEXTURE_CUBE_MAP_POSITIVE_X + (options.cubemap_face || 0), mipmap_level, internal_format, width, height, 0, this.format, this.type, data);
 	else
 		throw("cannot uploadData for this texture type");
 
-	this.data = data; //should I clone it?
+	this.data = options.layer != null ? null : data; //should I clone it? (one slice is not enough to restore it)
 
 	if (!skip_mipmaps && this.minFilter && this.minFilter != gl.NEAREST && this.minFilter != gl.LINEAR) {
 		gl.generateMipmap(this.texture_type);
@@ -532,22 +652,34 @@ Texture.cubemap_camera_parameters = [
 /**
 * Render to texture using FBO, just pass the callback to a rendering function and the content of the texture will be updated
 * If the texture is a cubemap, the callback will be called six times, once per face, the number of the face is passed as a second parameter
+* If the texture is a TEXTURE_3D or TEXTURE_2D_ARRAY, the callback will be called once per layer, the layer is passed as a second parameter
 * for further info about how to set up the propper cubemap camera, check the GL.Texture.cubemap_camera_parameters with the direction and up vector for every face.
 *
 * Keep in mind that it tries to reuse the last renderbuffer for the depth, and if it cannot (different size) it creates a new one (throwing the old)
 * @method drawTo
 * @param {Function} callback function that does all the rendering inside this texture
+* @param {*} params [optional] passed to the callback
+* @param {Number} mipmap_level [optional] level to render to (WebGL1 requires OES_fbo_render_mipmap), the levels must be allocated
 */
-Texture.prototype.drawTo = function(callback, params)
+Texture.prototype.drawTo = function(callback, params, mipmap_level)
 {
 	var gl = this.gl;
+	mipmap_level = mipmap_level || 0;
+	var width = Math.max( 1, this.width >> mipmap_level );
+	var height = Math.max( 1, this.height >> mipmap_level );
 
 	//if(this.format == gl.DEPTH_COMPONENT)
 	//	throw("cannot use drawTo in depth textures, use Texture.drawToColorAndDepth");
+	if( this.internalFormat == GL.SRGB8 || this.format == GL.SRGB_EXT )
+		throw("Texture.drawTo: sRGB textures without alpha cannot be rendered, use gl.RGBA");
 
 	var v = gl.getViewport();
 	var now = GL.getTime();
 
+	var profiler = gl.profiler && gl.profiler.auto_scopes ? gl.profiler : null;
+	if( profiler )
+		profiler.begin( this.name || "drawTo " + width + "x" + height );
+
 	var old_fbo = gl.getParameter( gl.FRAMEBUFFER_BINDING );
 
 	var framebuffer = gl._framebuffer = gl._framebuffer || gl.createFramebuffer();
@@ -561,7 +693,7 @@ Texture.prototype.drawTo = function(callback, params)
 		if(!gl._renderbuffers_pool)
 			gl._renderbuffers_pool = {};
 		//generate unique key for this renderbuffer
-		var key = this.width + ":" + this.height;
+		var key = width + ":" + height;
 
 		//reuse or create new one
 		if( gl._renderbuffers_pool[ key ] ) //Reuse old
@@ -575,8 +707,8 @@ Texture.prototype.drawTo = function(callback, params)
 			//create temporary buffer
 			gl._renderbuffers_pool[ key ] = renderbuffer = gl.createRenderbuffer();
 			renderbuffer.time = now;
-			renderbuffer.width = this.width;
-			renderbuffer.height = this.height;
+			renderbuffer.width = width;
+			renderbuffer.height = height;
 			gl.bindRenderbuffer( gl.RENDERBUFFER, renderbuffer );
 
 			//destroy after one minute 
@@ -586,17 +718,17 @@ Texture.prototype.drawTo = function(callback, params)
 	else
 	{
 		renderbuffer = gl._renderbuffer = gl._renderbuffer || gl.createRenderbuffer();
-		renderbuffer.width = this.width;
-		renderbuffer.height = this.height;
+		renderbuffer.width = width;
+		renderbuffer.height = height;
 		gl.bindRenderbuffer( gl.RENDERBUFFER, renderbuffer );
 	}
 
 
 	//bind render buffer for depth or color
 	if( this.format === gl.DEPTH_COMPONENT )
-		gl.renderbufferStorage( gl.RENDERBUFFER, gl.RGBA4, this.width, this.height);
+		gl.renderbufferStorage( gl.RENDERBUFFER, gl.RGBA4, width, height);
 	else
-		gl.renderbufferStorage( gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, this.width, this.height);
+		gl.renderbufferStorage( gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
 
 
 	//clears memory from unused buffer
@@ -622,7 +754,7 @@ Texture.prototype.drawTo = function(callback, params)
 	}
 	*/
 
-	gl.viewport(0, 0, this.width, this.height);
+	gl.viewport(0, 0, width, height);
 
 	//if(gl._current_texture_drawto)
 	//	throw("Texture.drawTo: Cannot use drawTo from inside another drawTo");
@@ -631,52 +763,191 @@ Texture.prototype.drawTo = function(callback, params)
 	gl._current_fbo_color = framebuffer;
 	gl._current_fbo_depth = renderbuffer;
 
-	if(this.texture_type == gl.TEXTURE_2D)
+	//restore the state even if the callback throws
+	try
 	{
-		if( this.format !== gl.DEPTH_COMPONENT )
+		if(this.texture_type == gl.TEXTURE_2D)
 		{
-			gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.handler, 0 );
-			gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer );
+			if( this.format !== gl.DEPTH_COMPONENT )
+			{
+				gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.handler, mipmap_level );
+				gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer );
+			}
+			else
+			{
+				gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer );
+				gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D,  this.handler, mipmap_level);
+			}
+			callback(this, params);
 		}
-		else
+		else if(this.texture_type == gl.TEXTURE_CUBE_MAP)
 		{
-			gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer );
-			gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D,  this.handler, 0);
-		}
-		callback(this, params);
-	}
-	else if(this.texture_type == gl.TEXTURE_CUBE_MAP)
-	{
-		//bind the fixed ones out of the loop to save calls
-		if( this.format !== gl.DEPTH_COMPONENT )
-			gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer );
-		else
-			gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer );
+			//bind the fixed ones out of the loop to save calls
+			if( this.format !== gl.DEPTH_COMPONENT )
+				gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer );
+			else
+				gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer );
 
-		//for every face of the cubemap
-		for(var i = 0; i < 6; i++)
+			//for every face of the cubemap
+			for(var i = 0; i < 6; i++)
+			{
+				if( this.format !== gl.DEPTH_COMPONENT )
+					gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, this.handler, mipmap_level);
+				else
+					gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i,  this.handler, mipmap_level );
+				callback(this,i, params);
+			}
+		}
+		else if(this.texture_type == gl.TEXTURE_3D || this.texture_type == gl.TEXTURE_2D_ARRAY)
 		{
 			if( this.format !== gl.DEPTH_COMPONENT )
-				gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, this.handler, 0);
+				gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer );
 			else
-				gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_CUBE_MAP_POSITIVE_X + i,  this.handler, 0 );
-			callback(this,i, params);
+				gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer );
+
+			//for every layer (3D textures have less layers in every mipmap)
+			var layers = this.texture_type == gl.TEXTURE_3D ? Math.max( 1, this.depth >> mipmap_level ) : this.depth;
+			for(var i = 0; i < layers; i++)
+			{
+				gl.framebufferTextureLayer( gl.FRAMEBUFFER, this.format !== gl.DEPTH_COMPONENT ? gl.COLOR_ATTACHMENT0 : gl.DEPTH_ATTACHMENT, this.handler, mipmap_level, i );
+				callback(this,i, params);
+			}
 		}
 	}
+	finally
+	{
+		this.data = null;
 
-	this.data = null;
+		gl._current_texture_drawto = null;
+		gl._current_fbo_color = null;
+		gl._current_fbo_depth = null;
 
-	gl._current_texture_drawto = null;
-	gl._current_fbo_color = null;
-	gl._current_fbo_depth = null;
+		gl.bindFramebuffer( gl.FRAMEBUFFER, old_fbo );
+		gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+		gl.viewport(v[0], v[1], v[2], v[3]);
 
-	gl.bindFramebuffer( gl.FRAMEBUFFER, old_fbo );
-	gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-	gl.viewport(v[0], v[1], v[2], v[3]);
+		if( profiler )
+			profiler.end();
+	}
 
 	return this;
 }
 
+//filters for generateMipmaps
+Texture.MIPMAP_BOX = 1;
+Texture.MIPMAP_KAISER = 2;
+Texture.MIPMAP_MAX = 3;
+Texture.MIPMAP_MIN = 4;
+
+/**
+* Generates the mipmaps rendering every level from the previous one, unlike gl.generateMipmap it works with float and half float textures (even if they cannot be filtered) and the filter can be chosen
+* In WebGL1 it requires OES_fbo_render_mipmap and power of two sizes. If the minFilter does not use mipmaps it is changed to LINEAR_MIPMAP_LINEAR (or NEAREST_MIPMAP_NEAREST if it was NEAREST)
+* @method generateMipmaps
+* @param {Number|GL.Shader} filter [optional] Texture.MIPMAP_BOX (default), Texture.MIPMAP_KAISER (sharper), Texture.MIPMAP_MAX or Texture.MIPMAP_MIN (for depth pyramids), or a shader with the same uniforms than GL.Shader.getMipmapShader
+* @return {Number} the number of levels
+*/
+Texture.prototype.generateMipmaps = function( filter )
+{
+	var gl = this.gl;
+	var target = this.texture_type;
+	var is_cubemap = target == gl.TEXTURE_CUBE_MAP;
+	if( target != gl.TEXTURE_2D && !is_cubemap )
+		throw("generateMipmaps: only 2D textures and cubemaps supported");
+	if( this.format == gl.DEPTH_COMPONENT || this.format == gl.DEPTH_STENCIL )
+		throw("generateMipmaps: depth textures cannot be rendered, copy the depth to a float texture");
+	if( gl.webgl_version == 1 && ( !gl.extensions["OES_fbo_render_mipmap"] || !isPowerOfTwo( this.width ) || !isPowerOfTwo( this.height ) ) )
+		throw("generateMipmaps: WebGL1 requires OES_fbo_render_mipmap and power of two sizes");
+
+	var shader = filter && filter.constructor === GL.Shader ? filter : GL.Shader.getMipmapShader( filter || Texture.MIPMAP_BOX, is_cubemap, gl );
+	var num_levels = Math.floor( Math.log2( Math.max( this.width, this.height ) ) ) + 1;
+	var num_faces = is_cubemap ? 6 : 1;
+
+	//allocate the levels
+	this.bind(0);
+	if( !this.has_mipmaps )
+		for(var level = 1; level < num_levels; ++level)
+			for(var face = 0; face < num_faces; ++face)
+				gl.texImage2D( is_cubemap ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + face : target, level, this.internalFormat || this.format, Math.max( 1, this.width >> level ), Math.max( 1, this.height >> level ), 0, this.format, this.type, null );
+	this.has_mipmaps = true;
+
+	var mesh = GL.Mesh.getScreenQuad( gl );
+	var uniforms = { u_texture: 0, u_source_size: vec2.create(), u_odd: vec2.create(), u_rotation: mat3.create() };
+	var source = this;
+	var current_shader = shader;
+	function inner_draw( texture, face )
+	{
+		source.bind(0);
+		if( is_cubemap )
+			Texture.getCubemapFaceRotation( face, uniforms.u_rotation );
+		current_shader.uniforms( uniforms ).draw( mesh );
+	}
+	function inner_set_source( width, height )
+	{
+		uniforms.u_source_size[0] = width;
+		uniforms.u_source_size[1] = height;
+		uniforms.u_odd[0] = width % 2;
+		uniforms.u_odd[1] = height % 2;
+	}
+
+	gl.disable( gl.BLEND );
+	gl.disable( gl.DEPTH_TEST );
+
+	if( gl.webgl_version > 1 )
+	{
+		//read the previous level of the texture itself, the levels rendered are out of the range so there is no feedback
+		for(var level = 1; level < num_levels; ++level)
+		{
+			this.bind(0);
+			gl.texParameteri( target, gl.TEXTURE_BASE_LEVEL, level - 1 );
+			gl.texParameteri( target, gl.TEXTURE_MAX_LEVEL, level - 1 );
+			gl.texParameteri( target, gl.TEXTURE_MIN_FILTER, gl.NEAREST );
+			gl.texParameteri( target, gl.TEXTURE_MAG_FILTER, gl.NEAREST );
+			inner_set_source( Math.max( 1, this.width >> (level - 1) ), Math.max( 1, this.height >> (level - 1) ) );
+			this.drawTo( inner_draw, null, level );
+		}
+		this.bind(0);
+		gl.texParameteri( target, gl.TEXTURE_BASE_LEVEL, 0 );
+		gl.texParameteri( target, gl.TEXTURE_MAX_LEVEL, 1000 );
+	}
+	else
+	{
+		//webgl 1 cannot read from the texture while rendering to it, every level is rendered in a temporary texture and copied
+		this.bind(0);
+		gl.texParameteri( target, gl.TEXTURE_MIN_FILTER, gl.NEAREST ); //only level 0
+		gl.texParameteri( target, gl.TEXTURE_MAG_FILTER, gl.NEAREST );
+		var copy_shader = GL.Shader.getMipmapShader( 0, is_cubemap, gl );
+		for(var level = 1; level < num_levels; ++level)
+		{
+			var width = Math.max( 1, this.width >> level );
+			var height = Math.max( 1, this.height >> level );
+			var temp = new GL.Texture( width, height, { texture_type: target, format: this.format, type: this.type, filter: gl.NEAREST }, gl );
+			current_shader = shader;
+			inner_set_source( Math.max( 1, this.width >> (level - 1) ), Math.max( 1, this.height >> (level - 1) ) ); //the previous level
+			temp.drawTo( inner_draw );
+			if( source != this )
+				source.delete();
+			source = temp;
+			current_shader = copy_shader;
+			inner_set_source( width, height );
+			this.drawTo( inner_draw, null, level );
+		}
+		if( source != this )
+			source.delete();
+	}
+
+	//otherwise the levels are never sampled
+	if( this.minFilter == gl.NEAREST )
+		this.minFilter = gl.NEAREST_MIPMAP_NEAREST;
+	else if( this.minFilter == gl.LINEAR )
+		this.minFilter = gl.LINEAR_MIPMAP_LINEAR;
+
+	this.bind(0);
+	gl.texParameteri( target, gl.TEXTURE_MIN_FILTER, this.minFilter );
+	gl.texParameteri( target, gl.TEXTURE_MAG_FILTER, this.magFilter );
+	gl.bindTexture( target, null );
+	return num_levels;
+}
+
 /*
 Texture.drawTo = function( color_textures, callback, depth_texture )
 {
@@ -830,6 +1101,16 @@ Texture.prototype.copyTo = function( target_texture, shader, uniforms ) {
 	var previous_fbo = gl.getParameter( gl.FRAMEBUFFER_BINDING );
 	var viewport = gl.getViewport(); 
 
+	//layers are copied one by one
+	if(this.texture_type == gl.TEXTURE_3D || this.texture_type == gl.TEXTURE_2D_ARRAY)
+	{
+		if( target_texture.texture_type != gl.TEXTURE_3D && target_texture.texture_type != gl.TEXTURE_2D_ARRAY )
+			throw("copyTo: the target of a TEXTURE_3D or TEXTURE_2D_ARRAY must have layers too, use copyLayerTo");
+		for(var i = 0, l = Math.min( this.depth, target_texture.depth ); i < l; ++i)
+			this.copyLayerTo( i, target_texture, i, shader, uniforms );
+		return this;
+	}
+
 	if(!shader)
 		shader = this.texture_type == gl.TEXTURE_2D ? GL.Shader.getScreenShader() : GL.Shader.getCubemapCopyShader();
 
@@ -931,6 +1212,61 @@ Texture.prototype.copyTo = function( target_texture, shader, uniforms ) {
 	return this;
 }
 
+/**
+* Copy one layer of a TEXTURE_3D or TEXTURE_2D_ARRAY to a 2D texture or to a layer of another texture, the format is converted if needed
+* @method copyLayerTo
+* @param {number} layer the layer to copy
+* @param {GL.Texture} target_texture
+* @param {number} target_layer [optional] the layer of the target if it has layers (default 0)
+* @param {GL.Shader} [shader=null] optional shader to apply while copying (layer in u_layer, normalized in TEXTURE_3D)
+* @param {Object} [uniforms=null] optional uniforms for the shader
+*/
+Texture.prototype.copyLayerTo = function( layer, target_texture, target_layer, shader, uniforms )
+{
+	var gl = this.gl;
+	if( this.texture_type != gl.TEXTURE_3D && this.texture_type != gl.TEXTURE_2D_ARRAY )
+		throw("copyLayerTo only works with TEXTURE_3D or TEXTURE_2D_ARRAY");
+	if(!target_texture)
+		throw("target_texture required");
+
+	//save state
+	var previous_fbo = gl.getParameter( gl.FRAMEBUFFER_BINDING );
+	var viewport = gl.getViewport(); 
+
+	shader = shader || GL.Shader.getLayerCopyShader( this.texture_type );
+	gl.disable( gl.BLEND );
+	gl.disable( gl.DEPTH_TEST );
+	if(uniforms)
+		shader.uniforms( uniforms );
+
+	//reuse fbo
+	var fbo = gl.__copy_fbo;
+	if(!fbo)
+		fbo = gl.__copy_fbo = gl.createFramebuffer();
+	gl.bindFramebuffer( gl.FRAMEBUFFER, fbo );
+	if( target_texture.texture_type == gl.TEXTURE_3D || target_texture.texture_type == gl.TEXTURE_2D_ARRAY )
+		gl.framebufferTextureLayer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, target_texture.handler, 0, target_layer || 0 );
+	else
+		gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target_texture.handler, 0 );
+
+	gl.viewport( 0, 0, target_texture.width, target_texture.height );
+	this.toViewport( shader, { u_layer: this.texture_type == gl.TEXTURE_3D ? (layer + 0.5) / this.depth : layer } );
+
+	//restore previous state
+	gl.setViewport( viewport );
+	gl.bindFramebuffer( gl.FRAMEBUFFER, previous_fbo );
+
+	if (target_texture.minFilter && target_texture.minFilter != gl.NEAREST && target_texture.minFilter != gl.LINEAR) {
+		target_texture.bind();
+		gl.generateMipmap( target_texture.texture_type );
+		target_texture.has_mipmaps = true;
+	}
+
+	target_texture.data = null;
+	gl.bindTexture( target_texture.texture_type, null ); //disable
+	return this;
+}
+
 
 /**
 * Similar to CopyTo, but more specific, only for color texture_2D. It doesnt change the blend flag
@@ -981,13 +1317,14 @@ Texture.prototype.blit = (function(){
 
 /**
 * Render texture in a quad to full viewport size
+* sRGB textures are sampled in linear space, so by default they are converted back to sRGB (check Shader.getSRGBScreenShader)
 * @method toViewport
 * @param {Shader} shader to apply, otherwise a default textured shader is applied [optional]
 * @param {Object} uniforms for the shader if needed [optional]
 */
 Texture.prototype.toViewport = function(shader, uniforms)
 {
-	shader = shader || Shader.getScreenShader();
+	shader = shader || (this.srgb ? Shader.getSRGBScreenShader( this.gl ) : Shader.getScreenShader( this.gl ));
 	var mesh = Mesh.getScreenQuad();
 	this.bind(0);
 	//shader.uniforms({u_texture: 0}); //never changes
@@ -1182,6 +1519,251 @@ Texture.prototype.applyBlur = function( offsetx, offsety, intensity, output_text
 }
 
 
+/**
+* Returns the rotation that transforms the screen quad into the directions of one face of a cubemap (the u_rotation of the cubemap shaders)
+* @method Texture.getCubemapFaceRotation
+* @param {Number} face index of the face (0 is POSITIVE_X)
+* @param {mat3} out [optional] where to store the result
+* @return {mat3} the rotation
+*/
+Texture.getCubemapFaceRotation = function( face, out )
+{
+	out = out || mat3.create();
+	var face_info = Texture.cubemap_camera_parameters[ face ];
+	out.set( face_info.right, 0 );
+	out.set( face_info.up, 3 );
+	out.set( face_info.dir, 6 );
+	return out;
+}
+
+//the IBL shaders read from the mipmaps of the source to reduce the noise (they are generated if missing), call it with false to restore the filter
+Texture.prototype._enableMipmapSampling = function( enable )
+{
+	var gl = this.gl;
+	this.bind(0);
+	if( !enable )
+	{
+		gl.texParameteri( this.texture_type, gl.TEXTURE_MIN_FILTER, this.minFilter );
+		return false;
+	}
+	if( this.type == GL.FLOAT && !gl.extensions["OES_texture_float_linear"] ) //float textures cannot be filtered
+		return false;
+	if( !this.has_mipmaps )
+	{
+		if( gl.webgl_version == 1 && ( !isPowerOfTwo( this.width ) || this.format == GL.SRGB_ALPHA_EXT || this.format == GL.SRGB_EXT ) )
+			return false;
+		gl.generateMipmap( this.texture_type );
+		this.has_mipmaps = true;
+	}
+	gl.texParameteri( this.texture_type, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR );
+	return true;
+}
+
+/**
+* Computes the GGX prefiltered radiance of a cubemap for image based lighting (the specular part), every mipmap level stores the reflections for one roughness: level / (num_levels - 1)
+* In the shader read it using the roughness to choose the level: textureLod( u_specular, R, roughness * max_level ) (textureCubeLodEXT in WebGL1)
+* @method prefilterGGX
+* @param {Object} options [optional] { size: of the faces (default the same), samples: per pixel (default 128), type: of the output, output: cubemap where to store it }
+* @return {GL.Texture} the cubemap with the prefiltered mipmaps
+*/
+Texture.prototype.prefilterGGX = function( options )
+{
+	options = options || {};
+	var gl = this.gl;
+	if( this.texture_type != gl.TEXTURE_CUBE_MAP )
+		throw("prefilterGGX: only cubemaps can be prefiltered");
+	if( options.output == this )
+		throw("prefilterGGX: the output cannot be the source");
+
+	var size = options.size || this.width;
+	var output = options.output || new GL.Texture( size, size, { texture_type: gl.TEXTURE_CUBE_MAP, format: gl.RGBA, type: options.type || this.type, srgb: this.srgb && gl.webgl_version > 1, minFilter: gl.LINEAR_MIPMAP_LINEAR }, gl );
+	size = output.width;
+
+	var num_levels = Math.floor( Math.log2( size ) ) + 1;
+
+	//allocate the mipmaps, the content of every level is replaced (generateMipmap is not used because it fails with float formats that cannot be filtered)
+	output.bind(0);
+	for(var level = 1; level < num_levels; ++level)
+	{
+		var level_size = Math.max( 1, size >> level );
+		for(var face = 0; face < 6; ++face)
+			gl.texImage2D( gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, level, output.internalFormat, level_size, level_size, 0, output.format, output.type, null );
+	}
+	output.has_mipmaps = true;
+
+	var source = this;
+	var source_mipmaps = this._enableMipmapSampling( true );
+	var shader = GL.Shader.getCubemapPrefilterShader( options.samples, gl );
+	var mesh = GL.Mesh.getScreenQuad( gl );
+	var uniforms = { u_texture: 0, u_rotation: mat3.create(), u_roughness: 0, u_source_size: this.width, u_lod_offset: 0 };
+
+	gl.disable( gl.BLEND );
+	gl.disable( gl.DEPTH_TEST );
+
+	for(var level = 0; level < num_levels; ++level)
+	{
+		var level_size = Math.max( 1, size >> level );
+		//rendered in a cubemap of the size of the level and copied to the mipmap (same format so it can be copied)
+		var temp = new GL.Texture( level_size, level_size, { texture_type: gl.TEXTURE_CUBE_MAP, format: output.format, type: output.type, srgb: output.srgb }, gl );
+		uniforms.u_roughness = num_levels > 1 ? level / (num_levels - 1) : 0;
+		uniforms.u_lod_offset = source_mipmaps ? Math.log2( this.width / level_size ) : 0;
+		temp.drawTo( function( texture, face ) {
+			source.bind(0);
+			Texture.getCubemapFaceRotation( face, uniforms.u_rotation );
+			shader.uniforms( uniforms ).draw( mesh );
+			output.bind(1);
+			gl.copyTexSubImage2D( gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, level, 0, 0, 0, 0, level_size, level_size );
+		});
+		temp.delete();
+	}
+
+	output.unbind(1);
+	this._enableMipmapSampling( false );
+	return output;
+}
+
+/**
+* Computes the diffuse irradiance of a cubemap for image based lighting (cosine weighted convolution of the hemisphere), the diffuse light is albedo * irradiance( N )
+* @method computeIrradiance
+* @param {Object} options [optional] { size: of the faces (default 32), type: of the output, output: cubemap where to store it }
+* @return {GL.Texture} the irradiance cubemap
+*/
+Texture.prototype.computeIrradiance = function( options )
+{
+	options = options || {};
+	var gl = this.gl;
+	if( this.texture_type != gl.TEXTURE_CUBE_MAP )
+		throw("computeIrradiance: only cubemaps supported");
+	if( options.output == this )
+		throw("computeIrradiance: the output cannot be the source");
+
+	var size = options.size || 32;
+	var output = options.output || new GL.Texture( size, size, { texture_type: gl.TEXTURE_CUBE_MAP, format: gl.RGBA, type: options.type || this.type, srgb: this.srgb }, gl );
+
+	var source = this;
+	var source_mipmaps = this._enableMipmapSampling( true );
+	var shader = GL.Shader.getCubemapIrradianceShader( gl );
+	var mesh = GL.Mesh.getScreenQuad( gl );
+	var rotation = mat3.create();
+	//the samples are spread, reading from a smaller mipmap avoids the aliasing
+	var lod = source_mipmaps ? Math.max( 0, Math.log2( output.width / 16 ) ) : 0;
+
+	gl.disable( gl.BLEND );
+	gl.disable( gl.DEPTH_TEST );
+	output.drawTo( function( texture, face ) {
+		source.bind(0);
+		shader.uniforms({ u_texture: 0, u_rotation: Texture.getCubemapFaceRotation( face, rotation ), u_lod: lod }).draw( mesh );
+	});
+
+	this._enableMipmapSampling( false );
+	return output;
+}
+
+/**
+* Computes the spherical harmonics (9 coefficients per channel) that approximate the irradiance of a cubemap, a cheaper alternative to the irradiance cubemap. Use them in the shader with GL.Shader.SH_IRRADIANCE_FUNCTION
+* The cubemap is downsampled and read back to the CPU, so avoid calling it every frame
+* @method computeSphericalHarmonics
+* @param {Number} size [optional] size of the faces used to compute them (default 16)
+* @return {Float32Array} 27 values, the RGB of every coefficient
+*/
+Texture.prototype.computeSphericalHarmonics = function( size )
+{
+	var gl = this.gl;
+	if( this.texture_type != gl.TEXTURE_CUBE_MAP )
+		throw("computeSphericalHarmonics: only cubemaps supported");
+	size = size || 16;
+
+	//downsample it to a small cubemap (using the mipmaps of the source), float if it can be rendered
+	var float_renderable = gl.webgl_version == 1 ? !!gl.extensions["OES_texture_float"] : !!gl.extensions["EXT_color_buffer_float"];
+	var type = ( this.type != gl.UNSIGNED_BYTE && float_renderable ) ? gl.FLOAT : gl.UNSIGNED_BYTE;
+	var temp = new GL.Texture( size, size, { texture_type: gl.TEXTURE_CUBE_MAP, format: gl.RGBA, type: type }, gl );
+	this._enableMipmapSampling( true );
+	this.copyTo( temp );
+	this._enableMipmapSampling( false );
+
+	var sh = new Float32Array(27);
+	var basis = new Float32Array(9);
+	var rotation = mat3.create();
+	var local = vec3.create();
+	var dir = vec3.create();
+	var scale = type == gl.FLOAT ? 1 : 1 / 255;
+	var total_weight = 0;
+
+	for(var face = 0; face < 6; ++face)
+	{
+		var pixels = temp.getPixels( face );
+		Texture.getCubemapFaceRotation( face, rotation );
+		for(var y = 0; y < size; ++y)
+			for(var x = 0; x < size; ++x)
+			{
+				//same mapping than the shaders, rows go from v_coord.y = 0 to 1
+				local[0] = (x + 0.5) / size - 0.5;
+				local[1] = 0.5 - (y + 0.5) / size;
+				local[2] = 0.5;
+				var len2 = vec3.squaredLength( local );
+				var weight = 1 / (len2 * Math.sqrt( len2 )); //solid angle of the texel
+				vec3.transformMat3( dir, local, rotation );
+				vec3.normalize( dir, dir );
+				var dx = dir[0], dy = dir[1], dz = dir[2];
+				basis[0] = 0.282095;
+				basis[1] = 0.488603 * dy;
+				basis[2] = 0.488603 * dz;
+				basis[3] = 0.488603 * dx;
+				basis[4] = 1.092548 * dx * dy;
+				basis[5] = 1.092548 * dy * dz;
+				basis[6] = 0.315392 * (3 * dz * dz - 1);
+				basis[7] = 1.092548 * dx * dz;
+				basis[8] = 0.546274 * (dx * dx - dy * dy);
+				var index = (y * size + x) * 4;
+				var r = pixels[index] * scale * weight;
+				var g = pixels[index+1] * scale * weight;
+				var b = pixels[index+2] * scale * weight;
+				for(var i = 0; i < 9; ++i)
+				{
+					sh[i*3] += r * basis[i];
+					sh[i*3+1] += g * basis[i];
+					sh[i*3+2] += b * basis[i];
+				}
+				total_weight += weight;
+			}
+	}
+	temp.delete();
+
+	var norm = 4 * Math.PI / total_weight;
+	for(var i = 0; i < sh.length; ++i)
+		sh[i] *= norm;
+	return sh;
+}
+
+/**
+* Returns the BRDF integration map for the split sum approximation of image based lighting (NdotV in x, roughness in y), the specular is prefiltered * (F0 * brdf.r + brdf.g)
+* It is computed the first time and stored in gl.textures
+* @method Texture.getBRDFIntegrationMap
+* @param {WebGLRenderingContext} gl [optional]
+* @param {Number} size [optional] default 256
+* @return {GL.Texture} the texture
+*/
+Texture.getBRDFIntegrationMap = function( gl, size )
+{
+	gl = gl || global.gl;
+	var texture = gl.textures[":brdf_integration"];
+	if( texture )
+		return texture;
+
+	size = size || 256;
+	var type = ( gl.webgl_version > 1 && gl.extensions["EXT_color_buffer_float"] ) ? gl.HALF_FLOAT : gl.UNSIGNED_BYTE;
+	texture = new GL.Texture( size, size, { format: gl.RGBA, type: type, wrap: gl.CLAMP_TO_EDGE, filter: gl.LINEAR }, gl );
+	var shader = GL.Shader.getBRDFIntegrationShader( gl );
+	var mesh = GL.Mesh.getScreenQuad( gl );
+	gl.disable( gl.BLEND );
+	gl.disable( gl.DEPTH_TEST );
+	texture.drawTo( function() {
+		shader.draw( mesh );
+	});
+	return gl.textures[":brdf_integration"] = texture;
+}
+
+
 /**
 * Loads and uploads a texture from a url
 * @method Texture.fromURL
@@ -1236,6 +1818,34 @@ Texture.fromURL = function( url, options, on_complete, gl ) {
 				on_complete(texture, url);
 		});
 	}
+	else if( ext == "ktx" || ext == "ktx2" )
+	{
+		HttpRequest( url, null, function(data) {
+			options.texture = texture;
+			var result = GL.Texture.fromKTXInMemory( data, options, gl );
+			if(result)
+				delete texture["ready"]; //texture.ready = true;
+			if(on_complete)
+				on_complete( result, url );
+		}, function(err) {
+			if(on_complete)
+				on_complete(null);
+		},{ binary: true });
+	}
+	else if( ext == "hdr" || ext == "exr" )
+	{
+		HttpRequest( url, null, function(data) {
+			options.texture = texture;
+			var result = GL.Texture.fromHDRInMemory( data, options, gl );
+			if(result)
+				delete texture["ready"]; //texture.ready = true;
+			if(on_complete)
+				on_complete( result, url );
+		}, function(err) {
+			if(on_complete)
+				on_complete(null);
+		},{ binary: true });
+	}
 	else if( ext == "tga" )
 	{
 		HttpRequest( url, null, function(data) {
@@ -1311,6 +1921,115 @@ Texture.parseTGA = function(data)
 	return img;
 }
 
+/**
+* Encodes pixels as an uncompressed TGA file (32 bits with alpha, 24 bits for RGB pixels), it is the "tga" encoder of GL.Texture.encoders
+* @method Texture.encodeTGA
+* @param {Uint8Array|Uint16Array|Float32Array} pixels RGB or RGBA pixels (like the ones returned by Texture.getPixels), floats and half floats are clamped to 0..1
+* @param {Number} width
+* @param {Number} height
+* @param {Object} options [optional] { flip_y: the bottom row is stored first (getPixels returns the bottom row first, so the image looks right) }
+* @return {Uint8Array} the file
+*/
+Texture.encodeTGA = function( pixels, width, height, options )
+{
+	options = options || {};
+	var channels = Math.round( pixels.length / (width * height) );
+	if( channels != 3 && channels != 4 )
+		throw("encodeTGA: only RGB and RGBA pixels supported, found " + channels + " channels");
+	var half = pixels.constructor === Uint16Array;
+	var scale = pixels.constructor === Uint8Array ? 1 : 255;
+	var bytes_per_pixel = channels;
+
+	var data = new Uint8Array( 18 + width * height * bytes_per_pixel );
+	data.set( [0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0] ); //uncompressed true color
+	data[12] = width & 255;
+	data[13] = width >> 8;
+	data[14] = height & 255;
+	data[15] = height >> 8;
+	data[16] = bytes_per_pixel * 8;
+	data[17] = (bytes_per_pixel == 4 ? 8 : 0) | (options.flip_y ? 0 : 1<<5); //alpha bits and origin (bottom or top)
+
+	//TGA is stored in BGR
+	var pos = 18;
+	for(var i = 0, l = width * height * channels; i < l; i += channels)
+		for(var j = 0; j < bytes_per_pixel; ++j)
+		{
+			var v = pixels[ i + (j < 3 ? 2 - j : 3) ];
+			if( half )
+				v = GL.HDR.halfToFloat( v );
+			data[pos++] = Math.max( 0, Math.min( 255, Math.round( v * scale ) ) );
+		}
+	return data;
+}
+
+//raw textures: "TEXR", version, width, height, channels, type, format, flags (1: rows from top to bottom), followed by the pixels
+Texture.RAW_MAGIC = 0x52584554;
+
+/**
+* Encodes pixels in a raw container with a header (width, height, channels, type and format), the values are stored without conversion so float textures are exported without losing precision. It is the "raw" encoder of GL.Texture.encoders
+* @method Texture.encodeRaw
+* @param {Uint8Array|Uint16Array|Float32Array} pixels the pixels (like the ones returned by Texture.getPixels)
+* @param {Number} width
+* @param {Number} height
+* @param {Object} options [optional] { flip_y: store the rows from top to bottom, type: gl type of the pixels (otherwise guessed from the array), format: gl format (RGBA by default) }
+* @return {Uint8Array} the file
+*/
+Texture.encodeRaw = function( pixels, width, height, options )
+{
+	options = options || {};
+	var channels = Math.round( pixels.length / (width * height) );
+	var type = options.type || ( pixels.constructor === Float32Array ? GL.FLOAT : ( pixels.constructor === Uint16Array ? GL.HALF_FLOAT : GL.UNSIGNED_BYTE ) );
+	var format = options.format || ( channels == 4 ? GL.RGBA : ( channels == 3 ? GL.RGB : ( channels == 2 ? GL.RG : GL.RED ) ) );
+
+	var header = new Uint32Array([ Texture.RAW_MAGIC, 1, width, height, channels, type, format, options.flip_y ? 1 : 0 ]);
+	var data = new Uint8Array( header.byteLength + pixels.byteLength );
+	data.set( new Uint8Array( header.buffer ) );
+	var bytes = new Uint8Array( pixels.buffer, pixels.byteOffset, pixels.byteLength );
+	if( !options.flip_y )
+		data.set( bytes, header.byteLength );
+	else
+	{
+		var row_size = pixels.byteLength / height;
+		for(var y = 0; y < height; ++y)
+			data.set( bytes.subarray( (height - 1 - y) * row_size, (height - y) * row_size ), header.byteLength + y * row_size );
+	}
+	return data;
+}
+
+/**
+* Parses a file created with Texture.encodeRaw
+* @method Texture.parseRaw
+* @param {ArrayBuffer} data
+* @return {Object} { width, height, channels, type, format, bottom_up, pixels (typed array of the type) }, upload bottom_up images with no_flip
+*/
+Texture.parseRaw = function( data )
+{
+	if(data.constructor !== ArrayBuffer) //typed array
+		data = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+	var header = new Uint32Array( data, 0, 8 );
+	if( header[0] != Texture.RAW_MAGIC )
+		throw("RAW: not a raw texture file");
+	var info = { width: header[2], height: header[3], channels: header[4], type: header[5], format: header[6], bottom_up: !(header[7] & 1) };
+	var num = info.width * info.height * info.channels;
+	if( info.type == GL.FLOAT )
+		info.pixels = new Float32Array( data, 32, num );
+	else if( info.type == GL.HALF_FLOAT || info.type == GL.HALF_FLOAT_OES )
+		info.pixels = new Uint16Array( data, 32, num );
+	else
+		info.pixels = new Uint8Array( data, 32, num );
+	return info;
+}
+
+/**
+* Encoders used by Texture.toBinary by format: function( pixels, width, height, options ) returning an Uint8Array with the file.
+* The pixels are the ones returned by Texture.getPixels, so float textures can be exported without clamping to 8 bits ("hdr" or "raw")
+* @property Texture.encoders
+*/
+Texture.encoders = {
+	tga: Texture.encodeTGA,
+	raw: Texture.encodeRaw
+}; //hdr is registered in GL.HDR
+
 /**
 * Create a texture from an Image
 * @method Texture.fromImage
@@ -1354,6 +2073,60 @@ Texture.fromImage = function( image, options ) {
 	return texture;
 };
 
+/**
+* Creates a TEXTURE_2D_ARRAY (or TEXTURE_3D) from a sprite sheet, every tile is stored in a layer (from left to right and top to bottom)
+* @method Texture.fromImageAtlas
+* @param {Image|Canvas} image the sprite sheet (must be loaded)
+* @param {Object} options texture options plus the size of the tiles: { tile_width, tile_height } or { columns, rows }, and count (if the last row is not complete)
+* @param {WebGLRenderingContext} gl [optional] gl context
+* @return {Texture} the texture
+*/
+Texture.fromImageAtlas = function( image, options, gl )
+{
+	options = options || {};
+	gl = gl || global.gl;
+
+	var columns = options.columns || (options.tile_width ? Math.floor( image.width / options.tile_width ) : 1);
+	var rows = options.rows || (options.tile_height ? Math.floor( image.height / options.tile_height ) : 1);
+	var tile_width = options.tile_width || Math.floor( image.width / columns );
+	var tile_height = options.tile_height || Math.floor( image.height / rows );
+	var num = options.count || columns * rows;
+
+	var texture_options = {};
+	for(var i in options)
+		texture_options[i] = options[i];
+	texture_options.texture_type = options.texture_type || GL.TEXTURE_2D_ARRAY;
+	texture_options.depth = num;
+	var texture = new GL.Texture( tile_width, tile_height, texture_options, gl );
+
+	//every tile is drawn to a canvas as flip flags are not allowed in textures with layers
+	var canvas = createCanvas( tile_width, tile_height );
+	var ctx = canvas.getContext("2d");
+	texture.bind();
+	gl.pixelStorei( gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false );
+	gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, false );
+	for(var i = 0; i < num; ++i)
+	{
+		ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+		ctx.clearRect( 0, 0, tile_width, tile_height );
+		if( !options.no_flip )
+		{
+			ctx.translate( 0, tile_height );
+			ctx.scale( 1, -1 );
+		}
+		ctx.drawImage( image, (i % columns) * tile_width, Math.floor( i / columns ) * tile_height, tile_width, tile_height, 0, 0, tile_width, tile_height );
+		gl.texSubImage3D( texture.texture_type, 0, 0, 0, i, tile_width, tile_height, 1, texture.format, texture.type, canvas );
+	}
+
+	if( texture.minFilter && texture.minFilter != gl.NEAREST && texture.minFilter != gl.LINEAR )
+	{
+		gl.generateMipmap( texture.texture_type );
+		texture.has_mipmaps = true;
+	}
+	gl.bindTexture( texture.texture_type, null ); //disable
+	return texture;
+}
+
 /**
 * Create a texture from a Video
 * @method Texture.fromVideo
@@ -1427,7 +2200,7 @@ Texture.fromMemory = function( width, height, pixels, options) //format in optio
 			pixels = new Uint8Array( pixels );
 	}
 
-	gl.texImage2D( gl.TEXTURE_2D, 0, texture.format, width, height, 0, texture.format, texture.type, pixels );
+	gl.texImage2D( gl.TEXTURE_2D, 0, texture.internalFormat || texture.format, width, height, 0, texture.format, texture.type, pixels );
 	texture.width = width;
 	texture.height = height;
 	texture.data = pixels;
@@ -1461,6 +2234,181 @@ Texture.fromDDSInMemory = function(data, options) //format in options as format
 	return texture;
 };
 
+/**
+* Create a texture from a KTX or KTX2 file (without supercompression). Compressed formats are uploaded directly when the GPU supports them,
+* otherwise BC1-5, ETC1, ETC2 and EAC are decoded to RGBA (BC6H, BC7 and ASTC need the extension).
+* Compressed blocks cannot be flipped, so only uncompressed images stored top-down are flipped (unless options.no_flip), export them bottom-up to get the same orientation in every GPU
+* @method Texture.fromKTXInMemory
+* @param {ArrayBuffer} data the KTX file
+* @param {Object} options same as the constructor, if options.texture is passed it will be reused
+* @param {WebGLRenderingContext} gl [optional] gl context
+* @return {Texture} the texture, or null if the format cannot be used
+*/
+Texture.fromKTXInMemory = function( data, options, gl )
+{
+	gl = gl || global.gl;
+	options = options || {};
+	if(data.constructor !== ArrayBuffer)
+		data = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+
+	var info = GL.KTX.parse( data );
+	var compressed = info.compressed;
+	var internalFormat = info.internalFormat;
+	var use_compressed = compressed && GL.KTX.isFormatSupported( internalFormat, gl );
+	if( compressed && !use_compressed && internalFormat == 0x8D64 && gl.extensions["WEBGL_compressed_texture_etc"] ) //ETC1 is a subset of ETC2
+	{
+		internalFormat = 0x9274; //RGB8_ETC2
+		use_compressed = true;
+	}
+	if( compressed && !use_compressed && !compressed.decoder )
+	{
+		console.error("KTX: format " + compressed.name + " not supported by the GPU and it cannot be decoded");
+		return null;
+	}
+	var is_layered = info.texture_type == GL.TEXTURE_3D || info.texture_type == GL.TEXTURE_2D_ARRAY;
+	if( is_layered && gl.webgl_version == 1 )
+		throw("KTX: 3D textures and texture arrays require WebGL 2");
+
+	var format = info.format;
+	var type = info.type;
+	if( compressed && !use_compressed ) //decoded
+	{
+		internalFormat = format = GL.RGBA;
+		type = GL.UNSIGNED_BYTE;
+	}
+	else if( !compressed && gl.webgl_version == 1 ) //no sized formats
+	{
+		internalFormat = format;
+		if( type == GL.HALF_FLOAT )
+			type = GL.HALF_FLOAT_OES;
+	}
+
+	var texture = options.texture;
+	if(!texture)
+		texture = new GL.Texture( 0, 0, options, gl );
+	else if( texture.texture_type != info.texture_type ) //a texture cannot change its target once bound
+	{
+		gl.deleteTexture( texture.handler );
+		texture.handler = gl.createTexture();
+	}
+	texture.texture_type = info.texture_type;
+	texture.width = info.width;
+	texture.height = info.height;
+	if( is_layered )
+		texture.depth = info.depth || info.layers;
+	texture.format = format || GL.RGBA;
+	texture.type = type || GL.UNSIGNED_BYTE;
+	texture.internalFormat = internalFormat;
+	texture.compressed = !!use_compressed;
+	texture.data = data; //to restore it
+	if( info.texture_type == GL.TEXTURE_3D )
+		texture.wrapR = texture.wrapR || texture.wrapT;
+
+	var flip = !compressed && !info.bottom_up && !options.no_flip && info.texture_type == GL.TEXTURE_2D;
+	gl.bindTexture( texture.texture_type, texture.handler );
+	gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, flip );
+	gl.pixelStorei( gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false );
+	gl.pixelStorei( gl.UNPACK_ALIGNMENT, info.version == 1 ? 4 : 1 ); //KTX rows are padded to 4 bytes, KTX2 rows are not
+
+	for(var i = 0; i < info.levels.length; ++i)
+	{
+		var level = info.levels[i];
+		var depth = info.texture_type == GL.TEXTURE_3D ? level.depth : info.layers;
+		for(var j = 0; j < level.faces.length; ++j)
+		{
+			var target = texture.texture_type == gl.TEXTURE_CUBE_MAP ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + j : texture.texture_type;
+			var pixels = level.faces[j];
+			if( use_compressed )
+			{
+				if( is_layered )
+					gl.compressedTexImage3D( target, i, internalFormat, level.width, level.height, depth, 0, pixels );
+				else
+					gl.compressedTexImage2D( target, i, internalFormat, level.width, level.height, 0, pixels );
+				continue;
+			}
+			if( compressed )
+				pixels = GL.KTX.decompress( pixels, level.width, level.height, info.internalFormat, is_layered ? depth : 1 );
+			else if( type == GL.FLOAT )
+				pixels = new Float32Array( pixels.buffer, pixels.byteOffset, pixels.byteLength / 4 );
+			else if( type == GL.HALF_FLOAT || type == GL.HALF_FLOAT_OES )
+				pixels = new Uint16Array( pixels.buffer, pixels.byteOffset, pixels.byteLength / 2 );
+			if( is_layered )
+				gl.texImage3D( target, i, internalFormat, level.width, level.height, depth, 0, format, type, pixels );
+			else
+				gl.texImage2D( target, i, internalFormat, level.width, level.height, 0, format, type, pixels );
+		}
+	}
+	gl.pixelStorei( gl.UNPACK_ALIGNMENT, 4 );
+
+	//mipmaps
+	var num_levels = info.levels.length;
+	var full_chain = Math.floor( Math.log2( Math.max( info.width, info.height, info.texture_type == GL.TEXTURE_3D ? info.depth : 1 ) ) ) + 1;
+	texture.has_mipmaps = num_levels > 1;
+	if( info.generate_mipmaps && !use_compressed && ( gl.webgl_version > 1 || (isPowerOfTwo( info.width ) && isPowerOfTwo( info.height )) ) )
+	{
+		gl.generateMipmap( texture.texture_type );
+		texture.has_mipmaps = true;
+	}
+	else if( texture.has_mipmaps && num_levels < full_chain ) //incomplete chain
+	{
+		if( gl.webgl_version > 1 )
+			gl.texParameteri( texture.texture_type, gl.TEXTURE_MAX_LEVEL, num_levels - 1 );
+		else
+			texture.has_mipmaps = false;
+	}
+	if( !options.minFilter || !texture.has_mipmaps )
+		texture.minFilter = texture.has_mipmaps ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR;
+
+	gl.texParameteri( texture.texture_type, gl.TEXTURE_MAG_FILTER, texture.magFilter );
+	gl.texParameteri( texture.texture_type, gl.TEXTURE_MIN_FILTER, texture.minFilter );
+	gl.texParameteri( texture.texture_type, gl.TEXTURE_WRAP_S, texture.wrapS );
+	gl.texParameteri( texture.texture_type, gl.TEXTURE_WRAP_T, texture.wrapT );
+	if( texture.texture_type == GL.TEXTURE_3D )
+		gl.texParameteri( texture.texture_type, gl.TEXTURE_WRAP_R, texture.wrapR );
+	gl.bindTexture( texture.texture_type, null ); //disable
+	return texture;
+}
+
+/**
+* Create a texture from a Radiance (.hdr) or OpenEXR (.exr) file, the pixels are stored as RGBA float or half float
+* @method Texture.fromHDRInMemory
+* @param {ArrayBuffer} data the file
+* @param {Object} options same as the constructor, type can be gl.FLOAT or gl.HALF_FLOAT (default gl.HIGH_PRECISION_FORMAT), if options.texture is passed it will be reused
+* @param {WebGLRenderingContext} gl [optional] gl context
+* @return {Texture} the texture, or null if float textures are not supported
+*/
+Texture.fromHDRInMemory = function( data, options, gl )
+{
+	gl = gl || global.gl;
+	options = options || {};
+
+	var type = options.type || gl.HIGH_PRECISION_FORMAT;
+	if( type == GL.HALF_FLOAT_OES && gl.webgl_version > 1 )
+		type = GL.HALF_FLOAT;
+	else if( type == GL.HALF_FLOAT && gl.webgl_version == 1 )
+		type = GL.HALF_FLOAT_OES;
+	if( type != GL.FLOAT && type != GL.HALF_FLOAT && type != GL.HALF_FLOAT_OES )
+	{
+		console.error("HDR: float textures not supported");
+		return null;
+	}
+
+	var img = GL.HDR.parse( data, type != GL.FLOAT );
+	var texture = options.texture;
+	if(texture) //the pixels are always RGBA of the type
+	{
+		texture.format = gl.RGBA;
+		texture.type = type;
+		texture.srgb = false;
+		texture.computeInternalFormat();
+	}
+	options = Object.create( options );
+	options.format = gl.RGBA;
+	options.type = type;
+	options.srgb = false;
+	return Texture.fromMemory( img.width, img.height, img.pixels, options );
+}
+
 /**
 * Create a generative texture from a shader ( must GL.Shader.getScreenShader as reference for the shader )
 * @method Texture.fromShader
@@ -1519,7 +2467,7 @@ Texture.cubemapFromImages = function(images, options) {
 	try {
 
 		for(var i = 0; i < 6; i++)
-			gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X+i, 0, texture.format, texture.format, texture.type, images[i]);
+			gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X+i, 0, texture.internalFormat || texture.format, texture.format, texture.type, images[i]);
 		texture.data = images;
 	} catch (e) {
 		if (location.protocol == 'file:') {
@@ -1698,11 +2646,12 @@ Texture.cubemapFromURL = function( url, options, on_complete ) {
 * returns an ArrayBuffer with the pixels in the texture, they are fliped in Y
 * Warn: If cubemap it only returns the pixels of the first face! use getCubemapPixels instead
 * @method getPixels
-* @param {number} cubemap_face [optional] the index of the cubemap face to read (ignore if texture_2D)
+* @param {number} cubemap_face [optional] the index of the cubemap face to read, or the layer in TEXTURE_3D and TEXTURE_2D_ARRAY (ignore if texture_2D)
 * @param {number} mipmap level [optional, default is 0]
-* @return {ArrayBuffer} the data ( Uint8Array, Uint16Array or Float32Array )
+* @param {Array} region [optional] [x,y,width,height] to read only that area
+* @return {ArrayBuffer} the data ( Uint8Array, Uint16Array, Float32Array, or Uint32Array/Int32Array for integer textures )
 */
-Texture.prototype.getPixels = function( cubemap_face, mipmap_level )
+Texture.prototype.getPixels = function( cubemap_face, mipmap_level, region )
 {
 	mipmap_level = mipmap_level || 0;
 	var gl = this.gl;
@@ -1725,25 +2674,43 @@ Texture.prototype.getPixels = function( cubemap_face, mipmap_level )
 	var width = this.width >> mipmap_level;
 	var height = this.height >> mipmap_level;
 	gl.viewport(0, 0, width, height);
+	var x = 0, y = 0;
+	if(region)
+	{
+		x = region[0];
+		y = region[1];
+		width = region[2];
+		height = region[3];
+	}
 
 	if(this.texture_type == gl.TEXTURE_2D)
 		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.handler, mipmap_level);
 	else if(this.texture_type == gl.TEXTURE_CUBE_MAP)
 		gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + (cubemap_face || 0), this.handler, mipmap_level);
+	else if(this.texture_type == gl.TEXTURE_3D || this.texture_type == gl.TEXTURE_2D_ARRAY)
+		gl.framebufferTextureLayer( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, this.handler, mipmap_level, cubemap_face || 0 );
 
 	var channels = this.format == gl.RGB ? 3 : 4;
 	channels = 4; //WEBGL DOES NOT SUPPORT READING 3 CHANNELS ONLY, YET...
 	var type = this.type;
 	//type = gl.UNSIGNED_BYTE; //WEBGL DOES NOT SUPPORT READING FLOAT seems, YET... 23/5/18 now it seems it does now
 
-	if(type == gl.UNSIGNED_BYTE)
+	var format = channels == 3 ? gl.RGB : gl.RGBA;
+
+	if(this.format == GL.RGBA_INTEGER) //integer textures are read as 32 bits
+	{
+		format = GL.RGBA_INTEGER;
+		type = (type == gl.BYTE || type == gl.SHORT || type == gl.INT) ? gl.INT : gl.UNSIGNED_INT;
+		buffer = type == gl.INT ? new Int32Array( width * height * channels ) : new Uint32Array( width * height * channels );
+	}
+	else if(type == gl.UNSIGNED_BYTE)
 		buffer = new Uint8Array( width * height * channels );
 	else if(type == GL.HALF_FLOAT || type == GL.HALF_FLOAT_OES) //previously half float couldnot be read
 		buffer = new Uint16Array( width * height * channels ); //gl.UNSIGNED_SHORT_4_4_4_4 is only for texture that are SHORT per pixel, not per channel!
 	else 
 		buffer = new Float32Array( width * height * channels );
 
-	gl.readPixels( 0,0, width, height, channels == 3 ? gl.RGB : gl.RGBA, type, buffer ); //NOT SUPPORTED FLOAT or RGB BY WEBGL YET
+	gl.readPixels( x,y, width, height, format, type, buffer ); //NOT SUPPORTED FLOAT or RGB BY WEBGL YET
 
 	//restore
 	gl.bindFramebuffer(gl.FRAMEBUFFER, old_fbo );
@@ -1757,12 +2724,17 @@ Texture.prototype.getPixels = function( cubemap_face, mipmap_level )
 * @param {ArrayBuffer} data gl.UNSIGNED_BYTE or gl.FLOAT data
 * @param {Boolean} no_flip do not flip in Y 
 * @param {Boolean} skip_mipmaps do not update mipmaps when possible
-* @param {Number} cubemap_face if the texture is a cubemap, which face
+* @param {Number} cubemap_face if the texture is a cubemap, which face (if it is a TEXTURE_3D or TEXTURE_2D_ARRAY, which layer, otherwise all the layers)
 */
 Texture.prototype.setPixels = function( data, no_flip, skip_mipmaps, cubemap_face )
 {
 	var options = { no_flip: no_flip };
-	if(cubemap_face)
+	if( this.texture_type == GL.TEXTURE_3D || this.texture_type == GL.TEXTURE_2D_ARRAY )
+	{
+		if( cubemap_face != null )
+			options.layer = cubemap_face;
+	}
+	else if(cubemap_face)
 		options.cubemap_face = cubemap_face;
 	this.uploadData( data, options, skip_mipmaps );
 }
@@ -1794,7 +2766,7 @@ Texture.prototype.setCubemapPixels = function( data_array, no_flip )
 }
 
 /**
-* Copy texture content to a canvas
+* Copy texture content to a canvas (cubemaps are shown as a cross, and the layers of TEXTURE_3D or TEXTURE_2D_ARRAY one below the other)
 * @method toCanvas
 * @param {Canvas} canvas must have the same size, if different the canvas will be resized
 * @param {boolean} flip_y optional, flip vertically
@@ -1808,18 +2780,22 @@ Texture.prototype.toCanvas = function( canvas, flip_y, max_size )
 	var w = Math.min( this.width, max_size );
 	var h = Math.min( this.height, max_size );
 
+	var layers = 1;
+
 	//cross
 	if(this.texture_type == gl.TEXTURE_CUBE_MAP)
 	{
 		w = w * 4;
 		h = h * 3;
 	}
+	else if(this.texture_type == gl.TEXTURE_3D || this.texture_type == gl.TEXTURE_2D_ARRAY)
+		layers = this.depth;
 
-	canvas = canvas || createCanvas( w, h );
+	canvas = canvas || createCanvas( w, h * layers );
 	if(canvas.width != w) 
 		canvas.width = w;
-	if(canvas.height != h)
-		canvas.height = h;
+	if(canvas.height != h * layers)
+		canvas.height = h * layers;
 
 	var buffer = null;
 	if(this.texture_type == gl.TEXTURE_2D )
@@ -1876,6 +2852,33 @@ Texture.prototype.toCanvas = function( canvas, flip_y, max_size )
 			ctx.drawImage( temp_canvas, info[i].x, info[i].y, temp_canvas.width, temp_canvas.height );
 		}
 	}
+	else if(this.texture_type == gl.TEXTURE_3D || this.texture_type == gl.TEXTURE_2D_ARRAY)
+	{
+		var ctx = canvas.getContext("2d");
+		var pixels = ctx.createImageData( w, h );
+		var row_size = w * 4;
+		var temp = null;
+		if(this.width != w || this.height != h || this.type != gl.UNSIGNED_BYTE) //convert every layer to a RGBA8 texture
+			temp = new GL.Texture( w, h, { format: gl.RGBA, filter: gl.NEAREST });
+		for(var i = 0; i < layers; i++)
+		{
+			if(temp)
+			{
+				this.copyLayerTo( i, temp );
+				buffer = temp.getPixels();
+			}
+			else
+				buffer = this.getPixels(i);
+			if(flip_y)
+				for(var y = 0; y < h; ++y)
+					pixels.data.set( buffer.subarray( y * row_size, (y+1) * row_size ), (h - y - 1) * row_size );
+			else
+				pixels.data.set( buffer );
+			ctx.putImageData( pixels, 0, i * h );
+		}
+		if(temp)
+			temp.delete();
+	}
 
 	return canvas;
 }
@@ -1885,11 +2888,20 @@ Texture.prototype.toCanvas = function( canvas, flip_y, max_size )
 * returns the texture file in binary format 
 * @method toBinary
 * @param {Boolean} flip_y
+* @param {String} type [optional] mime type for the canvas (png by default) or the name of one of the Texture.encoders ("tga", "hdr", "raw") that read the pixels without clamping
 * @return {ArrayBuffer} the arraybuffer of the file containing the image
 */
 Texture.binary_extension = "png";
 Texture.prototype.toBinary = function(flip_y, type)
 {
+	var encoder = type ? Texture.encoders[ type ] : null;
+	if( encoder )
+	{
+		if( this.texture_type != this.gl.TEXTURE_2D )
+			throw("encoders only support 2D textures, call the encoder with getPixels( face )");
+		return encoder( this.getPixels(), this.width, this.height, { flip_y: flip_y } );
+	}
+
 	//dump to canvas
 	var canvas = this.toCanvas(null,flip_y);
 	//use the slow method (because its sync)
@@ -1912,8 +2924,8 @@ Texture.prototype.toBinary = function(flip_y, type)
 */
 Texture.prototype.toBlob = function(flip_y, type)
 {
-	var arr = this.toBinary( flip_y );
-	var blob = new Blob( [arr], {type: type || 'image/png'} );
+	var arr = this.toBinary( flip_y, type );
+	var blob = new Blob( [arr], {type: Texture.encoders[ type ] ? 'application/octet-stream' : (type || 'image/png')} );
 	return blob;
 }
 
@@ -1921,10 +2933,10 @@ Texture.prototype.toBlob = function(flip_y, type)
 Texture.prototype.toBlobAsync = function(flip_y, type, callback)
 {
 	//dump to canvas
-	var canvas = this.toCanvas(null,flip_y);
+	var canvas = Texture.encoders[ type ] ? null : this.toCanvas(null,flip_y);
 
 	//some browser support a fast way to blob a canvas
-	if(canvas.toBlob)
+	if(canvas && canvas.toBlob)
 	{
 		canvas.toBlob( callback, type );
 		return;
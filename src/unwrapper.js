@@ -1,222 +1,371 @@
+/**
+* @namespace GL
+*/
+
+/**
+* Texture coordinates generator (for lightmaps, etc)
+* Triangles are grouped in six blocks according to their normal (+X,-X,+Y,-Y,+Z,-Z), inside every block the triangles connected by edges form a chart
+* that is projected planarly, then all the charts are packed in a square atlas.
+* Vertices shared between charts are duplicated, so all the vertex buffers and the triangles buffer of the mesh are replaced.
+* @class Unwrapper
+* @constructor
+* @param {Mesh} mesh indexed mesh
+* @param {Object} options [optional] { size: atlas resolution in pixels (default 1024), padding: pixels between charts (default 2, smaller than size), buffer_name: stream where to store the uvs (default "coords1") }
+*/
+global.Unwrapper = GL.Unwrapper = function Unwrapper( mesh, options )
+{
+	options = options || {};
+
+	this.size = options.size || 1024;
+	this.padding = options.padding != null ? options.padding : 2;
+	this.buffer_name = options.buffer_name || "coords1";
+	this.charts = [];
+	this.area_size = 0;
+
+	if(mesh)
+		this.unwrap( mesh );
+}
 
-(function(global){
+Unwrapper.MAX_PACK_ITERATIONS = 200; //the area grows 10% every iteration
 
-// Texture coordinates generator (for lightmaps, etc)
-// Work in progress, NOT FINISHED
-function Unwrapper( mesh, options )
+//axis projected by every block: 0:+X, 1:-X, 2:+Y, 3:-Y, 4:+Z, 5:-Z
+Unwrapper.BLOCK_AXIS = [ [2,1], [2,1], [0,2], [0,2], [0,1], [0,1] ];
+
+/**
+* Generates the charts, packs them and stores the texture coordinates in the mesh
+* @method unwrap
+* @param {Mesh} mesh indexed mesh
+* @return {boolean} true if it was unwrapped
+*/
+Unwrapper.prototype.unwrap = function( mesh )
 {
-	var verticesBuffer = mesh.vertexBuffers["vertices"];
-	var indicesBuffer = mesh.indexBuffers["triangles"];
+	var vertices_buffer = mesh.vertexBuffers["vertices"];
+	var indices_buffer = mesh.indexBuffers["triangles"];
 
-	if(!indices)
+	if(!vertices_buffer || !indices_buffer)
 	{
-		console.error("Only can generate UVs from indexed meshes");
+		console.error("Only can generate UVs from indexed meshes, call mesh.computeIndices() first");
 		return false;
 	}
 
-	var vertices = verticesBuffer.data;
-	var indices = IndicesBuffer.data;
+	var vertices = vertices_buffer.data;
+	var indices = indices_buffer.data;
 	var num_triangles = indices.length / 3;
 
 	//triplanar separation *********************
 	var blocks = [];
 	for(var i = 0; i < 6; ++i)
-		blocks[i] = new Unwrapper.Block();
+		blocks[i] = new Unwrapper.Block(i);
 
 	var AB = vec3.create();
-	var BC = vec3.create();
-	var CA = vec3.create();
+	var AC = vec3.create();
 	var N = vec3.create();
+	var triangle_block = new Uint8Array( num_triangles );
 
-	//blocks: 0:+X, 1:-X, 2:+Y, 3:-Y, 4:+Z, 5:-Z
-	var BVs = new Float32Array(6);
-	var chart_candidates = Array(3);
+	//union-find of triangles, two triangles in the same block sharing an edge are in the same chart
+	var parents = new Int32Array( num_triangles );
+	for(var i = 0; i < num_triangles; ++i)
+		parents[i] = i;
 
-	//for every triangle add it to a chart in a block
 	for(var i = 0; i < num_triangles; ++i)
 	{
 		var Ai = indices[i*3];
 		var Bi = indices[i*3+1];
 		var Ci = indices[i*3+2];
 
-		var A = vertices.subarray( Ai, Ai + 3 );
-		var B = vertices.subarray( Bi, Bi + 3 );
-		var C = vertices.subarray( Ci, Ci + 3 );
-
-		vec3.sub( AB, B, A );
-		vec3.sub( BC, B, C );
-		vec3.sub( CA, A, C );
-
-		//compute normal
-		vec3.cross( N, AB, CA ); //we should us AC but doesnt matter, we will fix it
-		var len = vec3.length( N );
-		vec3.scale( N, N, -len ); //reverse and normalize
+		var A = vertices.subarray( Ai*3, Ai*3 + 3 );
+		vec3.sub( AB, vertices.subarray( Bi*3, Bi*3 + 3 ), A );
+		vec3.sub( AC, vertices.subarray( Ci*3, Ci*3 + 3 ), A );
+		vec3.cross( N, AB, AC );
 
 		//compute which block belongs
-		var max = -2; var block_id = -1;
-		BVs[0] = N[0]; BVs[1] = N[1]; BVs[2] = N[2];
-		BVs[3] = -N[0]; BVs[4] = -N[1]; BVs[5] = -N[2];
+		var max = -Infinity;
+		var block_id = 0;
 		for(var j = 0; j < 6; ++j)
 		{
-			if(BVs[j] < max)
+			var v = (j % 2 ? -1 : 1) * N[ j >> 1 ];
+			if(v <= max)
 				continue;
 			block_id = j;
-			max = BVs[j];
+			max = v;
 		}
+		triangle_block[i] = block_id;
 
-		//get block
+		//search for adjacent triangles in the same block
 		var block = blocks[ block_id ];
+		joinEdge( block, Ai, Bi, i );
+		joinEdge( block, Bi, Ci, i );
+		joinEdge( block, Ci, Ai, i );
+	}
 
-		//search for chart
-		var ABname = Ai + "," + Bi;
-		var BCname = Bi + "," + Ci;
-		var CAname = Ci + "," + Ai;
-
-		chart = block.by_edge[ ABname ];
-		chart_candidates[0] = block.by_edge[ ABname ];
-		chart_candidates[1] = block.by_edge[ BCname ];
-		chart_candidates[2] = block.by_edge[ CAname ];
-
-		if( chart_candidates[0] && chart_candidates[1] && chart_candidates[0] != chart_candidates[1] )
+	//create charts
+	var charts_by_root = {};
+	for(var i = 0; i < num_triangles; ++i)
+	{
+		var root = findRoot(i);
+		var chart = charts_by_root[ root ];
+		if(!chart)
 		{
-			chart_candidates[0].mergeWith( chart_candidates[1] );
-			block.removeChart( chart_candidates[1] );
-			chart_candidates[1] = null;
+			chart = charts_by_root[ root ] = new Unwrapper.Chart();
+			blocks[ triangle_block[i] ].addChart( chart );
 		}
+		chart.triangles.push(i);
+	}
 
-		if( chart_candidates[0] && chart_candidates[2] && chart_candidates[0] != chart_candidates[2] )
-		{
-			chart_candidates[0].mergeWith( chart_candidates[2] );
-			block.removeChart( chart_candidates[2] );
-			chart_candidates[2] = null;
-		}
+	//put all charts together
+	var final_chart_list = [];
+	for(var i = 0; i < blocks.length; ++i)
+		final_chart_list = final_chart_list.concat( blocks[i].charts );
 
-		if( chart_candidates[1] && chart_candidates[2] && chart_candidates[1] != chart_candidates[2] )
-		{
-			chart_candidates[1].mergeWith( chart_candidates[2] );
-			block.removeChart( chart_candidates[2] );
-			chart_candidates[2] = null;
-		}
+	//compute bounding and area of every chart
+	for(var i = 0; i < final_chart_list.length; ++i)
+		final_chart_list[i].computeInfo( vertices, indices );
 
-		var final_chart = chart_candidates[0] || chart_candidates[1] || chart_candidates[2];
+	//arrange charts from big to small
+	final_chart_list.sort( function ( A, B ) { return B.height - A.height || B.width - A.width; } );
+
+	this.charts = final_chart_list;
+	this.pack();
+	this.applyToMesh( mesh );
+	return true;
 
-		if( !final_chart )
+	function findRoot( i )
+	{
+		while( parents[i] != i )
 		{
-			final_chart = new Unwrapper.Chart();
-			block.addChart( final_chart );
+			parents[i] = parents[ parents[i] ];
+			i = parents[i];
 		}
-
-		//add triangle to chart
-		final_chart.addTriangle( A,B,C );
+		return i;
 	}
 
-	//put all charts together
-	var final_chart_list = [];
-	for(var i = 0; i < blocks.length; ++i)
+	function joinEdge( block, a, b, triangle )
 	{
-		var block = blocks[i];
-		if(block)
-			final_chart_list = final_chart_list.concat( block.charts );
+		var name = a < b ? a + "," + b : b + "," + a;
+		var other = block.by_edge[ name ];
+		if( other === undefined )
+		{
+			block.by_edge[ name ] = triangle;
+			return;
+		}
+		var root_a = findRoot( other );
+		var root_b = findRoot( triangle );
+		if( root_a != root_b )
+			parents[ root_b ] = root_a;
 	}
+}
 
-	//compute bounding and area of every chart
+/**
+* Places every chart in a square region, increasing its size till all the charts fit
+* @method pack
+*/
+Unwrapper.prototype.pack = function()
+{
+	var charts = this.charts;
+	//the padding does not shrink when the area grows, every chart needs at least padding x padding pixels
+	if( this.padding < 0 || this.padding >= this.size || charts.length * this.padding * this.padding > this.size * this.size )
+		throw("Unwrapper: padding too big for the size of the atlas and the number of charts");
+
+	//compute best possible area size
 	var total_area = 0;
-	for(var i = 0; i < final_chart_list.length; ++i)
+	var area_size = 0;
+	for(var i = 0; i < charts.length; ++i)
 	{
-		var chart = final_chart_list[i];
-		chart.computeInfo();
-		total_area += chart.area;
+		var chart = charts[i];
+		total_area += chart.width * chart.height;
+		area_size = Math.max( area_size, chart.width, chart.height );
 	}
+	area_size = Math.max( area_size, Math.sqrt( total_area ) );
+	if(!area_size)
+		area_size = 1;
 
-	//arrange charts from big to small
-	final_chart_list.sort( function ( A, B ) { return A.area - B.area; } );
+	var fits = false;
+	var iterations = 0;
+	while( !fits )
+	{
+		if( iterations++ > Unwrapper.MAX_PACK_ITERATIONS )
+			throw("Unwrapper: charts do not fit in the atlas, reduce the padding or increase the size");
+		//padding is in pixels, convert it to world units
+		var padding = this.padding * area_size / this.size;
+		var regions = [ { x: 0, y: 0, width: area_size, height: area_size } ];
+		fits = true;
+
+		//for every Chart
+		for(var i = 0; i < charts.length; ++i)
+		{
+			var chart = charts[i];
+			var w = chart.width + padding;
+			var h = chart.height + padding;
+
+			//add it to the smallest region where it fits
+			var best = -1;
+			for(var j = 0; j < regions.length; ++j)
+			{
+				var region = regions[j];
+				if( region.width < w || region.height < h )
+					continue;
+				if( best == -1 || region.width * region.height < regions[best].width * regions[best].height )
+					best = j;
+			}
+
+			//no region found, increase size and restart
+			if( best == -1 )
+			{
+				fits = false;
+				area_size *= 1.1;
+				break;
+			}
 
-	//compute best possible area size
-	var area_size = Math.sqrt( total_area );
-	for(var i = 0; i < final_chart_list.length; ++i)
+			//subdivide
+			var region = regions[best];
+			chart.x = region.x + padding * 0.5;
+			chart.y = region.y + padding * 0.5;
+			regions.splice( best, 1 );
+			if( region.width - w > 0 )
+				regions.push({ x: region.x + w, y: region.y, width: region.width - w, height: h });
+			if( region.height - h > 0 )
+				regions.push({ x: region.x, y: region.y + h, width: region.width, height: region.height - h });
+		}
+	}
+
+	this.area_size = area_size;
+}
+
+/**
+* Stores the texture coordinates in the mesh, duplicating the vertices shared between charts
+* @method applyToMesh
+* @param {Mesh} mesh the same mesh used to generate the charts
+*/
+Unwrapper.prototype.applyToMesh = function( mesh )
+{
+	var vertices = mesh.vertexBuffers["vertices"].data;
+	var indices_buffer = mesh.indexBuffers["triangles"];
+	var indices = indices_buffer.data;
+	var num_vertices = vertices.length / 3;
+
+	//one vertex for every pair vertex-chart
+	var new_indices = new Uint32Array( indices.length );
+	var old_index = [];
+	var uvs = [];
+	var area_size = this.area_size;
+
+	for(var i = 0; i < this.charts.length; ++i)
+	{
+		var chart = this.charts[i];
+		var axis = Unwrapper.BLOCK_AXIS[ chart.block.id ];
+		var remap = {};
+		for(var j = 0; j < chart.triangles.length; ++j)
+		{
+			var t = chart.triangles[j];
+			for(var k = 0; k < 3; ++k)
+			{
+				var index = indices[t*3+k];
+				var new_index = remap[ index ];
+				if( new_index === undefined )
+				{
+					new_index = remap[ index ] = old_index.length;
+					old_index.push( index );
+					uvs.push( (vertices[ index*3 + axis[0] ] - chart.min[0] + chart.x) / area_size,
+						(vertices[ index*3 + axis[1] ] - chart.min[1] + chart.y) / area_size );
+				}
+				new_indices[t*3+k] = new_index;
+			}
+		}
+	}
+
+	//rebuild all the streams with the new vertices
+	var total = old_index.length;
+	for(var name in mesh.vertexBuffers)
 	{
-		var chart = final_chart_list[i];
-		if(area_size < chart.width)
-			area_size = chart.width;
-		if(area_size < chart.height)
-			area_size = chart.height;
+		if( name == this.buffer_name )
+			continue;
+		var buffer = mesh.vertexBuffers[name];
+		var spacing = buffer.spacing;
+		var data = new buffer.data.constructor( total * spacing );
+		for(var i = 0; i < total; ++i)
+			for(var j = 0; j < spacing; ++j)
+				data[ i*spacing + j ] = buffer.data[ old_index[i] * spacing + j ];
+		mesh.updateVertexBuffer( name, buffer.attribute, spacing, data );
 	}
 
-	var root = { x:0, y: 0, width: area_size, height: area_size };
+	var uvs_data = new Float32Array( uvs );
+	if( mesh.vertexBuffers[ this.buffer_name ] )
+		mesh.updateVertexBuffer( this.buffer_name, mesh.vertexBuffers[ this.buffer_name ].attribute, 2, uvs_data );
+	else
+		mesh.createVertexBuffer( this.buffer_name, null, 2, uvs_data );
 
-	//for every Chart
-		//check in which region belongs
-			//add it to the smallest where it fits
-			//subdivide
-		//no region found, increase size and restart
+	indices_buffer.data = total > 256*256 ? new_indices : new Uint16Array( new_indices );
+	indices_buffer.upload();
 }
 
-function Block = function()
+/**
+* A block contains all the charts facing the same axis
+* @class Unwrapper.Block
+* @constructor
+* @param {number} id 0:+X, 1:-X, 2:+Y, 3:-Y, 4:+Z, 5:-Z
+*/
+Unwrapper.Block = function Block( id )
 {
+	this.id = id;
 	this.by_edge = {};
 	this.charts = [];
 }
 
-Block.addChart = function( chart )
+Unwrapper.Block.prototype.addChart = function( chart )
 {
 	chart.block = this;
 	this.charts.push( chart );
 }
 
-Block.removeChart = function( chart )
-{
-	var index = this.charts.indexOf( chart );
-	if(index != -1)
-		this.charts.splice(index,1);
-	for(var i in chart.edges)
-	{
-		var edge = chart.edges[i];
-		delete this.by_edge[ edge[0]+","+edge[1] ];
-	}
-}
-
-Unwrapper.Block = Block;
-
-
-function Chart()
+/**
+* A group of connected triangles projected to the same plane
+* @class Unwrapper.Chart
+* @constructor
+*/
+Unwrapper.Chart = function Chart()
 {
 	this.width = -1;
 	this.height = -1;
 	this.x = -1;
 	this.y = -1;
 	this.area = -1;
+	this.min = vec2.create();
 
-	this.edges = [];
+	this.block = null;
 	this.triangles = [];
 }
 
-Chart.prototype.addTriangle = function( Ai,Bi,Ci, A,B,C )
+/**
+* computes the bounding and the area of the projected triangles
+* @method computeInfo
+* @param {Float32Array} vertices
+* @param {Uint16Array|Uint32Array} indices
+*/
+Unwrapper.Chart.prototype.computeInfo = function( vertices, indices )
 {
-	//remove edge
-	for(var i = 0; i < this.edges.length; ++i)
+	var axis = Unwrapper.BLOCK_AXIS[ this.block.id ];
+	var min = [ Infinity, Infinity ];
+	var max = [ -Infinity, -Infinity ];
+	var area = 0;
+	var p = [0,0,0,0,0,0];
+	for(var i = 0; i < this.triangles.length; ++i)
 	{
-		var edge = this.edges[i];
-		if( edge[0] == Ai )
+		var t = this.triangles[i];
+		for(var j = 0; j < 3; ++j)
 		{
-		
+			var index = indices[t*3+j];
+			var x = p[j*2] = vertices[ index*3 + axis[0] ];
+			var y = p[j*2+1] = vertices[ index*3 + axis[1] ];
+			if( x < min[0] ) min[0] = x;
+			if( y < min[1] ) min[1] = y;
+			if( x > max[0] ) max[0] = x;
+			if( y > max[1] ) max[1] = y;
 		}
+		area += Math.abs( (p[2] - p[0]) * (p[5] - p[1]) - (p[4] - p[0]) * (p[3] - p[1]) ) * 0.5;
 	}
-	//add edges
-	//add triangle
+	this.min[0] = min[0];
+	this.min[1] = min[1];
+	this.width = max[0] - min[0];
+	this.height = max[1] - min[1];
+	this.area = area;
 }
-
-Chart.prototype.mergeWith = function( chart )
-{
-	//transfer edges
-}
-
-Chart.prototype.computeInfo = function()
-{
-	//compute bounding and area
-}
-
-Unwrapper.Chart = Chart;
-
-global.Unwrapper = GL.Unwrapper = Unwrapper;
-
-})( typeof(window) === "undefined" ? self : window );
\ No newline at end of file